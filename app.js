@@ -28,6 +28,16 @@ document.getElementById('always-on-top-button').classList.add('active');
 // Restore saved state (colors, history, ICC profile, lighting panel)
 restoreState();
 updateWorkingCSDisplay();
+updateGamutMappingDisplay();
+updatePickerModeDisplay();
+updateCIELabDisplay();
+updateNumericReadoutDisplay();
+updateProofDisplay();
+updateImagePanel();
+updateContrastDisplay();
+updateCVDMatrix();
+updateCVDDisplay();
+updateViewTransformDisplay();
 
 renderAll();
 
@@ -65,6 +75,7 @@ function pushColorToHistory() {
   h.entries.push([currentL, currentA, currentB]);
   if (h.entries.length > MAX_HISTORY) h.entries.shift();
   h.pos = h.entries.length - 1;
+  drawGamutView(); // history trail
   scheduleSave();
 }
 
@@ -123,7 +134,8 @@ window.addEventListener('keydown', (event) => {
 // ================================================================
 //  EDITABLE FIELD HANDLERS
 //  All numeric/hex fields are contenteditable. On Enter or blur,
-//  the value is parsed and applied to the picker state.
+//  the value is parsed and applied to the picker state. Every color
+//  field also accepts a full CSS color (see css-color.js).
 // ================================================================
 
 /**
@@ -147,6 +159,18 @@ function commitEditedColor(newL, newA, newB) {
   scheduleSave();
 }
 
+/**
+ * Commit the field text if it is a complete CSS color (any syntax
+ * parseCSSColor accepts). Lets every field take a pasted color.
+ * @returns {boolean} true if the text was a color and was committed
+ */
+function commitCSSColorText(text) {
+  const lab = parseCSSColor(text);
+  if (!lab) return false;
+  commitEditedColor(lab[0], lab[1], lab[2]);
+  return true;
+}
+
 /**
  * Generic handler for committing an editable field on Enter key
  * (and preventing the newline) or on blur.
@@ -174,20 +198,24 @@ function setupEditableCommit(elementId, commitFn) {
 
 // ── OKLab L, a, b fields ──
 setupEditableCommit('val-L', (el) => {
+  if (commitCSSColorText(el.textContent)) return;
   const v = parseFloat(el.textContent);
   if (!isNaN(v)) commitEditedColor(v, currentA, currentB);
 });
 setupEditableCommit('val-a', (el) => {
+  if (commitCSSColorText(el.textContent)) return;
   const v = parseFloat(el.textContent);
   if (!isNaN(v)) commitEditedColor(currentL, v, currentB);
 });
 setupEditableCommit('val-b', (el) => {
+  if (commitCSSColorText(el.textContent)) return;
   const v = parseFloat(el.textContent);
   if (!isNaN(v)) commitEditedColor(currentL, currentA, v);
 });
 
 // ── OKLCH C, h fields ──
 setupEditableCommit('val-C', (el) => {
+  if (commitCSSColorText(el.textContent)) return;
   const c = parseFloat(el.textContent);
   if (isNaN(c)) return;
   // Use current hue
@@ -196,6 +224,7 @@ setupEditableCommit('val-C', (el) => {
   commitEditedColor(currentL, newA, newB);
 });
 setupEditableCommit('val-h', (el) => {
+  if (commitCSSColorText(el.textContent)) return;
   const h = parseFloat(el.textContent);
   if (isNaN(h)) return;
   // Use current chroma
@@ -204,10 +233,74 @@ setupEditableCommit('val-h', (el) => {
   commitEditedColor(currentL, newA, newB);
 });
 
+// ── Okhsv / Okhsl fields (h in degrees; s, v, l in percent) ──
+/**
+ * Commit one Okhsv or Okhsl component, keeping the other two.
+ * @param {string} space - 'okhsv' or 'okhsl'
+ * @param {number} index - 0 = h, 1 = s, 2 = v or l
+ */
+function setupOkhsxField(elementId, space, index) {
+  setupEditableCommit(elementId, (el) => {
+    if (commitCSSColorText(el.textContent)) return;
+    const v = parseFloat(el.textContent);
+    if (isNaN(v)) return;
+    const hsx = space === 'okhsl'
+      ? oklabToOkhsl(currentL, currentA, currentB, currentOkHue())
+      : oklabToOkhsv(currentL, currentA, currentB, currentOkHue());
+    if (index === 0) {
+      hsx[0] = ((v % 360) + 360) % 360;
+      okHue = hsx[0];
+    } else {
+      hsx[index] = clamp01(v / 100);
+    }
+    const [L, a, b] = space === 'okhsl' ? okhslToOklab(...hsx) : okhsvToOklab(...hsx);
+    commitEditedColor(L, a, b);
+  });
+}
+setupOkhsxField('val-okhsv-h', 'okhsv', 0);
+setupOkhsxField('val-okhsv-s', 'okhsv', 1);
+setupOkhsxField('val-okhsv-v', 'okhsv', 2);
+setupOkhsxField('val-okhsl-h', 'okhsl', 0);
+setupOkhsxField('val-okhsl-s', 'okhsl', 1);
+setupOkhsxField('val-okhsl-l', 'okhsl', 2);
+
+// ── CIELAB L, a, b and LCh C, h fields (in the selected white point) ──
+/**
+ * Commit one CIELAB or LCh component, keeping the others.
+ * @param {number} index - Lab: 0 = L, 1 = a, 2 = b; LCh: 3 = C, 4 = h
+ */
+function setupCIELabField(elementId, index) {
+  setupEditableCommit(elementId, (el) => {
+    if (commitCSSColorText(el.textContent)) return;
+    const v = parseFloat(el.textContent);
+    if (isNaN(v)) return;
+    const lab = oklabToSelectedCIELab(currentL, currentA, currentB);
+    if (index < 3) {
+      lab[index] = v;
+    } else {
+      const chroma = index === 3 ? v : Math.hypot(lab[1], lab[2]);
+      const hue = index === 4 ? v * Math.PI / 180 : Math.atan2(lab[2], lab[1]);
+      lab[1] = chroma * Math.cos(hue);
+      lab[2] = chroma * Math.sin(hue);
+    }
+    const [L, a, b] = cielabToOKLab(...lab, cielabWhitePoint);
+    commitEditedColor(L, a, b);
+  });
+}
+setupCIELabField('val-lab-L', 0);
+setupCIELabField('val-lab-a', 1);
+setupCIELabField('val-lab-b', 2);
+setupCIELabField('val-lch-C', 3);
+setupCIELabField('val-lch-h', 4);
+
 // ── sRGB hex field ──
 setupEditableCommit('srgb-hex', (el) => {
+  // Bare hex is read in this field's space; anything else as CSS
   const rgb = parseHex(el.textContent);
-  if (!rgb) return;
+  if (!rgb) {
+    commitCSSColorText(el.textContent);
+    return;
+  }
   const linR = gammaToLinear(rgb[0]);
   const linG = gammaToLinear(rgb[1]);
   const linB = gammaToLinear(rgb[2]);
@@ -217,8 +310,12 @@ setupEditableCommit('srgb-hex', (el) => {
 
 // ── Display P3 hex field ──
 setupEditableCommit('display-p3-hex', (el) => {
+  // Bare hex is read in this field's space; anything else as CSS
   const rgb = parseHex(el.textContent);
-  if (!rgb) return;
+  if (!rgb) {
+    commitCSSColorText(el.textContent);
+    return;
+  }
   // Decode gamma, convert P3→linear sRGB, then to OKLab
   const linP3R = gammaToLinear(rgb[0]);
   const linP3G = gammaToLinear(rgb[1]);
@@ -230,8 +327,12 @@ setupEditableCommit('display-p3-hex', (el) => {
 
 // ── Working CS hex field ──
 setupEditableCommit('working-hex', (el) => {
+  // Bare hex is read in this field's space; anything else as CSS
   const rgb = parseHex(el.textContent);
-  if (!rgb) return;
+  if (!rgb) {
+    commitCSSColorText(el.textContent);
+    return;
+  }
   // Decode through working CS TRC, then convert to linear sRGB
   let linR, linG, linB;
   if (workingCS.perChannelTRC) {
@@ -248,17 +349,58 @@ setupEditableCommit('working-hex', (el) => {
   commitEditedColor(L, a, b);
 });
 
-// ── CSS oklab() value field ──
+// ── Numeric readout fields (three channel values per space) ──
+/**
+ * Commit a numeric readout: three numbers (separated by commas or
+ * spaces) in the row's space, else any CSS color.
+ * @param {string} kind - 'linear', 'encoded' or 'integer'
+ */
+function setupNumericField(elementId, kind, space) {
+  setupEditableCommit(elementId, (el) => {
+    const values = el.textContent.trim().split(/[\s,]+/).map(Number);
+    if (values.length !== 3 || values.some(isNaN)) {
+      if (!commitCSSColorText(el.textContent)) updateInfoPanel();
+      return;
+    }
+    const [L, a, b] = numericChannelsToOKLab(space.cs(), kind, values, numericBitDepth);
+    commitEditedColor(L, a, b);
+  });
+}
+for (const space of NUMERIC_SPACES) {
+  for (const kind of ['linear', 'encoded', 'integer']) {
+    setupNumericField(`numeric-${kind}-${space.id}`, kind, space);
+  }
+}
+
+// ── Soft proofing device values (percent per channel) ──
+setupEditableCommit('proof-value', (el) => {
+  if (!commitProofValues(el.textContent) && !commitCSSColorText(el.textContent)) updateInfoPanel();
+});
+
+// ── CSS color value field (any CSS Color 4 syntax) ──
 setupEditableCommit('css-oklab-value', (el) => {
-  const text = el.textContent.trim();
-  // Match oklab(L a b) with optional commas
-  const match = text.match(/oklab\(\s*([\d.eE+-]+)\s+[,]?\s*([\d.eE+-]+)\s+[,]?\s*([\d.eE+-]+)\s*\)/i);
-  if (!match) return;
-  const L = parseFloat(match[1]);
-  const a = parseFloat(match[2]);
-  const b = parseFloat(match[3]);
-  if (isNaN(L) || isNaN(a) || isNaN(b)) return;
-  commitEditedColor(L, a, b);
+  commitCSSColorText(el.textContent);
+});
+
+// ── Reference color field (any CSS color) ──
+setupEditableCommit('reference-value', (el) => {
+  const lab = parseCSSColor(el.textContent);
+  if (lab) setReferenceColor(lab);
+  else updateReferencePanel(); // restore the shown reference
+});
+
+// ── Contrast paired color field (any CSS color) ──
+setupEditableCommit('contrast-partner-value', (el) => {
+  const lab = parseCSSColor(el.textContent);
+  if (lab) setContrastPartner(lab);
+  else updateContrastPanel(); // restore the shown color
+});
+
+// ── Simulation severity field (percent) ──
+setupEditableCommit('cvd-severity-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateCVDDisplay(); // restore the shown severity
+  else setCVDSeverity(v / 100);
 });
 
 // ── Intensity value field ──
@@ -269,3 +411,90 @@ setupEditableCommit('intensity-value', (el) => {
   updateLightingPanel();
   scheduleSave();
 });
+
+// ── Light CCT (K) and Duv fields ──
+setupEditableCommit('cct-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateCCTDisplay(); // restore the shown value
+  else setLightCCT(v);
+});
+setupEditableCommit('duv-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateCCTDisplay();
+  else setLightDuv(v);
+});
+
+// ── View exposure field (stops) ──
+setupEditableCommit('view-exposure-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateViewTransformDisplay(); // restore the shown exposure
+  else setViewExposure(v);
+});
+
+// ── Tonal scale fields ──
+setupEditableCommit('scale-steps-value', (el) => {
+  const v = parseInt(el.textContent, 10);
+  if (isNaN(v)) updateScalePanel(); // restore the shown value
+  else setScaleSteps(v);
+});
+setupEditableCommit('scale-lmax-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateScalePanel();
+  else setScaleLightness('max', v);
+});
+setupEditableCommit('scale-lmin-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateScalePanel();
+  else setScaleLightness('min', v);
+});
+setupEditableCommit('scale-falloff-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateScalePanel();
+  else setScaleChromaFalloff(v / 100);
+});
+setupEditableCommit('scale-name-value', (el) => setScaleName(el.textContent));
+
+// ── Swatch library: active collection name ──
+setupEditableCommit('library-collection-name', (el) => renameSwatchCollection(el.textContent));
+// Enter in the new swatch name adds the current color (blurring does not)
+document.getElementById('library-new-name').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addCurrentToLibrary();
+  }
+});
+
+// ── Copy formats: editor fields for the selected format ──
+setupEditableCommit('copy-format-name-value', (el) => setCopyFormatName(el.textContent));
+setupEditableCommit('copy-format-template-value', (el) => setCopyFormatTemplate(el.textContent));
+setupEditableCommit('copy-format-precision-value', (el) => {
+  const v = parseInt(el.textContent, 10);
+  if (isNaN(v)) updateCopyFormatsPanel();
+  else setCopyFormatPrecision(v);
+});
+
+// ── Reference image averaging radius (image px) ──
+setupEditableCommit('image-radius-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateImagePanel(); // restore the shown radius
+  else setImageSampleRadius(v);
+});
+
+// ── Image palette extraction: colors and chroma emphasis (percent) ──
+setupEditableCommit('palette-size-value', (el) => {
+  const v = parseInt(el.textContent, 10);
+  if (isNaN(v)) updateImagePanel();
+  else setPaletteSize(v);
+});
+setupEditableCommit('palette-chroma-value', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateImagePanel();
+  else setPaletteChromaEmphasis(v / 100);
+});
+
+// ── Gradient stop position field (percent) ──
+setupEditableCommit('gradient-stop-position', (el) => {
+  const v = parseFloat(el.textContent);
+  if (isNaN(v)) updateGradientPanel(); // restore the shown position
+  else setGradientStopPosition(v / 100);
+});
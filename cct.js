@@ -0,0 +1,219 @@
+// ================================================================
+//  CORRELATED COLOR TEMPERATURE
+//  Sets the Lighting Lab light color from a correlated color
+//  temperature (1000 K – 20000 K) on the Planckian or the CIE
+//  daylight locus, plus a Duv tint, and estimates the CCT and Duv
+//  of whatever light color is set.
+//
+//  The Planckian locus uses Krystek's (1985) rational approximation
+//  in CIE 1960 uv (|Δuv| < 8e-5 for 1000 K – 15000 K, extended here
+//  to 20000 K). The daylight locus is the CIE D-series formula,
+//  defined from 4000 K. Duv is the signed distance from the
+//  Planckian locus in uv, positive toward green. The light keeps the
+//  chromaticity at full brightness (largest linear sRGB channel 1);
+//  the intensity slider scales it.
+// ================================================================
+
+const CCT_MIN = 1000;
+const CCT_MAX = 20000;
+const DAYLIGHT_CCT_MIN = 4000;
+const DUV_RANGE = 0.03;          // Duv control spans ±DUV_RANGE
+const DUV_ESTIMATE_LIMIT = 0.05; // CCT is not meaningful farther off the locus
+
+const CCT_LOCI = [
+  { id: 'planckian', name: 'Planckian' },
+  { id: 'daylight',  name: 'Daylight' },
+];
+
+/** Planckian locus in CIE 1960 uv at temperature T (K). */
+function planckianUV(T) {
+  const u = (0.860117757 + 1.54118254e-4 * T + 1.28641212e-7 * T * T) /
+            (1 + 8.42420235e-4 * T + 7.08145163e-7 * T * T);
+  const v = (0.317398726 + 4.22806245e-5 * T + 4.20481691e-8 * T * T) /
+            (1 - 2.89741816e-5 * T + 1.61456053e-7 * T * T);
+  return [u, v];
+}
+
+/** Unit normal to the Planckian locus in uv at T, pointing toward green (+Duv). */
+function planckianNormal(T) {
+  const [u1, v1] = planckianUV(T * 0.999);
+  const [u2, v2] = planckianUV(T * 1.001);
+  const du = u2 - u1, dv = v2 - v1;
+  const length = Math.hypot(du, dv);
+  return [dv / length, -du / length];
+}
+
+/** CIE daylight locus in xy at T (K), for 4000 K – 25000 K. */
+function daylightXY(T) {
+  const x = T <= 7000
+    ? -4.6070e9 / T ** 3 + 2.9678e6 / T ** 2 + 0.09911e3 / T + 0.244063
+    : -2.0064e9 / T ** 3 + 1.9018e6 / T ** 2 + 0.24748e3 / T + 0.237040;
+  return [x, -3.0 * x * x + 2.87 * x - 0.275];
+}
+
+/** CIE 1960 uv → CIE 1931 xy. */
+function uvToXY(u, v) {
+  const d = 2 * u - 8 * v + 4;
+  return [3 * u / d, 2 * v / d];
+}
+
+/** CIE 1931 xy → CIE 1960 uv. */
+function xyToUV(x, y) {
+  const d = -2 * x + 12 * y + 3;
+  return [4 * x / d, 6 * y / d];
+}
+
+/**
+ * Chromaticity (uv) of a CCT and Duv on the given locus. Daylight
+ * temperatures below DAYLIGHT_CCT_MIN are clamped to it.
+ */
+function cctToUV(T, duv, locus = 'planckian') {
+  let u, v;
+  if (locus === 'daylight') {
+    T = Math.max(T, DAYLIGHT_CCT_MIN);
+    [u, v] = xyToUV(...daylightXY(T));
+  } else {
+    [u, v] = planckianUV(T);
+  }
+  const [nu, nv] = planckianNormal(T);
+  return [u + duv * nu, v + duv * nv];
+}
+
+/**
+ * OKLab color of a CCT and Duv, at full brightness (the largest
+ * linear sRGB channel is 1).
+ */
+function cctToOKLab(T, duv, locus = 'planckian') {
+  const [x, y] = uvToXY(...cctToUV(T, duv, locus));
+  const rgb = mat3Apply(XYZ_TO_LINEAR_SRGB, ...xyToXYZ(x, y));
+  const peak = Math.max(...rgb);
+  return linearSRGBToOKLab(...rgb.map(c => c / peak));
+}
+
+/**
+ * Estimate the CCT and Duv of an OKLab color: the nearest point on
+ * the Planckian locus in uv, searched in mireds (1e6 / T).
+ * @returns {{cct: number, duv: number}|null} null for black, or when
+ *   the color is well outside the CCT range or too far from the locus
+ */
+function estimateCCT(L, a, b) {
+  const [X, Y, Z] = mat3Apply(LINEAR_SRGB_TO_XYZ, ...oklabToLinearSRGB(L, a, b));
+  const d = X + 15 * Y + 3 * Z;
+  if (Y <= 1e-6 || d <= 0) return null;
+  const u = 4 * X / d, v = 6 * Y / d;
+  const distanceSq = (mired) => {
+    const [pu, pv] = planckianUV(1e6 / mired);
+    return (u - pu) ** 2 + (v - pv) ** 2;
+  };
+
+  // Coarse scan over the mired range (with some margin, so the ends of
+  // the CCT range are still found as interior minima), then
+  // golden-section refinement
+  const miredMin = 0.8e6 / CCT_MAX, miredMax = 1.25e6 / CCT_MIN;
+  const steps = 150;
+  let best = 0, bestDistanceSq = Infinity;
+  for (let i = 0; i <= steps; i++) {
+    const dist = distanceSq(miredMin + (miredMax - miredMin) * i / steps);
+    if (dist < bestDistanceSq) {
+      best = i;
+      bestDistanceSq = dist;
+    }
+  }
+  if (best === 0 || best === steps) return null;
+  let lo = miredMin + (miredMax - miredMin) * (best - 1) / steps;
+  let hi = miredMin + (miredMax - miredMin) * (best + 1) / steps;
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  for (let i = 0; i < 40; i++) {
+    const m1 = hi - ratio * (hi - lo);
+    const m2 = lo + ratio * (hi - lo);
+    if (distanceSq(m1) < distanceSq(m2)) hi = m2;
+    else lo = m1;
+  }
+
+  const cct = 1e6 / ((lo + hi) / 2);
+  const [pu, pv] = planckianUV(cct);
+  const [nu, nv] = planckianNormal(cct);
+  const duv = (u - pu) * nu + (v - pv) * nv;
+  if (Math.abs(duv) > DUV_ESTIMATE_LIMIT) return null;
+  return { cct, duv };
+}
+
+
+// ── CCT / Duv controls ──
+
+/** Track position (0–1) of a CCT: even in mireds, warm on the left. */
+function cctToTrackPosition(T) {
+  const miredMin = 1e6 / CCT_MAX, miredMax = 1e6 / CCT_MIN;
+  return (miredMax - 1e6 / T) / (miredMax - miredMin);
+}
+
+/** CCT at a track position (0–1), inverse of cctToTrackPosition(). */
+function trackPositionToCCT(position) {
+  const miredMin = 1e6 / CCT_MAX, miredMax = 1e6 / CCT_MIN;
+  return 1e6 / (miredMax - clamp01(position) * (miredMax - miredMin));
+}
+
+/**
+ * Set the light color from lightCCT, lightDuv and cctLocus. The
+ * daylight locus starts at DAYLIGHT_CCT_MIN, so lightCCT is raised to it.
+ */
+function applyLightCCT() {
+  if (cctLocus === 'daylight') lightCCT = Math.max(lightCCT, DAYLIGHT_CCT_MIN);
+  [lightL, lightA, lightB] = cctToOKLab(lightCCT, lightDuv, cctLocus);
+  if (editTarget === 'light') renderAll();
+  else updateLightingPanel();
+}
+
+/** Set the light's CCT (K) and apply it. */
+function setLightCCT(T) {
+  lightCCT = Math.max(CCT_MIN, Math.min(CCT_MAX, T));
+  applyLightCCT();
+  scheduleSave();
+}
+
+/** Set the light's Duv tint and apply it. */
+function setLightDuv(duv) {
+  lightDuv = Math.max(-DUV_RANGE, Math.min(DUV_RANGE, duv));
+  applyLightCCT();
+  scheduleSave();
+}
+
+/** Select the locus (Planckian or daylight) and apply it. */
+function setCCTLocus(locus) {
+  if (!CCT_LOCI.some(l => l.id === locus)) return;
+  cctLocus = locus;
+  applyLightCCT();
+  scheduleSave();
+}
+
+/**
+ * Update the CCT / Duv tracks, values and locus select, and show the
+ * CCT / Duv estimate of the current light color.
+ */
+function updateCCTDisplay() {
+  const select = document.getElementById('cct-locus-select');
+  if (select.options.length === 0) {
+    for (const locus of CCT_LOCI) select.add(new Option(locus.name, locus.id));
+  }
+  select.value = cctLocus;
+
+  // Track gradient along the selected locus (at Duv 0)
+  const stops = [];
+  for (let i = 0; i <= 16; i++) {
+    const [L, a, b] = cctToOKLab(trackPositionToCCT(i / 16), 0, cctLocus);
+    stops.push(`${displayCSSColor(L, a, b)} ${(i / 16 * 100).toFixed(1)}%`);
+  }
+  document.getElementById('cct-track').style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+
+  document.getElementById('cct-thumb').style.left = cctToTrackPosition(lightCCT) * 100 + '%';
+  document.getElementById('duv-thumb').style.left = (lightDuv / DUV_RANGE + 1) * 50 + '%';
+  if (document.activeElement !== document.getElementById('cct-value'))
+    document.getElementById('cct-value').textContent = Math.round(lightCCT);
+  if (document.activeElement !== document.getElementById('duv-value'))
+    document.getElementById('duv-value').textContent = (lightDuv >= 0 ? '+' : '') + lightDuv.toFixed(4);
+
+  const estimate = estimateCCT(lightL, lightA, lightB);
+  document.getElementById('cct-estimate').textContent = estimate
+    ? `Light ≈ ${Math.round(estimate.cct)} K, Duv ${(estimate.duv >= 0 ? '+' : '') + estimate.duv.toFixed(4)}`
+    : 'Light: no CCT (too far from the locus)';
+}
@@ -0,0 +1,35 @@
+// ================================================================
+//  CIELAB / LCH READOUT
+//  Lab and LCh rows for print hand-off, in D50 (ICC / print, with
+//  Bradford adaptation from D65) or D65. Conversions live in
+//  color-spaces.js; the reference panel (reference.js) measures
+//  CIEDE2000 in the selected white point.
+// ================================================================
+
+const CIELAB_WHITE_POINTS = [
+  { id: 'd50', name: 'D50' },
+  { id: 'd65', name: 'D65' },
+];
+
+/** CIELAB [L, a, b] of an OKLab color in the selected white point. */
+function oklabToSelectedCIELab(L, a, b) {
+  return oklabToCIELab(L, a, b, cielabWhitePoint);
+}
+
+/** Sync the white point select with the current state. */
+function updateCIELabDisplay() {
+  const select = document.getElementById('cielab-white-select');
+  if (select.options.length === 0) {
+    for (const white of CIELAB_WHITE_POINTS) select.add(new Option(white.name, white.id));
+  }
+  select.value = cielabWhitePoint;
+}
+
+/** Select the CIELAB white point (from the info panel). */
+function setCIELabWhitePoint(whitePoint) {
+  if (!CIELAB_WHITE_POINTS.some(w => w.id === whitePoint)) return;
+  cielabWhitePoint = whitePoint;
+  updateCIELabDisplay();
+  updateInfoPanel();
+  scheduleSave();
+}
@@ -129,11 +129,7 @@ function linearSRGBToOKLab(r, g, b) {
  * and a power curve for the rest.
  */
 function linearToGamma(linearValue) {
-  const clamped = Math.max(0, Math.min(1, linearValue));
-  if (clamped >= 0.0031308) {
-    return 1.055 * (clamped ** (1 / 2.4)) - 0.055;
-  }
-  return 12.92 * clamped;
+  return linearToGammaExtended(clamp01(linearValue));
 }
 
 /**
@@ -141,10 +137,24 @@ function linearToGamma(linearValue) {
  * Inverse of linearToGamma().
  */
 function gammaToLinear(gammaValue) {
-  if (gammaValue >= 0.04045) {
-    return ((gammaValue + 0.055) / 1.055) ** 2.4;
-  }
-  return gammaValue / 12.92;
+  return gammaToLinearExtended(gammaValue);
+}
+
+/**
+ * sRGB gamma encoding extended to negative and > 1 values
+ * (mirrored about zero, as in CSS Color 4). Not clamped.
+ */
+function linearToGammaExtended(linearValue) {
+  const abs = Math.abs(linearValue);
+  const encoded = abs >= 0.0031308 ? 1.055 * (abs ** (1 / 2.4)) - 0.055 : 12.92 * abs;
+  return Math.sign(linearValue) * encoded;
+}
+
+/** Inverse of linearToGammaExtended(). */
+function gammaToLinearExtended(gammaValue) {
+  const abs = Math.abs(gammaValue);
+  const decoded = abs >= 0.04045 ? ((abs + 0.055) / 1.055) ** 2.4 : abs / 12.92;
+  return Math.sign(gammaValue) * decoded;
 }
 
 /** Clamp a value to the [0, 1] range. */
@@ -185,11 +195,16 @@ function linearToColorByte(linearValue) {
 
 /**
  * Parse a hex string like "#ff8800" or "ff8800" to [r, g, b]
- * where each channel is gamma-encoded 0–1. Returns null on failure.
+ * where each channel is gamma-encoded 0–1. Accepts the 3, 4, 6 and
+ * 8 digit forms; the alpha digits are ignored. Returns null on failure.
  */
 function parseHex(str) {
   str = str.trim().replace(/^#/, '');
-  if (!/^[0-9a-f]{6}$/i.test(str)) return null;
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(str)) return null;
+  if (str.length <= 4) {
+    // Short form: each digit is doubled ("f80" → "ff8800")
+    str = str.replace(/./g, '$&$&');
+  }
   const r = parseInt(str.slice(0, 2), 16) / 255;
   const g = parseInt(str.slice(2, 4), 16) / 255;
   const b = parseInt(str.slice(4, 6), 16) / 255;
@@ -207,36 +222,115 @@ function parseHex(str) {
  * Check whether an OKLab color falls within the working color space gamut.
  */
 function isInWorkingGamut(L, a, b) {
+  return isInGamutOf(workingCS, L, a, b);
+}
+
+/**
+ * Check whether an OKLab color falls within the gamut of a given
+ * color space object (working CS, sRGB, P3, ...).
+ */
+function isInGamutOf(cs, L, a, b) {
   const [linearR, linearG, linearB] = oklabToLinearSRGB(L, a, b);
-  const [wr, wg, wb] = workingCS.fromLinearSRGB(linearR, linearG, linearB);
-  return isInGamut(wr, wg, wb);
+  // LUT-based spaces (icc-lut.js) test against the profile, not the RGB cube
+  if (cs.containsLinearSRGB) return cs.containsLinearSRGB(linearR, linearG, linearB);
+  const [r, g, bl] = cs.fromLinearSRGB(linearR, linearG, linearB);
+  return isInGamut(r, g, bl);
 }
 
 /**
- * Binary-search for the maximum chroma that keeps the color in the
- * working gamut at a given lightness and hue angle.
+ * Find the maximum chroma (up to maxSearch) that keeps the color in the
+ * working gamut (or the given color space) at a lightness and hue angle.
+ * Matrix-based spaces use the analytic gamut boundary; others fall back
+ * to a binary search.
  * @returns {number} Maximum in-gamut chroma
  */
-function findMaxInGamutChroma(L, hueDegrees, maxSearch = CHROMA_MAX) {
+function findMaxInGamutChroma(L, hueDegrees, maxSearch = CHROMA_MAX, cs = workingCS) {
+  const model = getGamutModel(cs);
+  if (model) return Math.min(maxSearch, maxChromaAt(model, L, hueDegrees));
+
   const [aHi, bHi] = oklchToOklab(maxSearch, hueDegrees);
-  if (isInWorkingGamut(L, aHi, bHi)) return maxSearch;
+  if (isInGamutOf(cs, L, aHi, bHi)) return maxSearch;
   let lo = 0, hi = maxSearch;
   for (let i = 0; i < 20; i++) {
     const mid = (lo + hi) / 2;
     const [a, b] = oklchToOklab(mid, hueDegrees);
-    if (isInWorkingGamut(L, a, b)) { lo = mid; } else { hi = mid; }
+    if (isInGamutOf(cs, L, a, b)) { lo = mid; } else { hi = mid; }
   }
   return lo;
 }
 
+
+// ================================================================
+//  COLOR DIFFERENCE
+// ================================================================
+
+/**
+ * Euclidean distance between two OKLab colors (ΔEOK).
+ * A difference of about 0.02 is just noticeable.
+ */
+function deltaEOK(L1, a1, b1, L2, a2, b2) {
+  return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
 /**
- * Clamp an OKLab color to the working gamut by reducing chroma
- * while preserving lightness and hue.
- * @returns {[number, number]} Clamped [a, b] values
+ * CIEDE2000 difference between two CIELAB colors (CIE 142-2001,
+ * following Sharma, Wu & Dalal 2005). kL = kC = kH = 1.
  */
-function clampToWorkingGamut(L, a, b) {
-  if (isInWorkingGamut(L, a, b)) return [a, b];
-  const [chroma, hue] = oklabToOklch(a, b);
-  const maxChroma = findMaxInGamutChroma(L, hue, chroma);
-  return oklchToOklab(maxChroma, hue);
+function deltaE2000(L1, a1, b1, L2, a2, b2) {
+  const toRadians = Math.PI / 180;
+  const POW25_7 = 25 ** 7;
+
+  // Adjust a* so neutral colors have a hue-independent chroma
+  const meanC = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const G = 0.5 * (1 - Math.sqrt(meanC ** 7 / (meanC ** 7 + POW25_7)));
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const hueOf = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / toRadians;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hueOf(b1, a1p);
+  const h2p = hueOf(b2, a2p);
+  const hasHue = C1p * C2p !== 0;
+
+  // Differences in lightness, chroma and hue
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (hasHue) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * toRadians);
+
+  // Means
+  const meanLp = (L1 + L2) / 2;
+  const meanCp = (C1p + C2p) / 2;
+  let meanhp = h1p + h2p;
+  if (hasHue) {
+    if (Math.abs(h1p - h2p) > 180) meanhp += meanhp < 360 ? 360 : -360;
+    meanhp /= 2;
+  }
+
+  // Weighting functions and the blue-region rotation term
+  const T = 1
+    - 0.17 * Math.cos((meanhp - 30) * toRadians)
+    + 0.24 * Math.cos((2 * meanhp) * toRadians)
+    + 0.32 * Math.cos((3 * meanhp + 6) * toRadians)
+    - 0.20 * Math.cos((4 * meanhp - 63) * toRadians);
+  const dTheta = 30 * Math.exp(-(((meanhp - 275) / 25) ** 2));
+  const RC = 2 * Math.sqrt(meanCp ** 7 / (meanCp ** 7 + POW25_7));
+  const SL = 1 + (0.015 * (meanLp - 50) ** 2) / Math.sqrt(20 + (meanLp - 50) ** 2);
+  const SC = 1 + 0.045 * meanCp;
+  const SH = 1 + 0.015 * meanCp * T;
+  const RT = -Math.sin(2 * dTheta * toRadians) * RC;
+
+  const termL = dLp / SL;
+  const termC = dCp / SC;
+  const termH = dHp / SH;
+  return Math.sqrt(termL * termL + termC * termC + termH * termH + RT * termC * termH);
 }
@@ -39,7 +39,8 @@ function mat3Invert(M) {
 //  WORKING COLOR SPACE
 //  Defines the current working color space used for gamut detection,
 //  hex value computation, and eyedropper interpretation.
-//  Can be Display P3, sRGB, or a custom ICC profile.
+//  Can be one of the built-in RGB spaces (sRGB, Display P3,
+//  Rec.2020, Adobe RGB, ProPhoto, ACES, ...) or a custom ICC profile.
 // ================================================================
 
 // Well-known XYZ matrices (D65 white point)
@@ -61,6 +62,169 @@ const BRADFORD_D50_TO_D65 = [
   [ 0.0122982, -0.0204830,  1.3299098],
 ];
 
+// Bradford cone response matrix (XYZ → sharpened LMS)
+const BRADFORD_CONE_MATRIX = [
+  [ 0.8951,  0.2664, -0.1614],
+  [-0.7502,  1.7135,  0.0367],
+  [ 0.0389, -0.0685,  1.0296],
+];
+
+// Standard white points as CIE 1931 xy chromaticities
+const WHITE_D65  = [0.3127, 0.3290];
+const WHITE_D50  = [0.3457, 0.3585];
+const WHITE_ACES = [0.32168, 0.33767];  // ≈ D60
+
+/** Convert an xy chromaticity to XYZ with Y = 1. */
+function xyToXYZ(x, y) {
+  return [x / y, 1, (1 - x - y) / y];
+}
+
+/**
+ * Build the linear RGB → XYZ matrix for a set of primaries and a
+ * white point (all given as xy chromaticities). Columns are the
+ * XYZ of each primary, scaled so that RGB (1,1,1) maps to the white.
+ */
+function rgbToXYZMatrix(primaries, white) {
+  const P = [[0,0,0],[0,0,0],[0,0,0]];
+  for (let i = 0; i < 3; i++) {
+    const [X, Y, Z] = xyToXYZ(primaries[i][0], primaries[i][1]);
+    P[0][i] = X; P[1][i] = Y; P[2][i] = Z;
+  }
+  const [Sr, Sg, Sb] = mat3Apply(mat3Invert(P), ...xyToXYZ(white[0], white[1]));
+  return [
+    [P[0][0]*Sr, P[0][1]*Sg, P[0][2]*Sb],
+    [P[1][0]*Sr, P[1][1]*Sg, P[1][2]*Sb],
+    [P[2][0]*Sr, P[2][1]*Sg, P[2][2]*Sb],
+  ];
+}
+
+// Cone response matrices of the other chromatic adaptation transforms
+const CAT02_CONE_MATRIX = [
+  [ 0.7328,  0.4296, -0.1624],
+  [-0.7036,  1.6975,  0.0061],
+  [ 0.0030,  0.0136,  0.9834],
+];
+const CAT16_CONE_MATRIX = [
+  [ 0.401288,  0.650173, -0.051461],
+  [-0.250268,  1.204414,  0.045854],
+  [-0.002079,  0.048952,  0.953127],
+];
+// Hunt–Pointer–Estévez (the classic von Kries cone space)
+const VON_KRIES_CONE_MATRIX = [
+  [ 0.40024,  0.70760, -0.08081],
+  [-0.22630,  1.16532,  0.04570],
+  [ 0.0,      0.0,      0.91822],
+];
+
+/**
+ * Chromatic adaptation transforms selectable for ICC profiles. 'none'
+ * skips adaptation (absolute colorimetry): a profile whose white is
+ * not D65 keeps its tint, e.g. a D50 paper white looks yellowish.
+ */
+const CHROMATIC_ADAPTATIONS = [
+  { id: 'bradford',  name: 'Bradford',        coneMatrix: BRADFORD_CONE_MATRIX },
+  { id: 'cat02',     name: 'CAT02',           coneMatrix: CAT02_CONE_MATRIX },
+  { id: 'cat16',     name: 'CAT16',           coneMatrix: CAT16_CONE_MATRIX },
+  { id: 'von-kries', name: 'von Kries',       coneMatrix: VON_KRIES_CONE_MATRIX },
+  { id: 'none',      name: 'None (absolute)', coneMatrix: null },
+];
+
+/**
+ * Von Kries-style chromatic adaptation matrix mapping XYZ colors seen
+ * under srcWhite to their corresponding colors under dstWhite (both
+ * XYZ), scaling in the cone space of coneMatrix.
+ */
+function chromaticAdaptation(srcWhite, dstWhite, coneMatrix) {
+  const src = mat3Apply(coneMatrix, ...srcWhite);
+  const dst = mat3Apply(coneMatrix, ...dstWhite);
+  const scale = [
+    [dst[0] / src[0], 0, 0],
+    [0, dst[1] / src[1], 0],
+    [0, 0, dst[2] / src[2]],
+  ];
+  return mat3Multiply(mat3Invert(coneMatrix), mat3Multiply(scale, coneMatrix));
+}
+
+/**
+ * Bradford chromatic adaptation matrix mapping XYZ colors seen under
+ * srcWhite to their corresponding colors under dstWhite (both XYZ).
+ */
+function bradfordAdaptation(srcWhite, dstWhite) {
+  return chromaticAdaptation(srcWhite, dstWhite, BRADFORD_CONE_MATRIX);
+}
+
+/** Adaptation matrix for a CHROMATIC_ADAPTATIONS id (identity for 'none'). */
+function adaptationMatrix(id, srcWhite, dstWhite) {
+  const cat = CHROMATIC_ADAPTATIONS.find(c => c.id === id) || CHROMATIC_ADAPTATIONS[0];
+  if (!cat.coneMatrix) return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  return chromaticAdaptation(srcWhite, dstWhite, cat.coneMatrix);
+}
+
+
+// ================================================================
+//  TRANSFER FUNCTIONS
+//  Decode (encoded → linear) / encode (linear → encoded) pairs for
+//  the built-in working spaces. sRGB and Display P3 share the sRGB
+//  curve from color-math.js (gammaToLinear / linearToGamma).
+// ================================================================
+
+/** Identity transfer for linear-light encodings. */
+function linearTransfer(value) {
+  return value;
+}
+
+// ITU-R BT.2020 OETF constants (12-bit precision, as used by CSS Color 4)
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA  = 0.018053968510807;
+
+function rec2020ToLinear(value) {
+  if (value < REC2020_BETA * 4.5) return value / 4.5;
+  return ((value + REC2020_ALPHA - 1) / REC2020_ALPHA) ** (1 / 0.45);
+}
+
+function linearToRec2020(value) {
+  const clamped = Math.max(0, value);
+  if (clamped < REC2020_BETA) return 4.5 * clamped;
+  return REC2020_ALPHA * (clamped ** 0.45) - (REC2020_ALPHA - 1);
+}
+
+// Adobe RGB (1998) uses a pure power curve of 563/256 ≈ 2.2
+const ADOBE_RGB_GAMMA = 563 / 256;
+
+function adobeRGBToLinear(value) {
+  return Math.max(0, value) ** ADOBE_RGB_GAMMA;
+}
+
+function linearToAdobeRGB(value) {
+  return Math.max(0, value) ** (1 / ADOBE_RGB_GAMMA);
+}
+
+// ProPhoto (ROMM) RGB: 1.8 power with a short linear toe
+function proPhotoToLinear(value) {
+  if (value < 16 / 512) return value / 16;
+  return value ** 1.8;
+}
+
+function linearToProPhoto(value) {
+  const clamped = Math.max(0, value);
+  if (clamped < 1 / 512) return 16 * clamped;
+  return clamped ** (1 / 1.8);
+}
+
+// ACEScct: log encoding with a linear toe (S-2016-001)
+const ACESCCT_TOE_SLOPE  = 10.5402377416545;
+const ACESCCT_TOE_OFFSET = 0.0729055341958355;
+
+function acesCCTToLinear(value) {
+  if (value <= 0.155251141552511) return (value - ACESCCT_TOE_OFFSET) / ACESCCT_TOE_SLOPE;
+  return Math.min(2 ** (value * 17.52 - 9.72), 65504);
+}
+
+function linearToACESCCT(value) {
+  if (value <= 0.0078125) return ACESCCT_TOE_SLOPE * value + ACESCCT_TOE_OFFSET;
+  return (Math.log2(value) + 9.72) / 17.52;
+}
+
 /**
  * Create a working color space object.
  * @param {string} name - Display name
@@ -76,6 +240,9 @@ function createWorkingCS(name, toSRGBMatrix, fromSRGBMatrix, decode, encode) {
     fromLinearSRGB: (r, g, b) => mat3Apply(fromSRGBMatrix, r, g, b),
     decode,
     encode,
+    // Kept for the analytic gamut boundary (gamut-boundary.js)
+    toSRGBMatrix,
+    fromSRGBMatrix,
   };
 }
 
@@ -102,11 +269,160 @@ function createP3WorkingCS() {
   return createWorkingCS('Display P3', p3ToSRGB, srgbToP3, gammaToLinear, linearToGamma);
 }
 
-/** Update the UI to reflect the current working CS name. */
+/**
+ * Create a working color space from xy primaries and white point.
+ * Spaces whose white is not D65 are Bradford-adapted to D65 so that
+ * their white maps to sRGB white.
+ */
+function createWorkingCSFromPrimaries(name, primaries, white, decode, encode) {
+  let toXYZ = rgbToXYZMatrix(primaries, white);
+  if (white !== WHITE_D65) {
+    const adapt = bradfordAdaptation(xyToXYZ(white[0], white[1]), xyToXYZ(WHITE_D65[0], WHITE_D65[1]));
+    toXYZ = mat3Multiply(adapt, toXYZ);
+  }
+  const toSRGB = mat3Multiply(XYZ_TO_LINEAR_SRGB, toXYZ);
+  return createWorkingCS(name, toSRGB, mat3Invert(toSRGB), decode, encode);
+}
+
+// Primaries as [[xR, yR], [xG, yG], [xB, yB]]
+const SRGB_PRIMARIES      = [[0.640, 0.330], [0.300, 0.600], [0.150, 0.060]];
+const P3_PRIMARIES        = [[0.680, 0.320], [0.265, 0.690], [0.150, 0.060]];
+const REC2020_PRIMARIES   = [[0.708, 0.292], [0.170, 0.797], [0.131, 0.046]];
+const ADOBE_RGB_PRIMARIES = [[0.640, 0.330], [0.210, 0.710], [0.150, 0.060]];
+const PROPHOTO_PRIMARIES  = [[0.7347, 0.2653], [0.1596, 0.8404], [0.0366, 0.0001]];
+const ACES_AP0_PRIMARIES  = [[0.7347, 0.2653], [0.0, 1.0], [0.0001, -0.0770]];
+const ACES_AP1_PRIMARIES  = [[0.713, 0.293], [0.165, 0.830], [0.128, 0.044]];
+
+/**
+ * Built-in working color spaces selectable from the cs-bar.
+ * Ids follow the CSS Color 4 predefined space names where one exists.
+ */
+const BUILTIN_WORKING_SPACES = [
+  { id: 'srgb', name: 'sRGB', create: createSRGBWorkingCS },
+  { id: 'srgb-linear', name: 'Linear sRGB',
+    create: () => createWorkingCSFromPrimaries('Linear sRGB', SRGB_PRIMARIES, WHITE_D65, linearTransfer, linearTransfer) },
+  { id: 'display-p3', name: 'Display P3', create: createP3WorkingCS },
+  { id: 'display-p3-linear', name: 'Linear Display P3',
+    create: () => createWorkingCSFromPrimaries('Linear Display P3', P3_PRIMARIES, WHITE_D65, linearTransfer, linearTransfer) },
+  { id: 'rec2020', name: 'Rec.2020',
+    create: () => createWorkingCSFromPrimaries('Rec.2020', REC2020_PRIMARIES, WHITE_D65, rec2020ToLinear, linearToRec2020) },
+  { id: 'rec2020-linear', name: 'Linear Rec.2020',
+    create: () => createWorkingCSFromPrimaries('Linear Rec.2020', REC2020_PRIMARIES, WHITE_D65, linearTransfer, linearTransfer) },
+  { id: 'a98-rgb', name: 'Adobe RGB (1998)',
+    create: () => createWorkingCSFromPrimaries('Adobe RGB (1998)', ADOBE_RGB_PRIMARIES, WHITE_D65, adobeRGBToLinear, linearToAdobeRGB) },
+  { id: 'prophoto-rgb', name: 'ProPhoto RGB',
+    create: () => createWorkingCSFromPrimaries('ProPhoto RGB', PROPHOTO_PRIMARIES, WHITE_D50, proPhotoToLinear, linearToProPhoto) },
+  { id: 'prophoto-rgb-linear', name: 'Linear ProPhoto RGB',
+    create: () => createWorkingCSFromPrimaries('Linear ProPhoto RGB', PROPHOTO_PRIMARIES, WHITE_D50, linearTransfer, linearTransfer) },
+  { id: 'acescg', name: 'ACEScg',
+    create: () => createWorkingCSFromPrimaries('ACEScg', ACES_AP1_PRIMARIES, WHITE_ACES, linearTransfer, linearTransfer) },
+  { id: 'acescct', name: 'ACEScct',
+    create: () => createWorkingCSFromPrimaries('ACEScct', ACES_AP1_PRIMARIES, WHITE_ACES, acesCCTToLinear, linearToACESCCT) },
+  { id: 'aces2065-1', name: 'ACES2065-1',
+    create: () => createWorkingCSFromPrimaries('ACES2065-1', ACES_AP0_PRIMARIES, WHITE_ACES, linearTransfer, linearTransfer) },
+];
+
+/**
+ * Create a built-in working color space by id.
+ * @returns {object|null} Working CS, or null if the id is unknown
+ */
+function createBuiltinWorkingCS(id) {
+  const space = BUILTIN_WORKING_SPACES.find(s => s.id === id);
+  return space ? space.create() : null;
+}
+
+/**
+ * Update the cs-bar selector to list the built-in spaces (plus the
+ * profiles of the ICC library) and show the active working CS.
+ */
 function updateWorkingCSDisplay() {
-  const el = document.getElementById('cs-name-display');
-  el.textContent = workingCS.name;
-  el.title = workingCS.name;
+  const select = document.getElementById('cs-select');
+  select.innerHTML = '';
+  for (const space of BUILTIN_WORKING_SPACES) {
+    select.add(new Option(space.name, space.id));
+  }
+  iccProfiles.forEach((profile, i) => select.add(new Option('ICC: ' + profile.name, `icc:${i}`)));
+  select.value = workingCSId === 'icc' ? `icc:${activeICCProfile}` : workingCSId;
+  select.title = workingCS.name;
+  updateICCInfoPanel();
+}
+
+/**
+ * Switch the working CS from the cs-bar selector. 'icc:<index>'
+ * switches to a profile of the ICC library; anything else is a
+ * built-in id.
+ */
+function selectWorkingCS(id) {
+  if (id.startsWith('icc:')) {
+    const index = parseInt(id.slice(4), 10);
+    if (!iccProfiles[index]) return;
+    useICCProfile(index);
+  } else {
+    const builtin = createBuiltinWorkingCS(id);
+    if (!builtin) return;
+    workingCS = builtin;
+    workingCSId = id;
+  }
+  updateWorkingCSDisplay();
+  renderAll();
+  scheduleSave();
+}
+
+
+// ================================================================
+//  CIE XYZ / CIELAB
+//  CIELAB relative to a D50 or D65 reference white, going through
+//  XYZ and the matrices above. D50 values are Bradford-adapted to
+//  D65 before reaching linear sRGB (as CSS Color 4 does).
+// ================================================================
+
+const CIELAB_EPSILON = 216 / 24389;  // (6/29)^3
+const CIELAB_KAPPA   = 24389 / 27;   // (29/3)^3
+
+/** XYZ of the CIELAB reference white ('d50' or 'd65'), Y = 1. */
+function cielabWhiteXYZ(whitePoint) {
+  const [x, y] = whitePoint === 'd65' ? WHITE_D65 : WHITE_D50;
+  return xyToXYZ(x, y);
+}
+
+// Bradford adaptation between the two CIELAB whites, derived from the
+// same xy chromaticities so neutrals stay neutral (the rounded
+// BRADFORD_D50_TO_D65 constant leaves grays off by ~0.02 in a*, b*)
+const CIELAB_D65_TO_D50 = bradfordAdaptation(cielabWhiteXYZ('d65'), cielabWhiteXYZ('d50'));
+const CIELAB_D50_TO_D65 = mat3Invert(CIELAB_D65_TO_D50);
+
+/** Convert CIELAB → XYZ relative to the given white (XYZ, Y = 1). */
+function cielabToXYZ(L, a, b, white) {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const xr = fx ** 3 > CIELAB_EPSILON ? fx ** 3 : (116 * fx - 16) / CIELAB_KAPPA;
+  const yr = L > CIELAB_KAPPA * CIELAB_EPSILON ? fy ** 3 : L / CIELAB_KAPPA;
+  const zr = fz ** 3 > CIELAB_EPSILON ? fz ** 3 : (116 * fz - 16) / CIELAB_KAPPA;
+  return [xr * white[0], yr * white[1], zr * white[2]];
+}
+
+/** Convert CIELAB (white point 'd50' or 'd65') → OKLab [L, a, b]. */
+function cielabToOKLab(L, a, b, whitePoint = 'd50') {
+  let xyz = cielabToXYZ(L, a, b, cielabWhiteXYZ(whitePoint));
+  if (whitePoint !== 'd65') xyz = mat3Apply(CIELAB_D50_TO_D65, ...xyz);
+  return linearSRGBToOKLab(...mat3Apply(XYZ_TO_LINEAR_SRGB, ...xyz));
+}
+
+/** Convert XYZ → CIELAB relative to the given white (XYZ, Y = 1). */
+function xyzToCIELab(X, Y, Z, white) {
+  const f = (t) => t > CIELAB_EPSILON ? Math.cbrt(t) : (CIELAB_KAPPA * t + 16) / 116;
+  const fx = f(X / white[0]);
+  const fy = f(Y / white[1]);
+  const fz = f(Z / white[2]);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/** Convert OKLab → CIELAB [L, a, b] (white point 'd50' or 'd65'). */
+function oklabToCIELab(L, a, b, whitePoint = 'd50') {
+  let xyz = mat3Apply(LINEAR_SRGB_TO_XYZ, ...oklabToLinearSRGB(L, a, b));
+  if (whitePoint !== 'd65') xyz = mat3Apply(CIELAB_D65_TO_D50, ...xyz);
+  return xyzToCIELab(...xyz, cielabWhiteXYZ(whitePoint));
 }
 
 
@@ -114,6 +430,7 @@ function updateWorkingCSDisplay() {
 //  ICC PROFILE PARSER
 //  Reads matrix-based RGB ICC/ICM profiles to extract primaries
 //  and transfer curves, then builds a working color space from them.
+//  LUT-based profiles are evaluated by icc-lut.js.
 // ================================================================
 
 /**
@@ -124,34 +441,42 @@ function readS15Fixed16(dv, offset) {
   return raw / 65536;
 }
 
+/** Read an XYZNumber (three s15Fixed16 values) from a DataView. */
+function readICCXYZNumber(dv, offset) {
+  return [0, 4, 8].map(k => readS15Fixed16(dv, offset + k));
+}
+
 /**
- * Parse an ICC profile ArrayBuffer and return a working CS object.
- * Supports matrix-based RGB profiles (rXYZ/gXYZ/bXYZ + TRC tags).
- * @throws {Error} if the profile is unsupported
+ * Read the tag table of an ICC profile.
+ * @returns {Object<string, {offset: number, size: number}>} Tags by signature
  */
-function parseICCProfile(buffer) {
-  const dv = new DataView(buffer);
-  const bytes = new Uint8Array(buffer);
-
-  // Read tag table
+function readICCTagTable(dv) {
   const tagCount = dv.getUint32(128, false);
   const tags = {};
   for (let i = 0; i < tagCount; i++) {
     const base = 132 + i * 12;
-    const sig = String.fromCharCode(bytes[base], bytes[base+1], bytes[base+2], bytes[base+3]);
-    tags[sig] = {
+    tags[readICCSignature(dv, base)] = {
       offset: dv.getUint32(base + 4, false),
       size:   dv.getUint32(base + 8, false),
     };
   }
+  return tags;
+}
+
+/** Read a 4-character ICC signature (tag, type or color space). */
+function readICCSignature(dv, offset) {
+  return String.fromCharCode(
+    dv.getUint8(offset), dv.getUint8(offset + 1), dv.getUint8(offset + 2), dv.getUint8(offset + 3)
+  );
+}
 
-  // Extract profile description for the name
+/** Read the profile description ('desc' tag), or 'Custom CS'. */
+function readICCProfileName(dv, tags) {
+  const bytes = new Uint8Array(dv.buffer);
   let profileName = 'Custom CS';
   if (tags['desc']) {
     const descOff = tags['desc'].offset;
-    const descType = String.fromCharCode(
-      bytes[descOff], bytes[descOff+1], bytes[descOff+2], bytes[descOff+3]
-    );
+    const descType = readICCSignature(dv, descOff);
     if (descType === 'desc') {
       // ICC v2 'desc' type: 4 type + 4 reserved + 4 length + ASCII string
       const strLen = dv.getUint32(descOff + 8, false);
@@ -171,134 +496,237 @@ function parseICCProfile(buffer) {
       }
     }
   }
+  return profileName;
+}
 
-  // We need rXYZ, gXYZ, bXYZ for the 3×3 matrix
-  if (!tags['rXYZ'] || !tags['gXYZ'] || !tags['bXYZ']) {
-    throw new Error('Not a matrix-based RGB profile (missing XYZ tags)');
-  }
+// Largest XYZ difference between two white points still counted as equal
+// (covers the s15Fixed16 rounding of profile makers)
+const ICC_WHITE_TOLERANCE = 0.005;
 
-  // Read XYZ values (each tag: 4 type + 4 reserved + 12 XYZ data)
-  function readXYZTag(tag) {
-    const o = tag.offset + 8; // skip type signature + reserved
-    return [
-      readS15Fixed16(dv, o),
-      readS15Fixed16(dv, o + 4),
-      readS15Fixed16(dv, o + 8),
-    ];
-  }
+/** Whether two XYZ white points are equal within ICC_WHITE_TOLERANCE. */
+function isSameICCWhite(white1, white2) {
+  return white1.every((v, i) => Math.abs(v - white2[i]) <= ICC_WHITE_TOLERANCE);
+}
 
-  const rXYZ = readXYZTag(tags['rXYZ']);
-  const gXYZ = readXYZTag(tags['gXYZ']);
-  const bXYZ = readXYZTag(tags['bXYZ']);
+/**
+ * Read the white points of an ICC profile. The PCS is relative to the
+ * header illuminant (D50); 'chad' holds the adaptation from the
+ * device's native white to it. v2 profiles without 'chad' keep the
+ * native white in 'wtpt' and are (by convention) Bradford-adapted.
+ * @returns {{pcsWhite: number[], mediaWhite: number[], chad: number[][]|null,
+ *   nativeWhite: number[], pcsToNative: number[][]}} XYZ white points,
+ *   the 'chad' matrix and the PCS → native white adaptation
+ */
+function readICCWhitePoints(dv, tags) {
+  const headerWhite = readICCXYZNumber(dv, 68);
+  const pcsWhite = headerWhite[1] > 0 ? headerWhite : cielabWhiteXYZ('d50');
+  const mediaWhite = tags['wtpt'] ? readICCXYZNumber(dv, tags['wtpt'].offset + 8) : pcsWhite;
+  const chad = tags['chad']
+    ? [0, 1, 2].map(row => readICCXYZNumber(dv, tags['chad'].offset + 8 + row * 12))
+    : null;
 
-  // Build custom→XYZ matrix (D50 PCS, columns = primaries)
-  const customToXYZ_D50 = [
+  let pcsToNative = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  if (chad && mat3Invert(chad)) pcsToNative = mat3Invert(chad);
+  else if (!chad && !isSameICCWhite(mediaWhite, pcsWhite)) pcsToNative = bradfordAdaptation(pcsWhite, mediaWhite);
+
+  return { pcsWhite, mediaWhite, chad, nativeWhite: mat3Apply(pcsToNative, ...pcsWhite), pcsToNative };
+}
+
+/**
+ * Read the rXYZ/gXYZ/bXYZ colorants as a linear RGB → PCS XYZ matrix
+ * (columns = primaries; each tag: 4 type + 4 reserved + 12 XYZ data).
+ */
+function readICCColorantMatrix(dv, tags) {
+  const [rXYZ, gXYZ, bXYZ] = ['rXYZ', 'gXYZ', 'bXYZ'].map(sig => readICCXYZNumber(dv, tags[sig].offset + 8));
+  return [
     [rXYZ[0], gXYZ[0], bXYZ[0]],
     [rXYZ[1], gXYZ[1], bXYZ[1]],
     [rXYZ[2], gXYZ[2], bXYZ[2]],
   ];
+}
 
-  // Adapt from D50 to D65, then convert to linear sRGB
-  const customToXYZ_D65 = mat3Multiply(BRADFORD_D50_TO_D65, customToXYZ_D50);
-  const customToLinearSRGB = mat3Multiply(XYZ_TO_LINEAR_SRGB, customToXYZ_D65);
-  const linearSRGBToCustom = mat3Invert(customToLinearSRGB);
-  if (!linearSRGBToCustom) throw new Error('Singular matrix in ICC profile');
+/**
+ * Whether the colorants were stored unadapted: they add up to the
+ * native white rather than the PCS white (seen in some v2 profiles).
+ * Such colorants are already native XYZ.
+ */
+function hasUnadaptedColorants(colorantMatrix, white) {
+  const sum = colorantMatrix.map(row => row[0] + row[1] + row[2]);
+  return !isSameICCWhite(sum, white.pcsWhite) && isSameICCWhite(sum, white.nativeWhite);
+}
 
-  // Parse TRC (transfer response curve) tags
-  function parseTRC(tag) {
-    const o = tag.offset;
-    const type = String.fromCharCode(bytes[o], bytes[o+1], bytes[o+2], bytes[o+3]);
-
-    if (type === 'curv') {
-      const count = dv.getUint32(o + 8, false);
-      if (count === 0) {
-        // Linear
-        return { decode: v => v, encode: v => v };
-      } else if (count === 1) {
-        // Simple gamma: u8Fixed8Number
-        const gamma = dv.getUint16(o + 12, false) / 256;
-        return {
-          decode: v => Math.pow(Math.max(0, v), gamma),
-          encode: v => Math.pow(Math.max(0, v), 1 / gamma),
-        };
-      } else {
-        // Table-based curve: build forward + inverse LUT
-        const table = new Float64Array(count);
-        for (let i = 0; i < count; i++) {
-          table[i] = dv.getUint16(o + 12 + i * 2, false) / 65535;
-        }
-        const invSize = 4096;
-        const invTable = new Float64Array(invSize);
-        let ti = 0;
-        for (let i = 0; i < invSize; i++) {
-          const target = i / (invSize - 1);
-          while (ti < count - 2 && table[ti + 1] < target) ti++;
-          const t0 = table[ti], t1 = table[Math.min(ti + 1, count - 1)];
-          const frac = t1 > t0 ? (target - t0) / (t1 - t0) : 0;
-          invTable[i] = (ti + frac) / (count - 1);
-        }
-        return {
-          decode: v => {
-            const x = Math.max(0, Math.min(1, v)) * (count - 1);
-            const lo = Math.floor(x), hi = Math.min(lo + 1, count - 1);
-            return table[lo] + (table[hi] - table[lo]) * (x - lo);
-          },
-          encode: v => {
-            const x = Math.max(0, Math.min(1, v)) * (invSize - 1);
-            const lo = Math.floor(x), hi = Math.min(lo + 1, invSize - 1);
-            return invTable[lo] + (invTable[hi] - invTable[lo]) * (x - lo);
-          },
-        };
+// Number of parameters of each 'para' function type (0–4)
+const ICC_PARA_PARAMETER_COUNTS = [1, 3, 4, 5, 7];
+
+/**
+ * Parse a 'curv' or 'para' curve at a byte offset.
+ * @returns {{decode: function, encode: function, size: number, description: string,
+ *   isMonotonic: boolean, isApproximate?: boolean}} Forward (decode) and
+ *   inverse (encode) curve, the size in bytes, and for the profile info
+ *   a short description, monotonicity and whether the curve had to be
+ *   approximated (unsupported type)
+ */
+function parseICCCurve(dv, o) {
+  const type = readICCSignature(dv, o);
+
+  if (type === 'curv') {
+    const count = dv.getUint32(o + 8, false);
+    const size = 12 + count * 2;
+    if (count === 0) {
+      // Linear
+      return { decode: v => v, encode: v => v, size, description: 'linear', isMonotonic: true };
+    } else if (count === 1) {
+      // Simple gamma: u8Fixed8Number
+      const gamma = dv.getUint16(o + 12, false) / 256;
+      return {
+        decode: v => Math.pow(Math.max(0, v), gamma),
+        encode: v => Math.pow(Math.max(0, v), 1 / gamma),
+        size,
+        description: `gamma ${gamma.toFixed(2)}`,
+        isMonotonic: gamma > 0,
+      };
+    } else {
+      // Table-based curve: build forward + inverse LUT
+      const table = new Float64Array(count);
+      let isMonotonic = true;
+      for (let i = 0; i < count; i++) {
+        table[i] = dv.getUint16(o + 12 + i * 2, false) / 65535;
+        if (i > 0 && table[i] < table[i - 1]) isMonotonic = false;
       }
+      const invSize = 4096;
+      const invTable = new Float64Array(invSize);
+      let ti = 0;
+      for (let i = 0; i < invSize; i++) {
+        const target = i / (invSize - 1);
+        while (ti < count - 2 && table[ti + 1] < target) ti++;
+        const t0 = table[ti], t1 = table[Math.min(ti + 1, count - 1)];
+        const frac = t1 > t0 ? (target - t0) / (t1 - t0) : 0;
+        invTable[i] = (ti + frac) / (count - 1);
+      }
+      return {
+        decode: v => {
+          const x = Math.max(0, Math.min(1, v)) * (count - 1);
+          const lo = Math.floor(x), hi = Math.min(lo + 1, count - 1);
+          return table[lo] + (table[hi] - table[lo]) * (x - lo);
+        },
+        encode: v => {
+          const x = Math.max(0, Math.min(1, v)) * (invSize - 1);
+          const lo = Math.floor(x), hi = Math.min(lo + 1, invSize - 1);
+          return invTable[lo] + (invTable[hi] - invTable[lo]) * (x - lo);
+        },
+        size,
+        description: `table (${count} entries)`,
+        isMonotonic,
+      };
     }
+  }
 
-    if (type === 'para') {
-      const funcType = dv.getUint16(o + 8, false);
-      const p = (idx) => readS15Fixed16(dv, o + 12 + idx * 4);
-      if (funcType === 0) {
-        const g = p(0);
-        return {
-          decode: v => Math.pow(Math.max(0, v), g),
-          encode: v => Math.pow(Math.max(0, v), 1/g),
-        };
-      } else if (funcType === 3) {
-        // Y = (aX+b)^g if X>=d, else cX   (sRGB-like)
-        const g = p(0), a = p(1), b = p(2), c = p(3), d = p(4);
-        return {
-          decode: v => v >= d ? Math.pow(a * v + b, g) : c * v,
-          encode: v => {
-            const cutoff = c * d;
-            if (v <= cutoff && c !== 0) return v / c;
-            return (Math.pow(Math.max(0, v), 1/g) - b) / a;
-          },
-        };
-      } else if (funcType === 4) {
-        const g = p(0), a = p(1), b = p(2), c = p(3), d = p(4), e = p(5), f = p(6);
-        return {
-          decode: v => v >= d ? Math.pow(a * v + b, g) + e : c * v + f,
-          encode: v => {
-            const cutoff = c * d + f;
-            if (v <= cutoff && c !== 0) return (v - f) / c;
-            return (Math.pow(Math.max(0, v - e), 1/g) - b) / a;
-          },
-        };
-      }
-      // Fallback for other parametric types: treat as gamma-only
+  if (type === 'para') {
+    const funcType = dv.getUint16(o + 8, false);
+    const size = 12 + 4 * (ICC_PARA_PARAMETER_COUNTS[funcType] || 1);
+    const p = (idx) => readS15Fixed16(dv, o + 12 + idx * 4);
+    if (funcType === 0) {
       const g = p(0);
       return {
         decode: v => Math.pow(Math.max(0, v), g),
         encode: v => Math.pow(Math.max(0, v), 1/g),
+        size,
+        description: `parametric gamma ${g.toFixed(2)}`,
+        isMonotonic: g > 0,
+      };
+    } else if (funcType === 3) {
+      // Y = (aX+b)^g if X>=d, else cX   (sRGB-like)
+      const g = p(0), a = p(1), b = p(2), c = p(3), d = p(4);
+      return {
+        decode: v => v >= d ? Math.pow(a * v + b, g) : c * v,
+        encode: v => {
+          const cutoff = c * d;
+          if (v <= cutoff && c !== 0) return v / c;
+          return (Math.pow(Math.max(0, v), 1/g) - b) / a;
+        },
+        size,
+        description: `parametric type 3 (γ ${g.toFixed(2)}, linear toe)`,
+        isMonotonic: g > 0 && a > 0 && c >= 0,
+      };
+    } else if (funcType === 4) {
+      const g = p(0), a = p(1), b = p(2), c = p(3), d = p(4), e = p(5), f = p(6);
+      return {
+        decode: v => v >= d ? Math.pow(a * v + b, g) + e : c * v + f,
+        encode: v => {
+          const cutoff = c * d + f;
+          if (v <= cutoff && c !== 0) return (v - f) / c;
+          return (Math.pow(Math.max(0, v - e), 1/g) - b) / a;
+        },
+        size,
+        description: `parametric type 4 (γ ${g.toFixed(2)}, toe, offsets)`,
+        isMonotonic: g > 0 && a > 0 && c >= 0,
       };
     }
+    // Fallback for other parametric types: treat as gamma-only
+    const g = p(0);
+    return {
+      decode: v => Math.pow(Math.max(0, v), g),
+      encode: v => Math.pow(Math.max(0, v), 1/g),
+      size,
+      description: `parametric type ${funcType} (read as gamma ${g.toFixed(2)})`,
+      isMonotonic: g > 0,
+      isApproximate: true,
+    };
+  }
 
-    // Unknown TRC type → assume sRGB
-    return { decode: gammaToLinear, encode: linearToGamma };
+  // Unknown TRC type → assume sRGB
+  return {
+    decode: gammaToLinear, encode: linearToGamma, size: 12,
+    description: `unknown '${type}' (read as sRGB)`,
+    isMonotonic: true,
+    isApproximate: true,
+  };
+}
+
+/**
+ * Parse an ICC profile ArrayBuffer and return a working CS object.
+ * Supports matrix-based RGB profiles (rXYZ/gXYZ/bXYZ + TRC tags)
+ * and LUT-based RGB profiles (A2B/B2A tags, see icc-lut.js).
+ * Matrix profiles are brought back to their native white (undoing
+ * 'chad') and then adapted to D65 with the chosen transform.
+ * @param {string} [adaptationId] - CHROMATIC_ADAPTATIONS id
+ * @throws {Error} if the profile is unsupported
+ */
+function parseICCProfile(buffer, adaptationId = iccAdaptation) {
+  const dv = new DataView(buffer);
+  const tags = readICCTagTable(dv);
+  const profileName = readICCProfileName(dv, tags);
+
+  const colorSpace = readICCSignature(dv, 16);
+  if (colorSpace !== 'RGB ') {
+    throw new Error(`Not an RGB profile (${colorSpace.trim()}): load it as a proofing profile instead`);
   }
 
-  // Parse the three TRC channels
-  const rTRC = tags['rTRC'] ? parseTRC(tags['rTRC']) : { decode: gammaToLinear, encode: linearToGamma };
-  const gTRC = tags['gTRC'] ? parseTRC(tags['gTRC']) : { decode: gammaToLinear, encode: linearToGamma };
-  const bTRC = tags['bTRC'] ? parseTRC(tags['bTRC']) : { decode: gammaToLinear, encode: linearToGamma };
+  // Without rXYZ, gXYZ, bXYZ there is no 3×3 matrix: use the LUTs
+  if (!tags['rXYZ'] || !tags['gXYZ'] || !tags['bXYZ']) {
+    if (tags['A2B0'] || tags['A2B1']) return createLutWorkingCS(parseICCLutProfile(buffer));
+    throw new Error('Not a matrix-based RGB profile (missing XYZ tags) and no A2B LUTs');
+  }
+
+  // Build custom→XYZ matrix (D50 PCS, columns = primaries)
+  const customToPCS = readICCColorantMatrix(dv, tags);
+
+  // Back to the native white, then adapt to D65 and convert to linear sRGB
+  const white = readICCWhitePoints(dv, tags);
+  const customToNative = hasUnadaptedColorants(customToPCS, white)
+    ? customToPCS
+    : mat3Multiply(white.pcsToNative, customToPCS);
+  const nativeToD65 = adaptationMatrix(adaptationId, white.nativeWhite, cielabWhiteXYZ('d65'));
+  const customToXYZ_D65 = mat3Multiply(nativeToD65, customToNative);
+  const customToLinearSRGB = mat3Multiply(XYZ_TO_LINEAR_SRGB, customToXYZ_D65);
+  const linearSRGBToCustom = mat3Invert(customToLinearSRGB);
+  if (!linearSRGBToCustom) throw new Error('Singular matrix in ICC profile');
+
+  // Parse the three TRC (transfer response curve) channels
+  const srgbTRC = { decode: gammaToLinear, encode: linearToGamma };
+  const rTRC = tags['rTRC'] ? parseICCCurve(dv, tags['rTRC'].offset) : srgbTRC;
+  const gTRC = tags['gTRC'] ? parseICCCurve(dv, tags['gTRC'].offset) : srgbTRC;
+  const bTRC = tags['bTRC'] ? parseICCCurve(dv, tags['bTRC'].offset) : srgbTRC;
 
   // Build per-channel decode/encode (handles profiles with different per-channel curves)
   function decode(v, ch) {
@@ -319,37 +747,55 @@ function parseICCProfile(buffer) {
     decode: (v, ch) => decode(v, ch),
     encode: (v, ch) => encode(v, ch),
     perChannelTRC: true,
+    toSRGBMatrix: customToLinearSRGB,
+    fromSRGBMatrix: linearSRGBToCustom,
   };
 }
 
+/** Encode raw profile bytes as base64 (for persistence). */
+function bufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
+
+/** Decode base64 profile bytes to an ArrayBuffer. */
+function base64ToBuffer(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes.buffer;
+}
+
 /**
- * Handle ICC file import from the file input.
+ * Handle ICC file import from the file input: each file is added to
+ * the profile library and the last one becomes the working CS.
  */
 async function handleICCImport(input) {
   if (!input.files || !input.files[0]) return;
-  try {
-    const buffer = await input.files[0].arrayBuffer();
-    workingCS = parseICCProfile(buffer);
-    // Cache the raw profile bytes for persistence
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
-    iccProfileBase64 = btoa(binary);
-    updateWorkingCSDisplay();
-    renderAll();
-    scheduleSave();
-  } catch (err) {
-    alert('Failed to load ICC profile:\n' + err.message);
+  let added = -1;
+  for (const file of input.files) {
+    try {
+      added = addICCProfile(await file.arrayBuffer());
+    } catch (err) {
+      alert(`Failed to load ICC profile ${file.name}:\n` + err.message);
+    }
+  }
+  if (added >= 0) {
+    useICCProfile(added);
+    onICCLibraryChanged();
   }
   input.value = ''; // allow re-importing the same file
 }
 
 /**
  * Reset working CS to the default (P3 if supported, else sRGB).
+ * The ICC library is kept.
  */
 function resetWorkingCS() {
   workingCS = isDisplayP3Supported ? createP3WorkingCS() : createSRGBWorkingCS();
-  iccProfileBase64 = null;
+  workingCSId = isDisplayP3Supported ? 'display-p3' : 'srgb';
   updateWorkingCSDisplay();
   renderAll();
   scheduleSave();
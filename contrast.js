@@ -0,0 +1,342 @@
+// ================================================================
+//  CONTRAST CHECKER
+//  Pairs the current color with a second color (as text on that
+//  background, or as the background behind it) and measures:
+//    WCAG 2.x  contrast ratio (1–21) from relative luminance
+//    APCA      Lc (about −108 to 106), SAPC-APCA 0.0.98G-4g
+//  Both are computed on the sRGB color shown in the sRGB hex field,
+//  i.e. after gamut mapping with the selected method.
+//
+//  While the panel is open, the picker shows the iso-contrast
+//  contour of the selected target, and "Fix L" moves the current
+//  lightness to the nearest value that passes it.
+// ================================================================
+
+const CONTRAST_TARGETS = [
+  { id: 'wcag-aa-large', name: 'WCAG AA large (3:1)',     metric: 'wcag', threshold: 3 },
+  { id: 'wcag-aa',       name: 'WCAG AA (4.5:1)',         metric: 'wcag', threshold: 4.5 },
+  { id: 'wcag-aaa',      name: 'WCAG AAA (7:1)',          metric: 'wcag', threshold: 7 },
+  { id: 'apca-45',       name: 'APCA Lc 45 (large text)', metric: 'apca', threshold: 45 },
+  { id: 'apca-60',       name: 'APCA Lc 60 (content)',    metric: 'apca', threshold: 60 },
+  { id: 'apca-75',       name: 'APCA Lc 75 (body text)',  metric: 'apca', threshold: 75 },
+  { id: 'apca-90',       name: 'APCA Lc 90 (preferred)',  metric: 'apca', threshold: 90 },
+];
+
+// WCAG 2.x levels shown as pass/fail badges
+const WCAG_LEVELS = [
+  { name: 'AA',        threshold: 4.5 },
+  { name: 'AAA',       threshold: 7 },
+  { name: 'AA large',  threshold: 3 },
+  { name: 'AAA large', threshold: 4.5 },
+];
+
+// APCA Lc levels shown as pass/fail badges
+const APCA_LEVELS = [45, 60, 75, 90];
+
+// SAPC-APCA 0.0.98G-4g constants
+const APCA_MAIN_TRC = 2.4;
+const APCA_NORM_BG = 0.56, APCA_NORM_TXT = 0.57;
+const APCA_REV_TXT = 0.62, APCA_REV_BG = 0.65;
+const APCA_BLACK_THRESHOLD = 0.022, APCA_BLACK_CLAMP = 1.414;
+const APCA_SCALE = 1.14, APCA_LOW_OFFSET = 0.027;
+const APCA_DELTA_Y_MIN = 0.0005, APCA_LOW_CLIP = 0.1;
+
+// Picker contour sampling step (px) and the "Fix L" search resolution
+const CONTRAST_CONTOUR_STEP = 3;
+const CONTRAST_FIX_STEPS = 500;
+
+
+// ── Contrast math ──
+
+/** WCAG 2.x relative luminance of a linear sRGB color (channels 0–1). */
+function wcagRelativeLuminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** WCAG 2.x contrast ratio between two relative luminances (order-free). */
+function wcagContrastRatio(Y1, Y2) {
+  return (Math.max(Y1, Y2) + 0.05) / (Math.min(Y1, Y2) + 0.05);
+}
+
+/**
+ * APCA screen luminance of a linear sRGB color: APCA re-encodes with
+ * the sRGB curve and linearizes with a plain 2.4 exponent.
+ */
+function apcaLuminance(r, g, b) {
+  const channel = (v) => linearToGamma(v) ** APCA_MAIN_TRC;
+  return 0.2126729 * channel(r) + 0.7151522 * channel(g) + 0.0721750 * channel(b);
+}
+
+/**
+ * APCA lightness contrast Lc of text on a background. Positive for
+ * dark text on a light background, negative for light on dark.
+ */
+function apcaContrast(textY, backgroundY) {
+  const softClamp = (Y) => Y > APCA_BLACK_THRESHOLD
+    ? Y
+    : Y + (APCA_BLACK_THRESHOLD - Y) ** APCA_BLACK_CLAMP;
+  const txt = softClamp(textY);
+  const bg = softClamp(backgroundY);
+  if (Math.abs(bg - txt) < APCA_DELTA_Y_MIN) return 0;
+
+  if (bg > txt) {
+    const sapc = (bg ** APCA_NORM_BG - txt ** APCA_NORM_TXT) * APCA_SCALE;
+    return sapc < APCA_LOW_CLIP ? 0 : (sapc - APCA_LOW_OFFSET) * 100;
+  }
+  const sapc = (bg ** APCA_REV_BG - txt ** APCA_REV_TXT) * APCA_SCALE;
+  return sapc > -APCA_LOW_CLIP ? 0 : (sapc + APCA_LOW_OFFSET) * 100;
+}
+
+/** Linear sRGB (clamped to 0–1) of an OKLab color after sRGB gamut mapping. */
+function contrastLinearSRGB(L, a, b) {
+  const mapped = gamutMapOKLab(SRGB_GAMUT_CS, L, a, b);
+  return oklabToLinearSRGB(...mapped).map(clamp01);
+}
+
+/**
+ * Contrast between an OKLab color and the paired color, with the
+ * color in the current color's role.
+ * @returns {{wcag: number, apca: number}} WCAG ratio and APCA Lc
+ */
+function contrastWithPartner(L, a, b) {
+  const own = contrastLinearSRGB(L, a, b);
+  const partner = contrastLinearSRGB(...contrastPartner);
+  const isText = contrastCurrentRole === 'text';
+  const textRGB = isText ? own : partner;
+  const backgroundRGB = isText ? partner : own;
+  return {
+    wcag: wcagContrastRatio(wcagRelativeLuminance(...own), wcagRelativeLuminance(...partner)),
+    apca: apcaContrast(apcaLuminance(...textRGB), apcaLuminance(...backgroundRGB)),
+  };
+}
+
+/** The selected contrast target (see CONTRAST_TARGETS). */
+function activeContrastTarget() {
+  return CONTRAST_TARGETS.find(t => t.id === contrastTarget) || CONTRAST_TARGETS[1];
+}
+
+/** Luminance of a linear sRGB color as used by a target's metric. */
+function contrastTargetLuminance(target, rgb) {
+  return target.metric === 'apca' ? apcaLuminance(...rgb) : wcagRelativeLuminance(...rgb);
+}
+
+/**
+ * Whether a color meets a target against the paired color, given
+ * both luminances from contrastTargetLuminance (only the target's
+ * metric is computed, which keeps the contour and search cheap).
+ */
+function meetsContrastTarget(target, ownY, partnerY) {
+  if (target.metric === 'apca') {
+    const lc = contrastCurrentRole === 'text'
+      ? apcaContrast(ownY, partnerY)
+      : apcaContrast(partnerY, ownY);
+    return Math.abs(lc) >= target.threshold;
+  }
+  return wcagContrastRatio(ownY, partnerY) >= target.threshold;
+}
+
+/**
+ * Lightness nearest to L at which (L, a, b) meets the selected
+ * target, keeping a and b. Scans L in [0, 1], then bisects the
+ * crossing so the move is as small as possible.
+ * @returns {number|null} Passing lightness, or null if none passes
+ */
+function findNearestPassingLightness(L, a, b) {
+  const target = activeContrastTarget();
+  const partnerY = contrastTargetLuminance(target, contrastLinearSRGB(...contrastPartner));
+  const passes = (candidate) =>
+    meetsContrastTarget(target, contrastTargetLuminance(target, contrastLinearSRGB(candidate, a, b)), partnerY);
+
+  if (passes(L)) return L;
+  let best = null;
+  for (let i = 0; i <= CONTRAST_FIX_STEPS; i++) {
+    const candidate = i / CONTRAST_FIX_STEPS;
+    if (passes(candidate) &&
+        (best === null || Math.abs(candidate - L) < Math.abs(best - L))) {
+      best = candidate;
+    }
+  }
+  if (best === null) return null;
+
+  // Bisect between the failing current L and the passing sample
+  let failing = L, passing = best;
+  for (let i = 0; i < 20; i++) {
+    const mid = (failing + passing) / 2;
+    if (passes(mid)) passing = mid;
+    else failing = mid;
+  }
+  return passing;
+}
+
+
+// ── Iso-contrast contour on the picker ──
+
+let contrastContourPoints = null;
+let contrastContourKey = null;
+
+/**
+ * Recompute the contour of the selected target over the picker
+ * (a,b plane at the current L, or the Okhsv/Okhsl square at the
+ * current hue). Cached until the picker or the contrast pair changes.
+ */
+function updateContrastContour() {
+  const okhsxHue = pickerMode === 'oklab' ? null : currentOkHue();
+  const key = JSON.stringify([
+    pickerMode, pickerMode === 'oklab' ? currentL : okhsxHue, workingCS.name,
+    contrastPartner, contrastCurrentRole, contrastTarget, gamutMappingMode,
+  ]);
+  if (key === contrastContourKey) return;
+  contrastContourKey = key;
+
+  const cells = Math.floor((PICKER_SIZE - 1) / CONTRAST_CONTOUR_STEP) + 1;
+  const slice = okhsxHue === null ? null : createOkHueSlice(okhsxGamutModel(), okhsxHue);
+  const toOklab = pickerMode === 'okhsl' ? okhslToOklabAtHue : okhsvToOklabAtHue;
+  const target = activeContrastTarget();
+  const partnerY = contrastTargetLuminance(target, contrastLinearSRGB(...contrastPartner));
+  const passes = new Uint8Array(cells * cells);
+  for (let j = 0; j < cells; j++) {
+    const y = j * CONTRAST_CONTOUR_STEP;
+    for (let i = 0; i < cells; i++) {
+      const x = i * CONTRAST_CONTOUR_STEP;
+      let lab;
+      if (slice) {
+        lab = toOklab(slice, x / (PICKER_SIZE - 1), 1 - y / (PICKER_SIZE - 1));
+      } else {
+        const step = (2 * AB_RANGE) / (PICKER_SIZE - 1);
+        lab = [currentL, -AB_RANGE + x * step, AB_RANGE - y * step];
+      }
+      const ownY = contrastTargetLuminance(target, contrastLinearSRGB(...lab));
+      passes[j * cells + i] = meetsContrastTarget(target, ownY, partnerY) ? 1 : 0;
+    }
+  }
+
+  // Cells whose right or lower neighbor is on the other side
+  contrastContourPoints = [];
+  for (let j = 0; j < cells; j++) {
+    for (let i = 0; i < cells; i++) {
+      const here = passes[j * cells + i];
+      if ((i + 1 < cells && passes[j * cells + i + 1] !== here) ||
+          (j + 1 < cells && passes[(j + 1) * cells + i] !== here)) {
+        contrastContourPoints.push(i * CONTRAST_CONTOUR_STEP, j * CONTRAST_CONTOUR_STEP);
+      }
+    }
+  }
+}
+
+/** Draw the iso-contrast contour on the picker (only while the panel is open). */
+function drawContrastContour() {
+  if (!isContrastOpen) return;
+  updateContrastContour();
+  const points = contrastContourPoints;
+  abPickerContext.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  for (let k = 0; k < points.length; k += 2) {
+    abPickerContext.fillRect(points[k] - 1.5, points[k + 1] - 1.5, 3, 3);
+  }
+  abPickerContext.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  for (let k = 0; k < points.length; k += 2) {
+    abPickerContext.fillRect(points[k] - 0.75, points[k + 1] - 0.75, 1.5, 1.5);
+  }
+}
+
+
+// ── Panel ──
+
+/** Update the sample, ratio, Lc and pass/fail badges. */
+function updateContrastPanel() {
+  const isText = contrastCurrentRole === 'text';
+  const current = displayCSSColor(currentL, currentA, currentB);
+  const partner = displayCSSColor(...contrastPartner);
+  const sample = document.getElementById('contrast-sample');
+  sample.style.color = isText ? current : partner;
+  sample.style.background = isText ? partner : current;
+
+  const { wcag, apca } = contrastWithPartner(currentL, currentA, currentB);
+  const badge = (name, pass) =>
+    `<span class="${pass ? 'in-gamut' : 'out-of-gamut'}">${pass ? '✓' : '✗'} ${name}</span>`;
+  document.getElementById('contrast-wcag-value').textContent = `${wcag.toFixed(2)}:1`;
+  document.getElementById('contrast-wcag-badges').innerHTML =
+    WCAG_LEVELS.map(level => badge(level.name, wcag >= level.threshold)).join(' ');
+  document.getElementById('contrast-apca-value').textContent = `Lc ${apca.toFixed(1)}`;
+  document.getElementById('contrast-apca-badges').innerHTML =
+    APCA_LEVELS.map(level => badge(level, Math.abs(apca) >= level)).join(' ');
+
+  const field = document.getElementById('contrast-partner-value');
+  if (document.activeElement !== field) {
+    field.textContent = `oklab(${contrastPartner.map(v => v.toFixed(3)).join(' ')})`;
+  }
+}
+
+/** Sync the role tabs and target select with the current state. */
+function updateContrastDisplay() {
+  document.getElementById('tab-contrast-text').classList.toggle('tab-active', contrastCurrentRole === 'text');
+  document.getElementById('tab-contrast-background').classList.toggle('tab-active', contrastCurrentRole === 'background');
+  const select = document.getElementById('contrast-target-select');
+  if (select.options.length === 0) {
+    for (const target of CONTRAST_TARGETS) select.add(new Option(target.name, target.id));
+  }
+  select.value = contrastTarget;
+}
+
+/** Redraw everything that depends on the contrast pair or target. */
+function onContrastChanged() {
+  updateContrastDisplay();
+  updateContrastPanel();
+  drawABPicker();
+  scheduleSave();
+}
+
+function toggleContrastPanel() {
+  isContrastOpen = !isContrastOpen;
+  document.getElementById('contrast-panel').classList.toggle('open', isContrastOpen);
+  document.getElementById('contrast-toggle-button').classList.toggle('active', isContrastOpen);
+  onContrastChanged();
+}
+
+/** Choose whether the current color is the text or the background. */
+function setContrastRole(role) {
+  contrastCurrentRole = role === 'background' ? 'background' : 'text';
+  onContrastChanged();
+}
+
+/** Select the target used by the contour and "Fix L". */
+function setContrastTarget(id) {
+  if (!CONTRAST_TARGETS.some(t => t.id === id)) return;
+  contrastTarget = id;
+  onContrastChanged();
+}
+
+/** Set the paired color (OKLab). */
+function setContrastPartner(lab) {
+  contrastPartner = [clamp01(lab[0]), lab[1], lab[2]];
+  onContrastChanged();
+}
+
+/** Use the current color as the paired color. */
+function setContrastPartnerFromCurrent() {
+  setContrastPartner([currentL, currentA, currentB]);
+}
+
+/** Swap the current and paired colors. */
+function swapContrastColors() {
+  const partner = contrastPartner;
+  contrastPartner = [currentL, currentA, currentB];
+  commitEditedColor(...partner);
+  onContrastChanged();
+}
+
+/**
+ * Move the current color's L to the nearest value that meets the
+ * selected target. Flashes ✗ on the button if no lightness does.
+ */
+function fixContrastLightness(button) {
+  const L = findNearestPassingLightness(currentL, currentA, currentB);
+  if (L === null) {
+    const originalText = button.textContent;
+    button.textContent = '✗';
+    setTimeout(() => {
+      button.textContent = originalText;
+    }, 700);
+    return;
+  }
+  commitEditedColor(L, currentA, currentB);
+}
@@ -0,0 +1,180 @@
+// ================================================================
+//  COPY FORMATS
+//  A user-defined list of output strings for the current color,
+//  each built from a template, a color space and a precision, with
+//  a copy button. Template tokens:
+//    {r} {g} {b}   channels (0–1) in the format's space, gamut-mapped
+//    {R} {G} {B}   the same channels as 0–255 integers
+//    {hex}         #rrggbb in the format's space
+//    {L} {C} {h}   OKLCH lightness, chroma and hue
+//    {A} {Bk}      OKLab a and b
+//  Numbers are written with the format's number of decimals.
+// ================================================================
+
+const COPY_FORMAT_SPACES = [
+  { id: 'srgb',              name: 'sRGB',              cs: () => SRGB_GAMUT_CS },
+  { id: 'srgb-linear',       name: 'Linear sRGB',       cs: () => SRGB_GAMUT_CS, linear: true },
+  { id: 'display-p3',        name: 'Display P3',        cs: () => P3_GAMUT_CS },
+  { id: 'display-p3-linear', name: 'Linear Display P3', cs: () => P3_GAMUT_CS, linear: true },
+  { id: 'working',           name: 'Working CS',        cs: () => workingCS },
+];
+
+const COPY_FORMAT_PRECISION_MAX = 8;
+
+/** The built-in formats (also used by "Reset"). */
+function defaultCopyFormats() {
+  return [
+    { name: 'CSS oklch',  template: 'oklch({L} {C} {h})',                            space: 'srgb',        precision: 3 },
+    { name: 'CSS P3',     template: 'color(display-p3 {r} {g} {b})',                 space: 'display-p3',  precision: 4 },
+    { name: 'CSS rgb',    template: 'rgb({R} {G} {B})',                              space: 'srgb',        precision: 0 },
+    { name: 'Swift',      template: 'UIColor(red: {r}, green: {g}, blue: {b}, alpha: 1)', space: 'srgb',   precision: 3 },
+    { name: 'Android',    template: 'Color.valueOf({r}f, {g}f, {b}f)',               space: 'srgb',        precision: 4 },
+    { name: 'Unity',      template: 'new Color({r}f, {g}f, {b}f)',                   space: 'srgb',        precision: 4 },
+    { name: 'GLSL',       template: 'vec3({r}, {g}, {b})',                           space: 'srgb-linear', precision: 4 },
+    { name: 'Unreal',     template: 'FLinearColor({r}f, {g}f, {b}f)',                space: 'srgb-linear', precision: 4 },
+  ];
+}
+
+/** Fill a format's template for an OKLab color. */
+function formatCopyText(format, L, a, b) {
+  const space = COPY_FORMAT_SPACES.find(s => s.id === format.space) || COPY_FORMAT_SPACES[0];
+  const cs = space.cs();
+  const [mappedL, mappedA, mappedB] = gamutMapOKLab(cs, L, a, b);
+  const linear = cs.fromLinearSRGB(...oklabToLinearSRGB(mappedL, mappedA, mappedB));
+  let channels;
+  if (space.linear) channels = linear;
+  else if (cs.perChannelTRC) channels = linear.map((v, i) => cs.encode(v, i));
+  else channels = linear.map(v => cs.encode(v));
+  channels = channels.map(clamp01);
+
+  const [chroma, hue] = oklabToOklch(a, b);
+  const fixed = (v) => v.toFixed(format.precision);
+  const values = {
+    r: fixed(channels[0]), g: fixed(channels[1]), b: fixed(channels[2]),
+    R: String(Math.round(channels[0] * 255)),
+    G: String(Math.round(channels[1] * 255)),
+    B: String(Math.round(channels[2] * 255)),
+    hex: rgbToHex(...channels),
+    L: fixed(L), C: fixed(chroma), h: fixed(hue),
+    A: fixed(a), Bk: fixed(b),
+  };
+  return format.template.replace(/\{(\w+)\}/g, (token, key) => (key in values ? values[key] : token));
+}
+
+
+// ── Panel ──
+
+/** Update the format rows and the editor for the selected format. */
+function updateCopyFormatsPanel() {
+  if (!isCopyFormatsOpen) return;
+  const list = document.getElementById('copy-formats-list');
+  if (list.children.length !== copyFormats.length) {
+    list.replaceChildren(...copyFormats.map((_, i) => {
+      const row = document.createElement('div');
+      row.className = 'hex-row';
+      const label = document.createElement('label');
+      label.title = 'Edit this format';
+      label.onclick = () => selectCopyFormat(i);
+      const value = document.createElement('span');
+      value.className = 'hex-value copy-format-value';
+      value.id = `copy-format-value-${i}`;
+      const copy = document.createElement('button');
+      copy.className = 'copy-button';
+      copy.textContent = '📋';
+      copy.onclick = () => copyToClipboard(copy, value.id);
+      row.append(label, value, copy);
+      return row;
+    }));
+  }
+  copyFormats.forEach((format, i) => {
+    const [label, value] = list.children[i].children;
+    label.textContent = format.name.length > 10 ? format.name.slice(0, 9) + '…:' : format.name + ':';
+    label.classList.toggle('selected', i === selectedCopyFormat);
+    value.textContent = formatCopyText(format, currentL, currentA, currentB);
+  });
+
+  // Editor
+  const format = copyFormats[selectedCopyFormat];
+  const editor = document.getElementById('copy-format-editor');
+  editor.style.display = format ? '' : 'none';
+  if (!format) return;
+  const select = document.getElementById('copy-format-space-select');
+  if (select.options.length === 0) {
+    for (const space of COPY_FORMAT_SPACES) select.add(new Option(space.name, space.id));
+  }
+  select.value = format.space;
+  const fields = {
+    'copy-format-name-value':      format.name,
+    'copy-format-template-value':  format.template,
+    'copy-format-precision-value': String(format.precision),
+  };
+  for (const [id, text] of Object.entries(fields)) {
+    if (document.activeElement !== document.getElementById(id)) document.getElementById(id).textContent = text;
+  }
+}
+
+function toggleCopyFormatsPanel() {
+  isCopyFormatsOpen = !isCopyFormatsOpen;
+  document.getElementById('copy-formats-panel').classList.toggle('open', isCopyFormatsOpen);
+  document.getElementById('copy-formats-toggle-button').classList.toggle('active', isCopyFormatsOpen);
+  updateCopyFormatsPanel();
+  scheduleSave();
+}
+
+/** Called after any format edit: redraw and save. */
+function onCopyFormatsChanged() {
+  updateCopyFormatsPanel();
+  scheduleSave();
+}
+
+/** Select the format shown in the editor. */
+function selectCopyFormat(index) {
+  if (index < 0 || index >= copyFormats.length) return;
+  selectedCopyFormat = index;
+  onCopyFormatsChanged();
+}
+
+/** Edit a property of the selected format. */
+function setCopyFormatName(name) {
+  if (name.trim()) copyFormats[selectedCopyFormat].name = name.trim();
+  onCopyFormatsChanged();
+}
+
+function setCopyFormatTemplate(template) {
+  if (template.trim()) copyFormats[selectedCopyFormat].template = template.trim();
+  onCopyFormatsChanged();
+}
+
+function setCopyFormatSpace(id) {
+  if (!COPY_FORMAT_SPACES.some(s => s.id === id)) return;
+  copyFormats[selectedCopyFormat].space = id;
+  onCopyFormatsChanged();
+}
+
+function setCopyFormatPrecision(precision) {
+  copyFormats[selectedCopyFormat].precision = Math.max(0, Math.min(COPY_FORMAT_PRECISION_MAX, Math.round(precision)));
+  onCopyFormatsChanged();
+}
+
+/** Add a format (a copy of the selected one) and select it. */
+function addCopyFormat() {
+  const source = copyFormats[selectedCopyFormat] || defaultCopyFormats()[0];
+  copyFormats.push({ ...source, name: `Format ${copyFormats.length + 1}` });
+  selectedCopyFormat = copyFormats.length - 1;
+  onCopyFormatsChanged();
+}
+
+/** Remove the selected format. */
+function removeCopyFormat() {
+  copyFormats.splice(selectedCopyFormat, 1);
+  selectedCopyFormat = Math.max(0, Math.min(selectedCopyFormat, copyFormats.length - 1));
+  onCopyFormatsChanged();
+}
+
+/** Restore the built-in formats after confirmation. */
+function resetCopyFormats() {
+  if (!confirm('Replace all formats with the built-in ones?')) return;
+  copyFormats = defaultCopyFormats();
+  selectedCopyFormat = 0;
+  onCopyFormatsChanged();
+}
@@ -0,0 +1,243 @@
+// ================================================================
+//  CSS COLOR PARSER
+//  Parses CSS Color 4 <color> strings into OKLab:
+//    #rgb #rgba #rrggbb #rrggbbaa, named colors,
+//    rgb() rgba() hsl() hsla() hwb() lab() lch() oklab() oklch()
+//    color(<space> r g b)
+//  Both the modern space-separated and the legacy comma syntax are
+//  accepted, as are percentages and 'none' components. Alpha is
+//  validated but discarded (the picker has no alpha channel).
+// ================================================================
+
+/** CSS named colors (CSS Color 4 §6.1) as 6-digit hex. */
+const CSS_NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+  azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+  blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+  burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+  coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+  darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+  darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+  fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+  goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+  grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+  lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+  linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+  midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+  olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+  palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+  papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+  plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+  salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+  sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+  slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+  steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+  white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32',
+  transparent: '000000',
+};
+
+/**
+ * Parse one numeric component. Percentages are scaled so that 100%
+ * equals percentReference; 'none' resolves to 0.
+ * @returns {number} Parsed value, or NaN if invalid
+ */
+function parseCSSComponent(token, percentReference) {
+  if (token === 'none') return 0;
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/);
+  if (!match) return NaN;
+  const value = parseFloat(match[1]);
+  return match[2] ? (value / 100) * percentReference : value;
+}
+
+/**
+ * Parse a <hue> component in degrees (deg, rad, grad, turn, or a
+ * bare number). 'none' resolves to 0.
+ * @returns {number} Hue in degrees, or NaN if invalid
+ */
+function parseCSSHue(token) {
+  if (token === 'none') return 0;
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/);
+  if (!match) return NaN;
+  const value = parseFloat(match[1]);
+  switch (match[2]) {
+    case 'rad':  return value * (180 / Math.PI);
+    case 'grad': return value * 0.9;
+    case 'turn': return value * 360;
+    default:     return value;
+  }
+}
+
+/** Convert gamma-encoded sRGB (0–1) → OKLab. */
+function encodedSRGBToOKLab(r, g, b) {
+  return linearSRGBToOKLab(gammaToLinear(r), gammaToLinear(g), gammaToLinear(b));
+}
+
+/** HSL (hue in degrees, s and l 0–1) → gamma-encoded sRGB. */
+function hslToEncodedSRGB(hue, saturation, lightness) {
+  const h = ((hue % 360) + 360) % 360;
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const amount = saturation * Math.min(lightness, 1 - lightness);
+    return lightness - amount * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+/** HWB (hue in degrees, whiteness and blackness 0–1) → gamma-encoded sRGB. */
+function hwbToEncodedSRGB(hue, whiteness, blackness) {
+  if (whiteness + blackness >= 1) {
+    const gray = whiteness / (whiteness + blackness);
+    return [gray, gray, gray];
+  }
+  return hslToEncodedSRGB(hue, 1, 0.5).map(v => v * (1 - whiteness - blackness) + whiteness);
+}
+
+/**
+ * Convert color(<space> c1 c2 c3) components → OKLab. The space is
+ * one of the CSS predefined spaces (or another built-in working
+ * space id); xyz / xyz-d65 / xyz-d50 are handled directly.
+ * @returns {number[]|null} OKLab, or null for an unknown space
+ */
+function predefinedColorToOKLab(space, c1, c2, c3) {
+  if (space === 'xyz' || space === 'xyz-d65') {
+    return linearSRGBToOKLab(...mat3Apply(XYZ_TO_LINEAR_SRGB, c1, c2, c3));
+  }
+  if (space === 'xyz-d50') {
+    const xyzD65 = mat3Apply(BRADFORD_D50_TO_D65, c1, c2, c3);
+    return linearSRGBToOKLab(...mat3Apply(XYZ_TO_LINEAR_SRGB, ...xyzD65));
+  }
+  const cs = createBuiltinWorkingCS(space);
+  if (!cs) return null;
+  // Extended-range values keep their sign through the transfer curve
+  const decode = (v) => Math.sign(v) * cs.decode(Math.abs(v));
+  return linearSRGBToOKLab(...cs.toLinearSRGB(decode(c1), decode(c2), decode(c3)));
+}
+
+/**
+ * Parse a CSS color string to OKLab.
+ * Hex colors must start with '#' (so bare numbers are never mistaken
+ * for colors); fields that take bare hex handle that themselves.
+ * @returns {number[]|null} [L, a, b], or null if the text is not a color
+ */
+function parseCSSColor(text) {
+  const str = text.trim().toLowerCase();
+  if (!str) return null;
+
+  // Hex and named colors (all sRGB)
+  if (str[0] === '#') {
+    const rgb = parseHex(str);
+    return rgb ? encodedSRGBToOKLab(...rgb) : null;
+  }
+  if (Object.prototype.hasOwnProperty.call(CSS_NAMED_COLORS, str)) {
+    return encodedSRGBToOKLab(...parseHex(CSS_NAMED_COLORS[str]));
+  }
+
+  // Functional notation: name(args)
+  const fn = str.match(/^([a-z-]+)\(\s*([^()]*?)\s*\)$/);
+  if (!fn) return null;
+  const name = fn[1];
+  let args = fn[2];
+
+  // color() starts with a space identifier
+  let space = null;
+  if (name === 'color') {
+    const spaceMatch = args.match(/^([a-z][a-z0-9-]*)\s+(.*)$/);
+    if (!spaceMatch) return null;
+    space = spaceMatch[1];
+    args = spaceMatch[2];
+  }
+
+  // Split off alpha ("/ a" in modern syntax, 4th value in legacy syntax)
+  let parts, alpha = null;
+  const slash = args.split('/');
+  if (slash.length > 2) return null;
+  if (slash.length === 2) alpha = slash[1].trim();
+  if (slash[0].includes(',')) {
+    if (alpha !== null || space) return null;  // legacy syntax has no slash
+    parts = slash[0].split(',').map(s => s.trim());
+    if (parts.length === 4) alpha = parts.pop();
+  } else {
+    parts = slash[0].trim().split(/\s+/);
+  }
+  if (parts.length !== 3) return null;
+  if (alpha !== null && isNaN(parseCSSComponent(alpha, 1))) return null;
+
+  let result;
+  switch (name) {
+    case 'rgb':
+    case 'rgba': {
+      const [r, g, b] = parts.map(p => parseCSSComponent(p, 255) / 255);
+      result = encodedSRGBToOKLab(r, g, b);
+      break;
+    }
+    case 'hsl':
+    case 'hsla': {
+      const h = parseCSSHue(parts[0]);
+      // Modern syntax allows bare numbers (0–100) for s and l
+      const s = parseCSSComponent(parts[1], 100) / 100;
+      const l = parseCSSComponent(parts[2], 100) / 100;
+      result = encodedSRGBToOKLab(...hslToEncodedSRGB(h, s, l));
+      break;
+    }
+    case 'hwb': {
+      const h = parseCSSHue(parts[0]);
+      const w = parseCSSComponent(parts[1], 100) / 100;
+      const bl = parseCSSComponent(parts[2], 100) / 100;
+      result = encodedSRGBToOKLab(...hwbToEncodedSRGB(h, w, bl));
+      break;
+    }
+    case 'lab': {
+      const L = parseCSSComponent(parts[0], 100);
+      const a = parseCSSComponent(parts[1], 125);
+      const b = parseCSSComponent(parts[2], 125);
+      result = cielabToOKLab(L, a, b, 'd50');
+      break;
+    }
+    case 'lch': {
+      const L = parseCSSComponent(parts[0], 100);
+      const C = parseCSSComponent(parts[1], 150);
+      const h = parseCSSHue(parts[2]) * (Math.PI / 180);
+      result = cielabToOKLab(L, C * Math.cos(h), C * Math.sin(h), 'd50');
+      break;
+    }
+    case 'oklab': {
+      const L = parseCSSComponent(parts[0], 1);
+      const a = parseCSSComponent(parts[1], 0.4);
+      const b = parseCSSComponent(parts[2], 0.4);
+      result = [L, a, b];
+      break;
+    }
+    case 'oklch': {
+      const L = parseCSSComponent(parts[0], 1);
+      const C = parseCSSComponent(parts[1], 0.4);
+      const h = parseCSSHue(parts[2]);
+      result = [L, ...oklchToOklab(Math.max(0, C), h)];
+      break;
+    }
+    case 'color': {
+      const [c1, c2, c3] = parts.map(p => parseCSSComponent(p, 1));
+      result = predefinedColorToOKLab(space, c1, c2, c3);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  if (!result || result.some(v => !isFinite(v))) return null;
+  return result;
+}
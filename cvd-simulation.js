@@ -0,0 +1,109 @@
+// ================================================================
+//  COLOR VISION DEFICIENCY SIMULATION
+//  Shows the picker, sliders and swatches as seen with a color
+//  vision deficiency, so you can check what selected colors
+//  collapse to. Readouts and hex codes are never simulated.
+//
+//  Protan, deutan and tritan use Machado, Oliveira & Fernandes
+//  (2009) dichromat matrices in linear sRGB; severity blends
+//  linearly from normal vision (0) to dichromacy (1), a common
+//  approximation of the paper's anomalous-trichromacy tables.
+//  Achromatopsia replaces the color by its luminance.
+// ================================================================
+
+const CVD_TYPES = [
+  { id: 'none',          name: 'Normal vision' },
+  { id: 'protan',        name: 'Protan (red-weak)' },
+  { id: 'deutan',        name: 'Deutan (green-weak)' },
+  { id: 'tritan',        name: 'Tritan (blue-weak)' },
+  { id: 'achromatopsia', name: 'Achromatopsia' },
+];
+
+// Full-severity (dichromat) matrices, linear sRGB → linear sRGB
+const CVD_DICHROMAT_MATRICES = {
+  protan: [
+    [ 0.152286,  1.052583, -0.204868],
+    [ 0.114503,  0.786281,  0.099216],
+    [-0.003882, -0.048116,  1.051998],
+  ],
+  deutan: [
+    [ 0.367322,  0.860646, -0.227968],
+    [ 0.280085,  0.672501,  0.047413],
+    [-0.011820,  0.042940,  0.968881],
+  ],
+  tritan: [
+    [ 1.255528, -0.076749, -0.178779],
+    [-0.078411,  0.930809,  0.147602],
+    [ 0.004733,  0.691367,  0.303900],
+  ],
+  // Every channel becomes the relative luminance Y
+  achromatopsia: [
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+    [0.2126, 0.7152, 0.0722],
+  ],
+};
+
+/** Active simulation matrix, or null with normal vision (rebuilt on change). */
+let cvdMatrix = null;
+
+/** Rebuild cvdMatrix from cvdType and cvdSeverity. */
+function updateCVDMatrix() {
+  const full = CVD_DICHROMAT_MATRICES[cvdType];
+  if (!full || cvdSeverity <= 0) {
+    cvdMatrix = null;
+    return;
+  }
+  cvdMatrix = full.map((row, i) =>
+    row.map((v, j) => cvdSeverity * v + (1 - cvdSeverity) * (i === j ? 1 : 0)));
+}
+
+/** Apply the active simulation to a linear sRGB color. */
+function simulateCVD(r, g, b) {
+  return cvdMatrix ? mat3Apply(cvdMatrix, r, g, b) : [r, g, b];
+}
+
+/** OKLab → linear sRGB as displayed (with the active simulation). */
+function oklabToDisplayLinearSRGB(L, a, b) {
+  const [r, g, bl] = oklabToLinearSRGB(L, a, b);
+  return simulateCVD(r, g, bl);
+}
+
+/** CSS color for a swatch showing an OKLab color (with the active simulation). */
+function displayCSSColor(L, a, b) {
+  if (!cvdMatrix) return `oklab(${L} ${a} ${b})`;
+  const [simL, simA, simB] = linearSRGBToOKLab(...oklabToDisplayLinearSRGB(L, a, b));
+  return `oklab(${simL} ${simA} ${simB})`;
+}
+
+/** Sync the simulation select and severity field with the current state. */
+function updateCVDDisplay() {
+  const select = document.getElementById('cvd-select');
+  if (select.options.length === 0) {
+    for (const type of CVD_TYPES) select.add(new Option(type.name, type.id));
+  }
+  select.value = cvdType;
+  document.getElementById('cvd-severity-wrap').style.display = cvdType === 'none' ? 'none' : '';
+  if (document.activeElement !== document.getElementById('cvd-severity-value'))
+    document.getElementById('cvd-severity-value').textContent = Math.round(cvdSeverity * 100);
+  document.getElementById('cvd-bar').classList.toggle('active', cvdMatrix !== null);
+}
+
+/** Select the simulated deficiency (from the simulation bar). */
+function setCVDType(type) {
+  if (!CVD_TYPES.some(t => t.id === type)) return;
+  cvdType = type;
+  updateCVDMatrix();
+  updateCVDDisplay();
+  renderAll();
+  scheduleSave();
+}
+
+/** Set the simulation severity (0–1). */
+function setCVDSeverity(severity) {
+  cvdSeverity = clamp01(severity);
+  updateCVDMatrix();
+  updateCVDDisplay();
+  renderAll();
+  scheduleSave();
+}
@@ -0,0 +1,272 @@
+// ================================================================
+//  ANALYTIC GAMUT BOUNDARY
+//  Ottosson's gamut intersection method (find_cusp +
+//  find_gamut_intersection from https://bottosson.github.io/posts/gamutclipping/)
+//  generalized from sRGB to any matrix-based color space.
+//
+//  At a fixed hue the gamut in the (L, C) plane is bounded by:
+//    - a straight line from black to the cusp (exact: scaling an
+//      RGB color scales L and C together), and
+//    - a curved upper edge from the cusp to white, found with
+//      Halley's method starting from the triangle approximation.
+//  Each model holds the LMS → RGB matrix of its color space and a
+//  per-hue table of the maximum saturation (S = C / L at the cusp),
+//  refined per lookup with Halley steps. Models are cached per
+//  color space object, so a new table is built whenever the
+//  working CS changes.
+//
+//  With imaginary primaries (ProPhoto, ACES AP0) a ray from black can
+//  re-enter the RGB cube through colors with negative cone response;
+//  the model keeps only the region connected to the gray axis.
+// ================================================================
+
+// Linear LMS → linear sRGB (third step of oklabToLinearSRGB)
+const LMS_TO_LINEAR_SRGB = [
+  [ 4.0767416621, -3.3077115913,  0.2309699292],
+  [-1.2684380046,  2.6097574011, -0.3413193965],
+  [-0.0041960863, -0.7034186147,  1.7076147010],
+];
+
+/** Number of hue entries in the cusp table (0.5° apart). */
+const GAMUT_CUSP_TABLE_SIZE = 720;
+
+const gamutModelCache = new WeakMap();
+
+/**
+ * Coefficients turning a unit hue direction (a_, b_) into the change
+ * of each cube-root LMS channel per unit chroma.
+ */
+function lmsChromaCoefficients(a_, b_) {
+  return [
+     0.3963377774 * a_ + 0.2158037573 * b_,
+    -0.1055613458 * a_ - 0.0638541728 * b_,
+    -0.0894841775 * a_ - 1.2914855480 * b_,
+  ];
+}
+
+/** Value of one RGB channel at OKLab (1, S·a_, S·b_). */
+function channelAtSaturation(row, k, S) {
+  const l_ = 1 + S * k[0], m_ = 1 + S * k[1], s_ = 1 + S * k[2];
+  return row[0] * l_ * l_ * l_ + row[1] * m_ * m_ * m_ + row[2] * s_ * s_ * s_;
+}
+
+/**
+ * Refine the saturation at which one channel reaches zero with
+ * Halley's method (as in Ottosson's compute_max_saturation).
+ */
+function refineMaxSaturation(row, k, S, iterations) {
+  for (let i = 0; i < iterations; i++) {
+    const l_ = 1 + S * k[0], m_ = 1 + S * k[1], s_ = 1 + S * k[2];
+    const f  = row[0] * l_ * l_ * l_ + row[1] * m_ * m_ * m_ + row[2] * s_ * s_ * s_;
+    const f1 = 3 * (row[0] * k[0] * l_ * l_ + row[1] * k[1] * m_ * m_ + row[2] * k[2] * s_ * s_);
+    const f2 = 6 * (row[0] * k[0] * k[0] * l_ + row[1] * k[1] * k[1] * m_ + row[2] * k[2] * k[2] * s_);
+    const denominator = f1 * f1 - 0.5 * f * f2;
+    if (denominator === 0) break;
+    S -= f * f1 / denominator;
+  }
+  return S;
+}
+
+/**
+ * Find the maximum saturation for a hue by marching outward from
+ * gray until a channel goes negative, then bisecting.
+ * @returns {{S: number, channel: number}} Saturation and limiting channel
+ */
+function searchMaxSaturation(lmsToRGB, a_, b_) {
+  const k = lmsChromaCoefficients(a_, b_);
+  const allPositive = (S) => lmsToRGB.every(row => channelAtSaturation(row, k, S) >= 0);
+
+  let lo = 0, hi = 0.01;
+  while (allPositive(hi) && hi < 100) {
+    lo = hi;
+    hi += 0.01 + hi * 0.05;
+  }
+  for (let i = 0; i < 50; i++) {
+    const mid = (lo + hi) / 2;
+    if (allPositive(mid)) { lo = mid; } else { hi = mid; }
+  }
+
+  let channel = 0, lowest = Infinity;
+  for (let i = 0; i < 3; i++) {
+    const value = channelAtSaturation(lmsToRGB[i], k, hi);
+    if (value < lowest) { lowest = value; channel = i; }
+  }
+  return { S: lo, channel };
+}
+
+/**
+ * Build the gamut boundary model for a color space.
+ * @returns {object|null} Model, or null if cs is not matrix-based
+ */
+function buildGamutModel(cs) {
+  if (!cs.fromSRGBMatrix) return null;
+  const lmsToRGB = mat3Multiply(cs.fromSRGBMatrix, LMS_TO_LINEAR_SRGB);
+  const saturation = new Float64Array(GAMUT_CUSP_TABLE_SIZE + 1);
+  const channel = new Uint8Array(GAMUT_CUSP_TABLE_SIZE + 1);
+  for (let i = 0; i < GAMUT_CUSP_TABLE_SIZE; i++) {
+    const hueRadians = (i / GAMUT_CUSP_TABLE_SIZE) * 2 * Math.PI;
+    const max = searchMaxSaturation(lmsToRGB, Math.cos(hueRadians), Math.sin(hueRadians));
+    saturation[i] = max.S;
+    channel[i] = max.channel;
+  }
+  // Wrap-around entry so interpolation never needs a modulo
+  saturation[GAMUT_CUSP_TABLE_SIZE] = saturation[0];
+  channel[GAMUT_CUSP_TABLE_SIZE] = channel[0];
+  return { lmsToRGB, saturation, channel };
+}
+
+/**
+ * Get the (cached) gamut boundary model for a color space.
+ * @returns {object|null} Model, or null if cs is not matrix-based
+ */
+function getGamutModel(cs) {
+  let model = gamutModelCache.get(cs);
+  if (model === undefined) {
+    model = buildGamutModel(cs);
+    gamutModelCache.set(cs, model);
+  }
+  return model;
+}
+
+/**
+ * Find the gamut cusp (the point of maximum chroma) for a hue.
+ * (a_, b_) is the unit hue direction.
+ * @returns {number[]} [L, C] of the cusp
+ */
+function findGamutCusp(model, a_, b_) {
+  // Table lookup for the starting saturation
+  let hue = Math.atan2(b_, a_) / (2 * Math.PI);
+  if (hue < 0) hue += 1;
+  const position = hue * GAMUT_CUSP_TABLE_SIZE;
+  const index = Math.min(Math.floor(position), GAMUT_CUSP_TABLE_SIZE - 1);
+  const frac = position - index;
+  const guess = model.saturation[index] + (model.saturation[index + 1] - model.saturation[index]) * frac;
+
+  // Refine on the limiting channel; where two channels meet between
+  // table entries, the lower root of the two is the boundary
+  const k = lmsChromaCoefficients(a_, b_);
+  let S = refineMaxSaturation(model.lmsToRGB[model.channel[index]], k, guess, 2);
+  if (model.channel[index + 1] !== model.channel[index]) {
+    S = Math.min(S, refineMaxSaturation(model.lmsToRGB[model.channel[index + 1]], k, guess, 2));
+  }
+
+  // Scale so the brightest channel of the cusp color is exactly 1
+  const maxChannel = Math.max(
+    channelAtSaturation(model.lmsToRGB[0], k, S),
+    channelAtSaturation(model.lmsToRGB[1], k, S),
+    channelAtSaturation(model.lmsToRGB[2], k, S)
+  );
+  const L = Math.cbrt(1 / maxChannel);
+  return [L, L * S];
+}
+
+/**
+ * Find where the line from (L0, 0) to (L1, C1) at hue (a_, b_)
+ * crosses the gamut boundary, as a fraction t of the way along it.
+ * The lower half is exact; the upper half uses two Halley steps.
+ */
+function findGamutIntersection(model, a_, b_, L1, C1, L0, cusp = findGamutCusp(model, a_, b_)) {
+  const [cuspL, cuspC] = cusp;
+
+  if ((L1 - L0) * cuspC - (cuspL - L0) * C1 <= 0) {
+    // Lower half: straight line from black to the cusp
+    return cuspC * L0 / (C1 * cuspL + cuspC * (L0 - L1));
+  }
+
+  // Upper half: start from the triangle approximation...
+  let t = cuspC * (L0 - 1) / (C1 * (cuspL - 1) + cuspC * (L0 - L1));
+
+  // ...then refine against the curved edge where a channel reaches 1
+  const [kl, km, ks] = lmsChromaCoefficients(a_, b_);
+  const dL = L1 - L0;
+  const lDt = dL + C1 * kl;
+  const mDt = dL + C1 * km;
+  const sDt = dL + C1 * ks;
+
+  for (let iteration = 0; iteration < 2; iteration++) {
+    const L = L0 * (1 - t) + t * L1;
+    const C = t * C1;
+    const l_ = L + C * kl, m_ = L + C * km, s_ = L + C * ks;
+    const lms  = [l_ * l_ * l_, m_ * m_ * m_, s_ * s_ * s_];
+    const lms1 = [3 * lDt * l_ * l_, 3 * mDt * m_ * m_, 3 * sDt * s_ * s_];
+    const lms2 = [6 * lDt * lDt * l_, 6 * mDt * mDt * m_, 6 * sDt * sDt * s_];
+
+    let step = Infinity;
+    for (const row of model.lmsToRGB) {
+      const f  = row[0] * lms[0]  + row[1] * lms[1]  + row[2] * lms[2] - 1;
+      const f1 = row[0] * lms1[0] + row[1] * lms1[1] + row[2] * lms1[2];
+      const f2 = row[0] * lms2[0] + row[1] * lms2[1] + row[2] * lms2[2];
+      const u = f1 / (f1 * f1 - 0.5 * f * f2);
+      if (u >= 0) step = Math.min(step, -f * u);
+    }
+    if (step === Infinity) break;
+    t += step;
+  }
+  return t;
+}
+
+/**
+ * Maximum in-gamut chroma at a lightness and hue (degrees).
+ */
+function maxChromaAt(model, L, hueDegrees) {
+  if (L <= 0 || L >= 1) return 0;
+  const hueRadians = hueDegrees * (Math.PI / 180);
+  return Math.max(0, findGamutIntersection(model, Math.cos(hueRadians), Math.sin(hueRadians), L, 1, L));
+}
+
+/**
+ * Maximum in-gamut chroma for every cusp-table hue at one lightness.
+ * Used to test a whole a,b plane with one lookup per pixel.
+ * @returns {Float64Array} GAMUT_CUSP_TABLE_SIZE + 1 entries (last wraps)
+ */
+function maxChromaTableAt(model, L) {
+  const table = new Float64Array(GAMUT_CUSP_TABLE_SIZE + 1);
+  for (let i = 0; i < GAMUT_CUSP_TABLE_SIZE; i++) {
+    table[i] = maxChromaAt(model, L, (i / GAMUT_CUSP_TABLE_SIZE) * 360);
+  }
+  table[GAMUT_CUSP_TABLE_SIZE] = table[0];
+  return table;
+}
+
+/** Number of hue entries in the sampled table for spaces without a model (2° apart). */
+const SAMPLED_CHROMA_TABLE_SIZE = 180;
+
+/**
+ * Like maxChromaTableAt for a space without a boundary model (a
+ * LUT-based ICC profile), found by binary search at each hue.
+ * @returns {Float64Array} SAMPLED_CHROMA_TABLE_SIZE + 1 entries (last wraps)
+ */
+function sampledMaxChromaTableAt(cs, L) {
+  const table = new Float64Array(SAMPLED_CHROMA_TABLE_SIZE + 1);
+  for (let i = 0; i < SAMPLED_CHROMA_TABLE_SIZE; i++) {
+    // Search out to the corners of the a,b picker
+    table[i] = findMaxInGamutChroma(L, (i / SAMPLED_CHROMA_TABLE_SIZE) * 360, AB_RANGE * Math.SQRT2, cs);
+  }
+  table[SAMPLED_CHROMA_TABLE_SIZE] = table[0];
+  return table;
+}
+
+/**
+ * Look up the maximum chroma for a hue (radians, as from atan2) in
+ * a table from maxChromaTableAt, interpolating between entries.
+ */
+function lookupMaxChroma(table, hueRadians) {
+  const size = table.length - 1;
+  let position = (hueRadians / (2 * Math.PI)) * size;
+  if (position < 0) position += size;
+  const index = Math.min(Math.floor(position), size - 1);
+  return table[index] + (table[index + 1] - table[index]) * (position - index);
+}
+
+/**
+ * Build an in-gamut test for one lightness plane of a color space:
+ * (a, b) → boolean. This is one table lookup per call instead of a
+ * full color conversion; spaces without a boundary model use a
+ * table sampled by binary search.
+ */
+function gamutTestForPlane(cs, L) {
+  if (L <= 0 || L >= 1) return (a, b) => isInGamutOf(cs, L, a, b);
+  const model = getGamutModel(cs);
+  const table = model ? maxChromaTableAt(model, L) : sampledMaxChromaTableAt(cs, L);
+  return (a, b) => Math.sqrt(a * a + b * b) <= lookupMaxChroma(table, Math.atan2(b, a)) + 1e-6;
+}
@@ -0,0 +1,170 @@
+// ================================================================
+//  GAMUT MAPPING
+//  Strategies for bringing an out-of-gamut OKLab color into the
+//  gamut of an RGB color space. The selected strategy is used by
+//  the pointer handlers (working CS) and the hex readouts (sRGB,
+//  Display P3 and working CS):
+//    css4                CSS Color 4: reduce OKLCH chroma, accepting
+//                        a clipped result once it is within a JND
+//    adaptive-l0         Ottosson's adaptive L0 projection (α = 0.05):
+//                        moves toward a lightness-dependent gray
+//    preserve-lightness  Keep L and hue, reduce chroma
+//    clip                Clip the RGB channels to [0, 1]
+// ================================================================
+
+const GAMUT_MAPPING_METHODS = [
+  { id: 'css4', name: 'CSS Color 4' },
+  { id: 'adaptive-l0', name: 'Adaptive L0' },
+  { id: 'preserve-lightness', name: 'Preserve lightness' },
+  { id: 'clip', name: 'Clip' },
+];
+
+/** Just-noticeable difference in ΔEOK used by the CSS Color 4 method. */
+const GAMUT_MAPPING_JND = 0.02;
+
+// Fixed sRGB / Display P3 targets for the hex readouts
+const SRGB_GAMUT_CS = createSRGBWorkingCS();
+const P3_GAMUT_CS   = createP3WorkingCS();
+
+/**
+ * Clip an OKLab color to a color space's RGB cube.
+ * @returns {number[]} Clipped color as OKLab [L, a, b]
+ */
+function clipToGamutOf(cs, L, a, b) {
+  const [r, g, bl] = cs.fromLinearSRGB(...oklabToLinearSRGB(L, a, b));
+  return linearSRGBToOKLab(...cs.toLinearSRGB(clamp01(r), clamp01(g), clamp01(bl)));
+}
+
+/**
+ * CSS Color 4 gamut mapping (§13.2): binary-search OKLCH chroma,
+ * returning the clipped color as soon as clipping changes it by
+ * less than a just-noticeable difference.
+ */
+function gamutMapCSS4(cs, L, a, b) {
+  if (L >= 1) return [1, 0, 0];
+  if (L <= 0) return [0, 0, 0];
+
+  const [chroma, hue] = oklabToOklch(a, b);
+  let clipped = clipToGamutOf(cs, L, a, b);
+  if (deltaEOK(...clipped, L, a, b) < GAMUT_MAPPING_JND) return clipped;
+
+  const EPSILON = 1e-4;
+  let min = 0, max = chroma, minInGamut = true;
+  while (max - min > EPSILON) {
+    const mid = (min + max) / 2;
+    const [ma, mb] = oklchToOklab(mid, hue);
+    if (minInGamut && isInGamutOf(cs, L, ma, mb)) {
+      min = mid;
+      continue;
+    }
+    clipped = clipToGamutOf(cs, L, ma, mb);
+    const E = deltaEOK(...clipped, L, ma, mb);
+    if (E < GAMUT_MAPPING_JND) {
+      if (GAMUT_MAPPING_JND - E < EPSILON) return clipped;
+      minInGamut = false;
+      min = mid;
+    } else {
+      max = mid;
+    }
+  }
+  return clipped;
+}
+
+/**
+ * Find where the line from (L0, 0) to (L1, C1) at a given hue leaves
+ * the gamut, as a fraction t of the way along it.
+ * (a_, b_) is the unit hue direction. Matrix-based spaces use the
+ * analytic gamut boundary; others fall back to a binary search.
+ */
+function findGamutIntersectionOf(cs, a_, b_, L1, C1, L0) {
+  const model = getGamutModel(cs);
+  if (model) return clamp01(findGamutIntersection(model, a_, b_, L1, C1, L0));
+
+  let lo = 0, hi = 1;
+  for (let i = 0; i < 20; i++) {
+    const t = (lo + hi) / 2;
+    const L = L0 + t * (L1 - L0);
+    const C = t * C1;
+    if (isInGamutOf(cs, L, C * a_, C * b_)) { lo = t; } else { hi = t; }
+  }
+  return lo;
+}
+
+/**
+ * Ottosson's adaptive L0 projection (gamut_clip_adaptive_L0_0_5):
+ * project toward a gray whose lightness moves from 0.5 toward the
+ * color's own L as chroma decreases, keeping hue.
+ */
+function gamutMapAdaptiveL0(cs, L, a, b) {
+  const ALPHA = 0.05;
+  const C = Math.max(1e-5, Math.sqrt(a * a + b * b));
+  const a_ = a / C, b_ = b / C;
+
+  const Ld = L - 0.5;
+  const e1 = 0.5 + Math.abs(Ld) + ALPHA * C;
+  const L0 = 0.5 * (1 + Math.sign(Ld) * (e1 - Math.sqrt(e1 * e1 - 2 * Math.abs(Ld))));
+
+  const t = findGamutIntersectionOf(cs, a_, b_, L, C, L0);
+  const clippedL = L0 * (1 - t) + t * L;
+  const clippedC = t * C;
+  return [clippedL, clippedC * a_, clippedC * b_];
+}
+
+/**
+ * Map an OKLab color into the gamut of a color space using the
+ * given method (defaults to the user's selection).
+ * @returns {number[]} In-gamut OKLab [L, a, b]
+ */
+function gamutMapOKLab(cs, L, a, b, method = gamutMappingMode) {
+  if (isInGamutOf(cs, L, a, b)) return [L, a, b];
+  switch (method) {
+    case 'css4':
+      return gamutMapCSS4(cs, L, a, b);
+    case 'adaptive-l0':
+      return gamutMapAdaptiveL0(cs, L, a, b);
+    case 'clip':
+      return clipToGamutOf(cs, L, a, b);
+    default: {
+      const [chroma, hue] = oklabToOklch(a, b);
+      const maxChroma = findMaxInGamutChroma(L, hue, chroma, cs);
+      return [L, ...oklchToOklab(maxChroma, hue)];
+    }
+  }
+}
+
+/** Map an OKLab color into the working gamut with the selected method. */
+function mapToWorkingGamut(L, a, b) {
+  return gamutMapOKLab(workingCS, L, a, b);
+}
+
+/**
+ * Hex code of an OKLab color in a color space, after gamut mapping
+ * with the selected method (rather than rgbToHex's plain clipping).
+ */
+function gamutMappedHex(cs, L, a, b) {
+  const [mappedL, mappedA, mappedB] = gamutMapOKLab(cs, L, a, b);
+  const [r, g, bl] = cs.fromLinearSRGB(...oklabToLinearSRGB(mappedL, mappedA, mappedB));
+  if (cs.perChannelTRC) {
+    return rgbToHex(cs.encode(r, 0), cs.encode(g, 1), cs.encode(bl, 2));
+  }
+  return rgbToHex(cs.encode(r), cs.encode(g), cs.encode(bl));
+}
+
+/** Fill the info panel's method selector and show the active method. */
+function updateGamutMappingDisplay() {
+  const select = document.getElementById('gamut-mapping-select');
+  if (select.options.length === 0) {
+    for (const method of GAMUT_MAPPING_METHODS) select.add(new Option(method.name, method.id));
+  }
+  select.value = gamutMappingMode;
+}
+
+/** Select the gamut mapping method (from the info panel). */
+function setGamutMappingMode(method) {
+  if (!GAMUT_MAPPING_METHODS.some(m => m.id === method)) return;
+  gamutMappingMode = method;
+  updateGamutMappingDisplay();
+  updateInfoPanel();
+  updateLightingPanel();
+  scheduleSave();
+}
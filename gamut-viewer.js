@@ -0,0 +1,337 @@
+// ================================================================
+//  3D GAMUT VIEWER
+//  A software-rendered (Canvas 2D) view of the working CS gamut as a
+//  solid in OKLab (a, b, L) or OKLCH (hue unrolled, C, L). The hull is
+//  the surface of the encoded RGB cube: each face is sampled on a
+//  grid, converted to OKLab and drawn as flat quads sorted back to
+//  front. sRGB, Display P3 and Rec.2020 can be overlaid as wireframes
+//  (fainter where they are further away). The current color is drawn
+//  as a dot and the active history stack as a trail. Drag to rotate.
+// ================================================================
+
+const GAMUT_VIEW_MODES = [
+  { id: 'oklab', name: 'OKLab (a, b, L)' },
+  { id: 'oklch', name: 'OKLCH (h, C, L)' },
+];
+
+const GAMUT_VIEW_OVERLAYS = [
+  { id: 'srgb',       name: 'sRGB',     color: '#f38ba8' },
+  { id: 'display-p3', name: 'P3',       color: '#f9e2af' },
+  { id: 'rec2020',    name: 'Rec.2020', color: '#89b4fa' },
+];
+
+const GAMUT_VIEW_HULL_STEPS = 16;      // Grid steps per cube face edge (solid hull)
+const GAMUT_VIEW_WIRE_STEPS = 6;       // Grid steps per cube face edge (wireframes)
+const GAMUT_VIEW_DRAG_SPEED = 0.01;    // Radians per pointer px
+const GAMUT_VIEW_DEFAULT_YAW = -0.6;
+const GAMUT_VIEW_DEFAULT_PITCH = 0.45;
+
+const gamutViewGridCache = new WeakMap();   // cs → Map("steps:intent" → face grids)
+const gamutViewOverlayCS = {};              // Overlay id → working CS (created on first use)
+
+
+// ── Geometry ──
+
+/**
+ * OKLab grids of the six faces of a color space's encoded RGB cube.
+ * Each grid holds (steps + 1)² points, row by row. Cached per color
+ * space object and rendering intent (LUT working spaces follow it).
+ * @returns {number[][][]} Six arrays of OKLab points
+ */
+function gamutHullGrids(cs, steps) {
+  let byKey = gamutViewGridCache.get(cs);
+  if (!byKey) {
+    byKey = new Map();
+    gamutViewGridCache.set(cs, byKey);
+  }
+  const key = `${steps}:${iccRenderingIntent}`;
+  if (byKey.has(key)) return byKey.get(key);
+
+  const decode = (v, ch) => cs.perChannelTRC ? cs.decode(v, ch) : cs.decode(v);
+  const grids = [];
+  for (let axis = 0; axis < 3; axis++) {
+    for (const fixed of [0, 1]) {
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        for (let j = 0; j <= steps; j++) {
+          const encoded = [0, 0, 0];
+          encoded[axis] = fixed;
+          encoded[(axis + 1) % 3] = i / steps;
+          encoded[(axis + 2) % 3] = j / steps;
+          points.push(linearSRGBToOKLab(...cs.toLinearSRGB(...encoded.map(decode))));
+        }
+      }
+      grids.push(points);
+    }
+  }
+  byKey.set(key, grids);
+  return grids;
+}
+
+/** Working CS of a wireframe overlay (created once). */
+function gamutViewOverlaySpace(id) {
+  if (!gamutViewOverlayCS[id]) gamutViewOverlayCS[id] = createBuiltinWorkingCS(id);
+  return gamutViewOverlayCS[id];
+}
+
+/**
+ * Model coordinates of an OKLab color for the selected view: OKLab
+ * is (a, L − ½, −b); OKLCH unrolls hue along x (−½ … ½) with chroma
+ * in depth, centered on the typical chroma range.
+ */
+function gamutViewModelPoint(L, a, b) {
+  if (gamutViewMode === 'oklch') {
+    let hue = Math.atan2(b, a);
+    if (hue < 0) hue += 2 * Math.PI;
+    return [hue / (2 * Math.PI) - 0.5, L - 0.5, 0.2 - Math.hypot(a, b)];
+  }
+  return [a, L - 0.5, -b];
+}
+
+/**
+ * Project model coordinates to the canvas (orthographic): yaw about
+ * the vertical axis, then pitch about the horizontal.
+ * @returns {number[]} [x, y, depth] — larger depth is further away
+ */
+function gamutViewProject([x, y, z]) {
+  const cosYaw = Math.cos(gamutViewYaw), sinYaw = Math.sin(gamutViewYaw);
+  const cosPitch = Math.cos(gamutViewPitch), sinPitch = Math.sin(gamutViewPitch);
+  const x1 = x * cosYaw + z * sinYaw;
+  const z1 = -x * sinYaw + z * cosYaw;
+  const y2 = y * cosPitch + z1 * sinPitch;
+  const z2 = -y * sinPitch + z1 * cosPitch;
+  const scale = Math.min(gamutViewCanvas.width, gamutViewCanvas.height) * 0.8;
+  return [gamutViewCanvas.width / 2 + x1 * scale, gamutViewCanvas.height / 2 - y2 * scale, z2];
+}
+
+/** Project an OKLab color to the canvas. */
+function gamutViewProjectColor(L, a, b) {
+  return gamutViewProject(gamutViewModelPoint(L, a, b));
+}
+
+
+// ── Drawing ──
+
+/** Whether a quad or segment wraps around the hue seam (OKLCH view). */
+function crossesHueSeam(points) {
+  if (gamutViewMode !== 'oklch') return false;
+  const xs = points.map(p => gamutViewModelPoint(...p)[0]);
+  return Math.max(...xs) - Math.min(...xs) > 0.5;
+}
+
+/** Fill the working CS hull as quads, back to front, each in its own color. */
+function drawGamutHull(cs) {
+  const steps = GAMUT_VIEW_HULL_STEPS;
+  const quads = [];
+  for (const grid of gamutHullGrids(cs, steps)) {
+    const projected = grid.map(p => gamutViewProjectColor(...p));
+    for (let i = 0; i < steps; i++) {
+      for (let j = 0; j < steps; j++) {
+        const corners = [i * (steps + 1) + j, i * (steps + 1) + j + 1, (i + 1) * (steps + 1) + j + 1, (i + 1) * (steps + 1) + j];
+        if (crossesHueSeam(corners.map(k => grid[k]))) continue;
+        const color = [0, 1, 2].map(ch => corners.reduce((sum, k) => sum + grid[k][ch], 0) / 4);
+        const points = corners.map(k => projected[k]);
+        quads.push({ points, color, depth: points.reduce((sum, p) => sum + p[2], 0) / 4 });
+      }
+    }
+  }
+  quads.sort((q1, q2) => q2.depth - q1.depth);
+
+  gamutViewContext.lineWidth = 0.75;
+  for (const quad of quads) {
+    const fill = displayCSSColor(...quad.color);
+    gamutViewContext.fillStyle = fill;
+    gamutViewContext.strokeStyle = fill; // hides the seams between quads
+    gamutViewContext.beginPath();
+    quad.points.forEach(([x, y], k) => k === 0 ? gamutViewContext.moveTo(x, y) : gamutViewContext.lineTo(x, y));
+    gamutViewContext.closePath();
+    gamutViewContext.fill();
+    gamutViewContext.stroke();
+  }
+}
+
+/** Draw a color space's hull grid as lines, fading with depth. */
+function drawGamutWireframe(cs, color) {
+  const steps = GAMUT_VIEW_WIRE_STEPS;
+  gamutViewContext.strokeStyle = color;
+  gamutViewContext.lineWidth = 1;
+  for (const grid of gamutHullGrids(cs, steps)) {
+    const projected = grid.map(p => gamutViewProjectColor(...p));
+    const segment = (k1, k2) => {
+      if (crossesHueSeam([grid[k1], grid[k2]])) return;
+      const [x1, y1, z1] = projected[k1], [x2, y2, z2] = projected[k2];
+      // Depth runs about −0.5 (near) … 0.5 (far)
+      gamutViewContext.globalAlpha = Math.max(0.15, Math.min(0.9, 0.5 - (z1 + z2) / 2));
+      gamutViewContext.beginPath();
+      gamutViewContext.moveTo(x1, y1);
+      gamutViewContext.lineTo(x2, y2);
+      gamutViewContext.stroke();
+    };
+    for (let i = 0; i <= steps; i++) {
+      for (let j = 0; j < steps; j++) {
+        segment(i * (steps + 1) + j, i * (steps + 1) + j + 1);   // along a row
+        segment(j * (steps + 1) + i, (j + 1) * (steps + 1) + i); // along a column
+      }
+    }
+  }
+  gamutViewContext.globalAlpha = 1;
+}
+
+/** Axis labels: the gray axis in OKLab, hue and chroma directions in OKLCH. */
+function drawGamutViewAxes() {
+  gamutViewContext.font = '10px sans-serif';
+  gamutViewContext.textAlign = 'center';
+  gamutViewContext.textBaseline = 'middle';
+  gamutViewContext.fillStyle = '#a6adc8';
+  const label = (text, point) => {
+    const [x, y] = gamutViewProject(point);
+    gamutViewContext.fillText(text, x, y);
+  };
+  if (gamutViewMode === 'oklch') {
+    label('h 0°', [-0.5, -0.55, 0.2]);
+    label('h 360°', [0.5, -0.55, 0.2]);
+    label('C', [0.55, -0.5, -0.2]);
+  } else {
+    const [x0, y0] = gamutViewProject([0, -0.5, 0]);
+    const [x1, y1] = gamutViewProject([0, 0.5, 0]);
+    gamutViewContext.strokeStyle = 'rgba(166, 173, 200, 0.6)';
+    gamutViewContext.setLineDash([3, 3]);
+    gamutViewContext.beginPath();
+    gamutViewContext.moveTo(x0, y0);
+    gamutViewContext.lineTo(x1, y1);
+    gamutViewContext.stroke();
+    gamutViewContext.setLineDash([]);
+    label('+a', [0.45, -0.5, 0]);
+    label('+b', [0, -0.5, -0.45]);
+  }
+  label('L', [gamutViewMode === 'oklch' ? -0.5 : 0, 0.58, gamutViewMode === 'oklch' ? 0.2 : 0]);
+}
+
+/**
+ * Draw the active history stack as a trail, older entries fainter
+ * (a light line over a dark one, so it shows on any hull color).
+ */
+function drawGamutViewHistory() {
+  const entries = getActiveHistory().entries;
+  if (entries.length < 2) return;
+  const points = entries.map(entry => gamutViewProjectColor(...entry));
+  for (let k = 1; k < points.length; k++) {
+    gamutViewContext.globalAlpha = 0.25 + 0.65 * k / (points.length - 1);
+    for (const [width, color] of [[3, 'rgba(0, 0, 0, 0.6)'], [1.5, '#cdd6f4']]) {
+      gamutViewContext.lineWidth = width;
+      gamutViewContext.strokeStyle = color;
+      gamutViewContext.beginPath();
+      gamutViewContext.moveTo(points[k - 1][0], points[k - 1][1]);
+      gamutViewContext.lineTo(points[k][0], points[k][1]);
+      gamutViewContext.stroke();
+    }
+  }
+  gamutViewContext.globalAlpha = 1;
+  gamutViewContext.lineWidth = 1;
+  gamutViewContext.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+  entries.forEach((entry, k) => {
+    gamutViewContext.fillStyle = displayCSSColor(...entry);
+    gamutViewContext.beginPath();
+    gamutViewContext.arc(points[k][0], points[k][1], 3, 0, Math.PI * 2);
+    gamutViewContext.fill();
+    gamutViewContext.stroke();
+  });
+}
+
+/** Redraw the 3D view (only while the panel is open). */
+function drawGamutView() {
+  if (!isGamutViewOpen) return;
+  gamutViewContext.clearRect(0, 0, gamutViewCanvas.width, gamutViewCanvas.height);
+  drawGamutHull(workingCS);
+  for (const overlay of GAMUT_VIEW_OVERLAYS) {
+    if (gamutViewOverlays.includes(overlay.id)) drawGamutWireframe(gamutViewOverlaySpace(overlay.id), overlay.color);
+  }
+  drawGamutViewAxes();
+  drawGamutViewHistory();
+
+  // Current color (always on top, so it shows through the hull)
+  const [x, y] = gamutViewProjectColor(currentL, currentA, currentB);
+  gamutViewContext.fillStyle = displayCSSColor(currentL, currentA, currentB);
+  gamutViewContext.beginPath();
+  gamutViewContext.arc(x, y, 6, 0, Math.PI * 2);
+  gamutViewContext.fill();
+  gamutViewContext.lineWidth = 2;
+  gamutViewContext.strokeStyle = currentL > 0.5 ? 'rgba(0, 0, 0, 0.85)' : 'rgba(255, 255, 255, 0.85)';
+  gamutViewContext.stroke();
+}
+
+
+// ── Rotation ──
+
+/** Rotate so the view follows the pointer since the drag started. */
+function rotateGamutViewToPointer(event, dragStart) {
+  gamutViewYaw = dragStart.yaw - (event.clientX - dragStart.clientX) * GAMUT_VIEW_DRAG_SPEED;
+  gamutViewPitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2,
+    dragStart.pitch + (event.clientY - dragStart.clientY) * GAMUT_VIEW_DRAG_SPEED));
+  drawGamutView();
+}
+
+/** Back to the default three-quarter view. */
+function resetGamutViewRotation() {
+  gamutViewYaw = GAMUT_VIEW_DEFAULT_YAW;
+  gamutViewPitch = GAMUT_VIEW_DEFAULT_PITCH;
+  drawGamutView();
+  scheduleSave();
+}
+
+
+// ── Panel ──
+
+/** Select OKLab or OKLCH coordinates. */
+function setGamutViewMode(id) {
+  if (!GAMUT_VIEW_MODES.some(m => m.id === id)) return;
+  gamutViewMode = id;
+  updateGamutViewPanel();
+  scheduleSave();
+}
+
+/** Show or hide a wireframe overlay. */
+function toggleGamutViewOverlay(id) {
+  if (!GAMUT_VIEW_OVERLAYS.some(o => o.id === id)) return;
+  gamutViewOverlays = gamutViewOverlays.includes(id)
+    ? gamutViewOverlays.filter(o => o !== id)
+    : [...gamutViewOverlays, id];
+  updateGamutViewPanel();
+  scheduleSave();
+}
+
+/** Sync the mode select, overlay toggles and legend, and redraw. */
+function updateGamutViewPanel() {
+  if (!isGamutViewOpen) return;
+  const select = document.getElementById('gamut-view-mode-select');
+  if (select.options.length === 0) {
+    for (const mode of GAMUT_VIEW_MODES) select.add(new Option(mode.name, mode.id));
+  }
+  select.value = gamutViewMode;
+
+  const buttons = document.getElementById('gamut-view-overlays');
+  if (buttons.children.length === 0) {
+    for (const overlay of GAMUT_VIEW_OVERLAYS) {
+      const button = document.createElement('button');
+      button.className = 'copy-button';
+      button.style.color = overlay.color;
+      button.textContent = overlay.name;
+      button.title = `Show the ${overlay.name} gamut as a wireframe`;
+      button.onclick = () => toggleGamutViewOverlay(overlay.id);
+      buttons.appendChild(button);
+    }
+  }
+  GAMUT_VIEW_OVERLAYS.forEach((overlay, i) =>
+    buttons.children[i].classList.toggle('active', gamutViewOverlays.includes(overlay.id)));
+
+  document.getElementById('gamut-view-legend').textContent = `Solid: ${workingCS.name}`;
+  drawGamutView();
+}
+
+function toggleGamutViewPanel() {
+  isGamutViewOpen = !isGamutViewOpen;
+  document.getElementById('gamut-view-panel').classList.toggle('open', isGamutViewOpen);
+  document.getElementById('gamut-view-toggle-button').classList.toggle('active', isGamutViewOpen);
+  updateGamutViewPanel();
+  scheduleSave();
+}
@@ -0,0 +1,307 @@
+// ================================================================
+//  GRADIENT BUILDER
+//  A multi-stop gradient with stops taken from the picker, previewed
+//  with a choice of interpolation space:
+//    oklab, oklch (shorter / longer / increasing / decreasing hue),
+//    and linear sRGB and sRGB for comparison.
+//  Segments that pass outside the working gamut are flagged, and the
+//  gradient is exported as CSS linear-gradient() with an interpolation
+//  method, after an sRGB fallback sampled from the same interpolation.
+// ================================================================
+
+const GRADIENT_INTERPOLATIONS = [
+  { id: 'oklab',            name: 'OKLab',                 css: 'in oklab' },
+  { id: 'oklch-shorter',    name: 'OKLCH (shorter hue)',    css: 'in oklch' },
+  { id: 'oklch-longer',     name: 'OKLCH (longer hue)',     css: 'in oklch longer hue' },
+  { id: 'oklch-increasing', name: 'OKLCH (increasing hue)', css: 'in oklch increasing hue' },
+  { id: 'oklch-decreasing', name: 'OKLCH (decreasing hue)', css: 'in oklch decreasing hue' },
+  { id: 'srgb-linear',      name: 'Linear sRGB',            css: 'in srgb-linear' },
+  { id: 'srgb',             name: 'sRGB',                   css: 'in srgb' },
+];
+
+const GRADIENT_ACHROMATIC_CHROMA = 1e-4; // Below this chroma the hue is powerless
+const GRADIENT_GAMUT_SAMPLES = 32;       // Gamut checks per segment
+const GRADIENT_FALLBACK_SAMPLES = 8;     // sRGB fallback stops per segment
+const GRADIENT_STOP_HIT_RADIUS = 6;      // px, for selecting a stop marker
+
+
+// ── Interpolation ──
+
+/**
+ * Interpolate between two OKLab colors at t (0–1) in the given
+ * interpolation space. Hue fix-up follows CSS Color 4; a powerless
+ * (achromatic) hue takes the other color's hue.
+ * @returns {number[]} OKLab [L, a, b]
+ */
+function interpolateColors(from, to, t, method) {
+  const lerp = (x, y) => x + (y - x) * t;
+
+  if (method === 'srgb-linear') {
+    const rgbFrom = oklabToLinearSRGB(...from);
+    const rgbTo = oklabToLinearSRGB(...to);
+    return linearSRGBToOKLab(...rgbFrom.map((v, i) => lerp(v, rgbTo[i])));
+  }
+
+  if (method === 'srgb') {
+    const rgbFrom = oklabToLinearSRGB(...from).map(linearToGammaExtended);
+    const rgbTo = oklabToLinearSRGB(...to).map(linearToGammaExtended);
+    return linearSRGBToOKLab(...rgbFrom.map((v, i) => gammaToLinearExtended(lerp(v, rgbTo[i]))));
+  }
+
+  if (method.startsWith('oklch')) {
+    const [chromaFrom, hueFromRaw] = oklabToOklch(from[1], from[2]);
+    const [chromaTo, hueToRaw] = oklabToOklch(to[1], to[2]);
+    let hueFrom = chromaFrom < GRADIENT_ACHROMATIC_CHROMA ? hueToRaw : hueFromRaw;
+    let hueTo = chromaTo < GRADIENT_ACHROMATIC_CHROMA ? hueFrom : hueToRaw;
+    const delta = hueTo - hueFrom;
+    if (method === 'oklch-shorter') {
+      if (delta > 180) hueFrom += 360;
+      else if (delta < -180) hueTo += 360;
+    } else if (method === 'oklch-longer') {
+      if (delta > 0 && delta < 180) hueFrom += 360;
+      else if (delta > -180 && delta <= 0) hueTo += 360;
+    } else if (method === 'oklch-increasing') {
+      if (delta < 0) hueTo += 360;
+    } else if (method === 'oklch-decreasing') {
+      if (delta > 0) hueFrom += 360;
+    }
+    return [lerp(from[0], to[0]), ...oklchToOklab(lerp(chromaFrom, chromaTo), lerp(hueFrom, hueTo))];
+  }
+
+  return from.map((v, i) => lerp(v, to[i]));
+}
+
+/** Stops sorted by position (gradientStops itself keeps its order). */
+function sortedGradientStops() {
+  return gradientStops.slice().sort((s, t) => s.position - t.position);
+}
+
+/** Color of the gradient at position t (0–1), in OKLab. */
+function gradientColorAt(t, stops = sortedGradientStops()) {
+  if (t <= stops[0].position) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1], to = stops[i];
+    if (t <= to.position) {
+      const span = to.position - from.position;
+      const u = span > 0 ? (t - from.position) / span : 1;
+      return interpolateColors(from.color, to.color, u, gradientInterpolation);
+    }
+  }
+  return stops[stops.length - 1].color;
+}
+
+/**
+ * For each segment (between consecutive sorted stops), whether any
+ * interpolated color falls outside the working gamut.
+ */
+function gradientSegmentGamutWarnings(stops = sortedGradientStops()) {
+  const warnings = [];
+  for (let i = 1; i < stops.length; i++) {
+    let outOfGamut = false;
+    for (let k = 0; k <= GRADIENT_GAMUT_SAMPLES && !outOfGamut; k++) {
+      const color = interpolateColors(stops[i - 1].color, stops[i].color, k / GRADIENT_GAMUT_SAMPLES, gradientInterpolation);
+      outOfGamut = !isInWorkingGamut(...color);
+    }
+    warnings.push(outOfGamut);
+  }
+  return warnings;
+}
+
+
+// ── CSS export ──
+
+/** Format a gradient position (0–1) as a CSS percentage. */
+function formatGradientPosition(position) {
+  return `${+(position * 100).toFixed(1)}%`;
+}
+
+/** Format an OKLab color as CSS oklch(). */
+function formatOklchCSS(L, a, b) {
+  const [chroma, hue] = oklabToOklch(a, b);
+  const hueText = chroma < GRADIENT_ACHROMATIC_CHROMA ? 'none' : hue.toFixed(1);
+  return `oklch(${L.toFixed(3)} ${chroma.toFixed(3)} ${hueText})`;
+}
+
+/**
+ * CSS for the gradient: an sRGB hex fallback (sampled along the
+ * selected interpolation, gamut-mapped) followed by the
+ * linear-gradient() with the interpolation method and oklch() stops.
+ */
+function gradientCSS() {
+  const stops = sortedGradientStops();
+  const method = GRADIENT_INTERPOLATIONS.find(m => m.id === gradientInterpolation);
+
+  const fallback = [];
+  for (let i = 0; i < stops.length; i++) {
+    const samples = i === 0 || gradientInterpolation === 'srgb' ? 1 : GRADIENT_FALLBACK_SAMPLES;
+    for (let k = samples - 1; k >= 0; k--) {
+      const position = stops[i].position - (i === 0 ? 0 : (stops[i].position - stops[i - 1].position) * k / samples);
+      const hex = gamutMappedHex(SRGB_GAMUT_CS, ...gradientColorAt(position, stops));
+      fallback.push(`${hex} ${formatGradientPosition(position)}`);
+    }
+  }
+  const modern = stops.map(s => `${formatOklchCSS(...s.color)} ${formatGradientPosition(s.position)}`);
+  return `background: linear-gradient(to right, ${fallback.join(', ')});\n` +
+    `background: linear-gradient(to right ${method.css}, ${modern.join(', ')});`;
+}
+
+
+// ── Panel rendering ──
+
+/** Render the gradient preview, its gamut stripe and the stop markers. */
+function renderGradientPreview() {
+  const stops = sortedGradientStops();
+  const width = gradientCanvas.width, height = gradientCanvas.height;
+  const imageData = gradientContext.createImageData(width, height);
+  const pixels = imageData.data;
+  const stripeTop = height - 4;
+
+  for (let x = 0; x < width; x++) {
+    const color = gradientColorAt(x / (width - 1), stops);
+    const inGamut = isInWorkingGamut(...color);
+    const [linR, linG, linB] = oklabToDisplayLinearSRGB(...color);
+    let bR, bG, bB;
+    if (isDisplayP3Supported) {
+      const [p3R, p3G, p3B] = linearSRGBToLinearP3(linR, linG, linB);
+      bR = linearToColorByte(p3R);
+      bG = linearToColorByte(p3G);
+      bB = linearToColorByte(p3B);
+    } else {
+      bR = linearToColorByte(linR);
+      bG = linearToColorByte(linG);
+      bB = linearToColorByte(linB);
+    }
+    for (let y = 0; y < height; y++) {
+      const idx = (y * width + x) * 4;
+      // Out-of-gamut columns get a striped warning band along the bottom
+      const isWarning = !inGamut && y >= stripeTop;
+      const isStripe = (x + y) % 4 < 2;
+      pixels[idx]     = isWarning ? (isStripe ? 243 : 30) : bR;
+      pixels[idx + 1] = isWarning ? (isStripe ? 139 : 30) : bG;
+      pixels[idx + 2] = isWarning ? (isStripe ? 168 : 46) : bB;
+      pixels[idx + 3] = 255;
+    }
+  }
+  gradientContext.putImageData(imageData, 0, 0);
+
+  // Stop markers: triangles pointing at the preview, selected one highlighted
+  const markerWidth = gradientStopsCanvas.width, markerHeight = gradientStopsCanvas.height;
+  gradientStopsContext.clearRect(0, 0, markerWidth, markerHeight);
+  gradientStops.forEach((stop, i) => {
+    const x = stop.position * (markerWidth - 1);
+    gradientStopsContext.beginPath();
+    gradientStopsContext.moveTo(x, 0);
+    gradientStopsContext.lineTo(x + 6, markerHeight - 1);
+    gradientStopsContext.lineTo(x - 6, markerHeight - 1);
+    gradientStopsContext.closePath();
+    gradientStopsContext.fillStyle = displayCSSColor(...stop.color);
+    gradientStopsContext.fill();
+    gradientStopsContext.strokeStyle = i === selectedGradientStop ? '#89b4fa' : '#6c7086';
+    gradientStopsContext.lineWidth = i === selectedGradientStop ? 2 : 1;
+    gradientStopsContext.stroke();
+  });
+}
+
+/** Update the gradient panel: preview, selected stop, warnings and CSS. */
+function updateGradientPanel() {
+  if (!isGradientOpen) return;
+  renderGradientPreview();
+
+  const select = document.getElementById('gradient-interpolation-select');
+  if (select.options.length === 0) {
+    for (const method of GRADIENT_INTERPOLATIONS) select.add(new Option(method.name, method.id));
+  }
+  select.value = gradientInterpolation;
+
+  const stop = gradientStops[selectedGradientStop];
+  if (document.activeElement !== document.getElementById('gradient-stop-position'))
+    document.getElementById('gradient-stop-position').textContent = (stop.position * 100).toFixed(1);
+  document.getElementById('gradient-stop-swatch').style.background = displayCSSColor(...stop.color);
+  document.getElementById('gradient-stop-value').textContent = formatOklchCSS(...stop.color);
+
+  const stops = sortedGradientStops();
+  const flagged = gradientSegmentGamutWarnings(stops)
+    .map((isOut, i) => (isOut ? `${i + 1}→${i + 2}` : null))
+    .filter(s => s !== null);
+  document.getElementById('gradient-gamut-warning').innerHTML = flagged.length
+    ? `<span class="out-of-gamut">✗ Out of ${workingCS.name}: segment${flagged.length > 1 ? 's' : ''} ${flagged.join(', ')}</span>`
+    : `<span class="in-gamut">✓ All segments in ${workingCS.name}</span>`;
+
+  document.getElementById('gradient-css-value').textContent = gradientCSS();
+}
+
+function toggleGradientPanel() {
+  isGradientOpen = !isGradientOpen;
+  document.getElementById('gradient-panel').classList.toggle('open', isGradientOpen);
+  document.getElementById('gradient-toggle-button').classList.toggle('active', isGradientOpen);
+  updateGradientPanel();
+  scheduleSave();
+}
+
+
+// ── Stop editing ──
+
+/** Called after any gradient edit: redraw and save. */
+function onGradientChanged() {
+  updateGradientPanel();
+  scheduleSave();
+}
+
+/** Select the interpolation space. */
+function setGradientInterpolation(id) {
+  if (!GRADIENT_INTERPOLATIONS.some(m => m.id === id)) return;
+  gradientInterpolation = id;
+  onGradientChanged();
+}
+
+/** Index of the stop marker within GRADIENT_STOP_HIT_RADIUS of x (px), or -1. */
+function gradientStopAtX(x) {
+  const width = gradientStopsCanvas.width - 1;
+  let best = -1, bestDistance = GRADIENT_STOP_HIT_RADIUS;
+  gradientStops.forEach((stop, i) => {
+    const distance = Math.abs(stop.position * width - x);
+    if (distance <= bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/** Add a stop with the picker's color at position (0–1) and select it. */
+function addGradientStop(position) {
+  gradientStops.push({ position: clamp01(position), color: [currentL, currentA, currentB] });
+  selectedGradientStop = gradientStops.length - 1;
+  onGradientChanged();
+}
+
+/** Move the selected stop to position (0–1). */
+function setGradientStopPosition(position) {
+  gradientStops[selectedGradientStop].position = clamp01(position);
+  onGradientChanged();
+}
+
+/** Replace the selected stop's color with the picker's color. */
+function setGradientStopFromCurrent() {
+  gradientStops[selectedGradientStop].color = [currentL, currentA, currentB];
+  onGradientChanged();
+}
+
+/** Load the selected stop's color into the picker. */
+function loadGradientStopToPicker() {
+  commitEditedColor(...gradientStops[selectedGradientStop].color);
+}
+
+/** Remove the selected stop (a gradient keeps at least two). */
+function removeGradientStop() {
+  if (gradientStops.length <= 2) return;
+  gradientStops.splice(selectedGradientStop, 1);
+  selectedGradientStop = Math.min(selectedGradientStop, gradientStops.length - 1);
+  onGradientChanged();
+}
+
+/** Reverse the gradient (mirror every stop position). */
+function reverseGradient() {
+  for (const stop of gradientStops) stop.position = 1 - stop.position;
+  onGradientChanged();
+}
@@ -0,0 +1,136 @@
+// ================================================================
+//  COLOR HARMONY
+//  Derives a harmony set from the current color by rotating its hue
+//  in OKLCH (lightness and chroma kept), then maps each member into
+//  the working gamut with the selected method. Members are shown as
+//  swatches (click one to load it into the picker) and as markers
+//  on the a,b picker (OKLab mode only: the Okhsv/Okhsl planes show a
+//  single hue).
+// ================================================================
+
+const HARMONY_SCHEMES = [
+  { id: 'complementary',       name: 'Complementary',       offsets: [0, 180] },
+  { id: 'split-complementary', name: 'Split complementary', offsets: [0, 150, 210] },
+  { id: 'triadic',             name: 'Triadic',             offsets: [0, 120, 240] },
+  { id: 'tetradic',            name: 'Tetradic (rectangle)', offsets: [0, 60, 180, 240] },
+  { id: 'analogous',           name: 'Analogous',           offsets: [-30, 0, 30] },
+];
+
+// Below this OKLCH chroma the color has no hue to rotate
+const HARMONY_MIN_CHROMA = 1e-4;
+
+/**
+ * Members of the selected harmony for the current color, each
+ * gamut-mapped into the working space.
+ * @returns {{offset: number, color: number[]}[]} Hue offset (degrees) and OKLab color
+ */
+function harmonyMembers() {
+  const scheme = HARMONY_SCHEMES.find(s => s.id === harmonyScheme);
+  const [chroma, hue] = oklabToOklch(currentA, currentB);
+  return scheme.offsets.map(offset => {
+    const [a, b] = oklchToOklab(chroma, (hue + offset + 360) % 360);
+    return { offset, color: mapToWorkingGamut(currentL, a, b) };
+  });
+}
+
+/** Update the harmony swatches (rebuilt when the scheme changes). */
+function updateHarmonyPanel() {
+  if (!isHarmonyOpen) return;
+  const select = document.getElementById('harmony-scheme-select');
+  if (select.options.length === 0) {
+    for (const scheme of HARMONY_SCHEMES) select.add(new Option(scheme.name, scheme.id));
+  }
+  select.value = harmonyScheme;
+
+  const members = harmonyMembers();
+  const row = document.getElementById('harmony-swatches');
+  if (row.children.length !== members.length || row.dataset.scheme !== harmonyScheme) {
+    row.replaceChildren(...members.map((_, i) => {
+      const wrap = document.createElement('div');
+      wrap.className = 'lighting-swatch-wrap';
+      const swatch = document.createElement('div');
+      swatch.className = 'lighting-swatch';
+      swatch.onclick = () => loadHarmonyMember(i);
+      const label = document.createElement('div');
+      label.className = 'swatch-label';
+      wrap.append(swatch, label);
+      return wrap;
+    }));
+    row.dataset.scheme = harmonyScheme;
+  }
+  members.forEach((member, i) => {
+    const [swatch, label] = row.children[i].children;
+    swatch.style.background = displayCSSColor(...member.color);
+    swatch.title = gamutMappedHex(workingCS, ...member.color);
+    swatch.classList.toggle('selected', member.offset === 0);
+    label.textContent = harmonyOffsetLabel(member.offset);
+  });
+
+  const isGray = oklabToOklch(currentA, currentB)[0] < HARMONY_MIN_CHROMA;
+  document.getElementById('harmony-note').textContent = isGray
+    ? 'The current color is gray: pick a color with chroma to rotate its hue.'
+    : 'Click a swatch to load it into the picker.';
+}
+
+/** Label of a harmony member: its hue offset, as in the swatch row. */
+function harmonyOffsetLabel(offset) {
+  return offset === 0 ? 'current' : `${offset > 0 ? '+' : ''}${offset}°`;
+}
+
+/**
+ * Draw the harmony members as rings on the a,b picker, each labeled
+ * with its hue offset (placed away from the picker center).
+ */
+function drawHarmonyMarkers() {
+  if (!isHarmonyOpen || pickerMode !== 'oklab') return;
+  abPickerContext.font = 'bold 9px sans-serif';
+  abPickerContext.textAlign = 'center';
+  abPickerContext.textBaseline = 'middle';
+  harmonyMembers().forEach(({ offset, color }) => {
+    if (offset === 0) return; // the current color has its own cursor
+    const [L, a, b] = color;
+    const x = ((a + AB_RANGE) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
+    const y = ((AB_RANGE - b) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
+    abPickerContext.beginPath();
+    abPickerContext.arc(x, y, 5, 0, 2 * Math.PI);
+    abPickerContext.fillStyle = displayCSSColor(L, a, b);
+    abPickerContext.fill();
+    abPickerContext.strokeStyle = L > 0.5 ? 'rgba(0, 0, 0, 0.85)' : 'rgba(255, 255, 255, 0.85)';
+    abPickerContext.lineWidth = 1.5;
+    abPickerContext.stroke();
+
+    const angle = Math.atan2(-b, a);
+    const labelX = x + Math.cos(angle) * 18;
+    const labelY = y + Math.sin(angle) * 12;
+    const text = harmonyOffsetLabel(offset);
+    abPickerContext.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+    abPickerContext.lineWidth = 3;
+    abPickerContext.strokeText(text, labelX, labelY);
+    abPickerContext.fillStyle = '#ffffff';
+    abPickerContext.fillText(text, labelX, labelY);
+  });
+}
+
+/** Load a harmony member (by index) into the picker. */
+function loadHarmonyMember(index) {
+  const member = harmonyMembers()[index];
+  if (member) commitEditedColor(...member.color);
+}
+
+/** Select the harmony scheme. */
+function setHarmonyScheme(id) {
+  if (!HARMONY_SCHEMES.some(s => s.id === id)) return;
+  harmonyScheme = id;
+  updateHarmonyPanel();
+  drawABPicker();
+  scheduleSave();
+}
+
+function toggleHarmonyPanel() {
+  isHarmonyOpen = !isHarmonyOpen;
+  document.getElementById('harmony-panel').classList.toggle('open', isHarmonyOpen);
+  document.getElementById('harmony-toggle-button').classList.toggle('active', isHarmonyOpen);
+  updateHarmonyPanel();
+  drawABPicker();
+  scheduleSave();
+}
@@ -0,0 +1,226 @@
+// ================================================================
+//  ICC PROFILE INFO
+//  Slide-out panel with the chromatic adaptation used for ICC
+//  profiles, the profile library list (icc-library.js) and a
+//  description of the working (or last used) library profile and
+//  the proofing profile: header fields, primaries, white points,
+//  TRC types and validation warnings (anything the parser had to
+//  guess or work around).
+// ================================================================
+
+const ICC_DEVICE_CLASSES = {
+  'mntr': 'Display',
+  'prtr': 'Output',
+  'scnr': 'Input',
+  'spac': 'Color space',
+  'link': 'Device link',
+  'abst': 'Abstract',
+  'nmcl': 'Named color',
+};
+
+// Well-known white points, for labeling profile whites
+const ICC_NAMED_WHITES = [
+  { name: 'D65', xy: WHITE_D65 },
+  { name: 'D50', xy: WHITE_D50 },
+  { name: 'D60', xy: WHITE_ACES },
+  { name: 'DCI', xy: [0.314, 0.351] },
+];
+
+const ICC_NAMED_WHITE_TOLERANCE = 0.002; // Largest xy distance still named
+
+/** xy chromaticity of an XYZ color. */
+function xyzToXY(X, Y, Z) {
+  const sum = X + Y + Z;
+  return sum > 0 ? [X / sum, Y / sum] : [0, 0];
+}
+
+/**
+ * Describe an ICC profile for the info panel.
+ * @returns {{name: string, version: string, deviceClass: string, colorSpace: string,
+ *   pcs: string, kind: string, primaries: {name: string, xy: number[]}[]|null,
+ *   white: object, curves: {name: string, description: string}[]|null,
+ *   warnings: string[]}} Primaries are native (before 'chad'); white is
+ *   the result of readICCWhitePoints
+ */
+function readICCProfileInfo(buffer) {
+  const dv = new DataView(buffer);
+  const tags = readICCTagTable(dv);
+  const warnings = [];
+
+  const majorVersion = dv.getUint8(8);
+  const deviceClassSig = readICCSignature(dv, 12);
+  const colorSpace = readICCSignature(dv, 16);
+  if (dv.getUint32(0, false) !== buffer.byteLength) {
+    warnings.push(`Header size (${dv.getUint32(0, false)} bytes) differs from the file size (${buffer.byteLength})`);
+  }
+
+  // White points
+  const white = readICCWhitePoints(dv, tags);
+  if (!isSameICCWhite(white.pcsWhite, cielabWhiteXYZ('d50'))) warnings.push('Header illuminant is not D50');
+  if (!tags['wtpt']) warnings.push("No 'wtpt' tag: media white taken as D50");
+  if (white.chad && !mat3Invert(white.chad)) warnings.push("'chad' matrix is singular and was ignored");
+  if (white.chad && !isSameICCWhite(white.mediaWhite, white.pcsWhite) &&
+      !isSameICCWhite(mat3Apply(white.chad, ...white.mediaWhite), white.pcsWhite)) {
+    warnings.push("'chad' does not map the 'wtpt' white to D50");
+  }
+  if (majorVersion >= 4 && deviceClassSig === 'mntr' && !isSameICCWhite(white.mediaWhite, white.pcsWhite)) {
+    warnings.push("v4 display profile whose 'wtpt' is not D50 (the adaptation belongs in 'chad')");
+  }
+
+  let kind, primaries = null, curves = null;
+  if (colorSpace === 'RGB ' && tags['rXYZ'] && tags['gXYZ'] && tags['bXYZ']) {
+    kind = 'Matrix/TRC';
+    const colorants = readICCColorantMatrix(dv, tags);
+    const isUnadapted = hasUnadaptedColorants(colorants, white);
+    if (isUnadapted) {
+      warnings.push('Colorants add up to the native white, not D50 (unadapted): read as native XYZ');
+    } else if (!isSameICCWhite(colorants.map(row => row[0] + row[1] + row[2]), white.pcsWhite)) {
+      warnings.push('Colorants do not add up to the D50 PCS white: neutrals will be tinted');
+    }
+    if (!mat3Invert(colorants)) warnings.push('Colorant matrix is singular');
+    const toNative = isUnadapted ? colorants : mat3Multiply(white.pcsToNative, colorants);
+    primaries = ['Red', 'Green', 'Blue'].map((name, i) => ({
+      name, xy: xyzToXY(toNative[0][i], toNative[1][i], toNative[2][i]),
+    }));
+
+    curves = ['rTRC', 'gTRC', 'bTRC'].map(sig => {
+      if (!tags[sig]) {
+        warnings.push(`No '${sig}' tag: sRGB curve assumed`);
+        return { name: sig, description: 'missing (sRGB)' };
+      }
+      const curve = parseICCCurve(dv, tags[sig].offset);
+      if (!curve.isMonotonic) warnings.push(`'${sig}' is not monotonic: encoding is ambiguous`);
+      if (curve.isApproximate) warnings.push(`'${sig}' has an unsupported curve type: ${curve.description}`);
+      return { name: sig, description: curve.description };
+    });
+  } else {
+    const luts = ['A2B0', 'A2B1', 'A2B2', 'B2A0', 'B2A1', 'B2A2', 'gamt'].filter(sig => tags[sig]);
+    kind = luts.length > 0 ? `LUT (${luts.join(', ')})` : 'No colorants or LUTs';
+    if (!tags['A2B0'] && !tags['A2B1']) warnings.push('No A2B0 / A2B1 LUT: device colors cannot be read');
+    if (!tags['B2A0'] && !tags['B2A1']) warnings.push('No B2A0 / B2A1 LUT: colors cannot be converted to the device');
+    if (luts.length > 0 && !tags['gamt']) warnings.push("No 'gamt' tag: gamut tested by round trip");
+  }
+
+  return {
+    name: readICCProfileName(dv, tags),
+    version: `${majorVersion}.${dv.getUint8(9) >> 4}`,
+    deviceClass: ICC_DEVICE_CLASSES[deviceClassSig] || deviceClassSig,
+    colorSpace: colorSpace.trim(),
+    pcs: readICCSignature(dv, 20).trim(),
+    kind,
+    primaries,
+    white,
+    curves,
+    warnings,
+  };
+}
+
+/** "x, y" of an XYZ white, with the name of a matching standard white. */
+function describeICCWhite(xyz) {
+  const xy = xyzToXY(...xyz);
+  const named = ICC_NAMED_WHITES.find(w => Math.hypot(w.xy[0] - xy[0], w.xy[1] - xy[1]) <= ICC_NAMED_WHITE_TOLERANCE);
+  return `${xy[0].toFixed(4)}, ${xy[1].toFixed(4)}` + (named ? ` (${named.name})` : '');
+}
+
+
+// ── Panel ──
+
+/** A label + value row for the info panel. */
+function createICCInfoRow(label, text) {
+  const row = document.createElement('div');
+  row.className = 'hex-row';
+  const labelElement = document.createElement('label');
+  labelElement.textContent = label + ':';
+  const value = document.createElement('span');
+  value.className = 'hex-value icc-info-value';
+  value.textContent = text;
+  row.append(labelElement, value);
+  return row;
+}
+
+/** Info panel rows for one profile (from its base64 bytes). */
+function createICCInfoSection(title, base64) {
+  const header = document.createElement('div');
+  header.className = 'icc-info-title';
+  header.textContent = title;
+  let info;
+  try {
+    info = readICCProfileInfo(base64ToBuffer(base64));
+  } catch (err) {
+    return [header, createICCInfoRow('Error', err.message)];
+  }
+
+  const rows = [
+    header,
+    createICCInfoRow('Name', info.name),
+    createICCInfoRow('Version', `${info.version} ${info.deviceClass}`),
+    createICCInfoRow('Space', `${info.colorSpace} → PCS ${info.pcs}`),
+    createICCInfoRow('Type', info.kind),
+  ];
+  if (info.primaries) {
+    for (const primary of info.primaries) {
+      rows.push(createICCInfoRow(primary.name, `${primary.xy[0].toFixed(4)}, ${primary.xy[1].toFixed(4)}`));
+    }
+  }
+  rows.push(createICCInfoRow('Media white', describeICCWhite(info.white.mediaWhite)));
+  rows.push(createICCInfoRow('Native white', describeICCWhite(info.white.nativeWhite) + (info.white.chad ? ' (chad)' : '')));
+  if (info.curves) {
+    for (const curve of info.curves) rows.push(createICCInfoRow(curve.name, curve.description));
+  }
+  for (const warning of info.warnings) {
+    const line = document.createElement('span');
+    line.className = 'slider-label icc-warning';
+    line.textContent = '⚠ ' + warning;
+    rows.push(line);
+  }
+  if (info.warnings.length === 0) {
+    const line = document.createElement('span');
+    line.className = 'slider-label';
+    line.textContent = 'No problems found';
+    rows.push(line);
+  }
+  return rows;
+}
+
+/** Rebuild the info panel for the current profiles and adaptation. */
+function updateICCInfoPanel() {
+  if (!isICCInfoOpen) return;
+  const select = document.getElementById('cat-select');
+  if (select.options.length === 0) {
+    for (const cat of CHROMATIC_ADAPTATIONS) select.add(new Option(cat.name, cat.id));
+  }
+  select.value = iccAdaptation;
+
+  updateICCLibraryList();
+  const content = [];
+  const profile = iccProfiles[activeICCProfile];
+  if (profile) {
+    const title = workingCSId === 'icc' ? 'Working profile' : 'Last used profile';
+    content.push(...createICCInfoSection(`${title}: ${profile.name}`, profile.base64));
+  }
+  if (proofProfileBase64) content.push(...createICCInfoSection('Proofing profile', proofProfileBase64));
+  document.getElementById('icc-info-content').replaceChildren(...content);
+}
+
+function toggleICCInfoPanel() {
+  isICCInfoOpen = !isICCInfoOpen;
+  document.getElementById('icc-info-panel').classList.toggle('open', isICCInfoOpen);
+  document.getElementById('icc-info-toggle-button').classList.toggle('active', isICCInfoOpen);
+  updateICCInfoPanel();
+  scheduleSave();
+}
+
+/**
+ * Select the chromatic adaptation for ICC profiles. The library
+ * profiles are parsed again, as matrix profiles bake the adaptation
+ * into their matrices.
+ */
+function setICCAdaptation(id) {
+  if (!CHROMATIC_ADAPTATIONS.some(c => c.id === id)) return;
+  iccAdaptation = id;
+  for (const profile of iccProfiles) parseICCLibraryProfile(profile);
+  if (workingCSId === 'icc') workingCS = activeICCWorkingCS();
+  updateWorkingCSDisplay();
+  renderAll();
+  scheduleSave();
+}
@@ -0,0 +1,177 @@
+// ================================================================
+//  ICC PROFILE LIBRARY
+//  Imported ICC profiles kept side by side and persisted as raw
+//  bytes. Any of them can be the working CS (picked in the cs-bar);
+//  each can also show a readout row in the info panel (like the
+//  working CS row), so the same color can be compared across the
+//  encodings of several target devices. The library list (rename,
+//  readout toggle, remove) lives in the ICC profiles panel.
+// ================================================================
+
+/** Working CS of the active library profile, or null when the library is empty. */
+function activeICCWorkingCS() {
+  const profile = iccProfiles[activeICCProfile];
+  return profile ? profile.cs : null;
+}
+
+/**
+ * (Re)parse a library profile into its working CS, keeping the
+ * library name (unnamed profiles take the profile description).
+ */
+function parseICCLibraryProfile(profile) {
+  profile.cs = parseICCProfile(base64ToBuffer(profile.base64));
+  if (!profile.name) profile.name = profile.cs.name;
+  profile.cs.name = profile.name;
+}
+
+/**
+ * Add a profile (raw bytes) to the library.
+ * @returns {number} Index of the new entry
+ * @throws {Error} if the profile is unsupported
+ */
+function addICCProfile(buffer) {
+  const cs = parseICCProfile(buffer);
+  iccProfiles.push({ name: cs.name, base64: bufferToBase64(buffer), isReadout: false, cs });
+  return iccProfiles.length - 1;
+}
+
+/** Make a library profile the working CS. */
+function useICCProfile(index) {
+  if (!iccProfiles[index]) return;
+  activeICCProfile = index;
+  workingCS = iccProfiles[index].cs;
+  workingCSId = 'icc';
+}
+
+/** Called after any library edit: refresh the cs-bar, panel and readouts, and save. */
+function onICCLibraryChanged() {
+  updateWorkingCSDisplay();
+  renderAll();
+  scheduleSave();
+}
+
+/** Rename a library profile (empty names are ignored). */
+function renameICCProfile(index, name) {
+  const profile = iccProfiles[index];
+  if (profile && name.trim()) {
+    profile.name = name.trim();
+    profile.cs.name = profile.name;
+  }
+  onICCLibraryChanged();
+}
+
+/** Show or hide a library profile's readout row in the info panel. */
+function toggleICCProfileReadout(index) {
+  const profile = iccProfiles[index];
+  if (!profile) return;
+  profile.isReadout = !profile.isReadout;
+  onICCLibraryChanged();
+}
+
+/**
+ * Remove a library profile after confirmation. If it is the working
+ * CS, the working CS falls back to the default (P3 or sRGB).
+ */
+function removeICCProfile(index) {
+  const profile = iccProfiles[index];
+  if (!profile || !confirm(`Remove "${profile.name}" from the profile library?`)) return;
+  const wasWorking = workingCSId === 'icc' && index === activeICCProfile;
+  iccProfiles.splice(index, 1);
+  if (index < activeICCProfile) activeICCProfile--;
+  activeICCProfile = Math.max(0, Math.min(activeICCProfile, iccProfiles.length - 1));
+  if (wasWorking) {
+    workingCS = isDisplayP3Supported ? createP3WorkingCS() : createSRGBWorkingCS();
+    workingCSId = isDisplayP3Supported ? 'display-p3' : 'srgb';
+  }
+  onICCLibraryChanged();
+}
+
+
+// ── Library list (ICC profiles panel) ──
+
+/** A library row: editable name, readout toggle and remove button. */
+function createICCLibraryRow(profile, index) {
+  const row = document.createElement('div');
+  row.className = 'hex-row';
+
+  const name = document.createElement('span');
+  name.className = 'hex-value icc-library-name';
+  name.classList.toggle('selected', workingCSId === 'icc' && index === activeICCProfile);
+  name.setAttribute('contenteditable', 'true');
+  name.spellcheck = false;
+  name.textContent = profile.name;
+  name.title = 'Rename';
+  name.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      name.blur();
+    }
+    if (e.key === 'Escape') {
+      name.textContent = '';
+      name.blur();
+    }
+  });
+  name.addEventListener('blur', () => renameICCProfile(index, name.textContent));
+
+  const readout = document.createElement('button');
+  readout.className = 'copy-button';
+  readout.classList.toggle('active', profile.isReadout);
+  readout.title = 'Show a readout row in the info panel';
+  readout.textContent = '👁';
+  readout.onclick = () => toggleICCProfileReadout(index);
+
+  const remove = document.createElement('button');
+  remove.className = 'copy-button';
+  remove.title = 'Remove from the library';
+  remove.textContent = '✕';
+  remove.onclick = () => removeICCProfile(index);
+
+  row.append(name, readout, remove);
+  return row;
+}
+
+/** Rebuild the library list (skipped while a name is being edited). */
+function updateICCLibraryList() {
+  const list = document.getElementById('icc-library-list');
+  if (list.contains(document.activeElement)) return;
+  list.replaceChildren(...iccProfiles.map(createICCLibraryRow));
+  document.getElementById('icc-library-empty').style.display = iccProfiles.length ? 'none' : '';
+}
+
+
+// ── Info panel readout rows ──
+
+/**
+ * Update the readout rows of the library profiles marked for it (the
+ * working profile is already shown in the working CS row).
+ */
+function updateICCReadoutRows() {
+  const shown = iccProfiles.filter((profile, i) => profile.isReadout && !(workingCSId === 'icc' && i === activeICCProfile));
+  const container = document.getElementById('icc-readout-rows');
+  if (container.children.length !== shown.length) {
+    container.replaceChildren(...shown.map((_, i) => {
+      const row = document.createElement('div');
+      row.className = 'hex-row';
+      const label = document.createElement('label');
+      const value = document.createElement('span');
+      value.className = 'hex-value';
+      value.id = `icc-readout-hex-${i}`;
+      const indicator = document.createElement('span');
+      const copy = document.createElement('button');
+      copy.className = 'copy-button';
+      copy.textContent = '📋';
+      copy.onclick = () => copyToClipboard(copy, value.id);
+      row.append(label, value, indicator, copy);
+      return row;
+    }));
+  }
+  shown.forEach((profile, i) => {
+    const [label, value, indicator] = container.children[i].children;
+    label.textContent = profile.name.length > 10 ? profile.name.slice(0, 9) + '…:' : profile.name + ':';
+    label.title = profile.name;
+    value.textContent = gamutMappedHex(profile.cs, currentL, currentA, currentB);
+    indicator.innerHTML = isInGamutOf(profile.cs, currentL, currentA, currentB)
+      ? `<span class="in-gamut" title="In ${profile.name} gamut">✓</span>`
+      : `<span class="out-of-gamut" title="Out of ${profile.name} gamut">✗ out of gamut</span>`;
+  });
+}
@@ -0,0 +1,362 @@
+// ================================================================
+//  ICC LUT PROFILES
+//  Evaluates the LUT-based transforms of ICC profiles: lut8 ('mft1'),
+//  lut16 ('mft2'), lutAtoB ('mAB ') and lutBtoA ('mBA ') tags in the
+//  A2B0–2 / B2A0–2 slots chosen by the rendering intent. LUT-based
+//  RGB display profiles become a working CS; CMYK (or any other
+//  LUT-based output) profiles act as a proofing space (soft-proof.js).
+//
+//  The PCS (XYZ or Lab) is relative to D50 and is adapted to D65 with
+//  the chromatic adaptation chosen in the cs-bar. Absolute colorimetric
+//  uses the relative colorimetric LUTs scaled by the media white
+//  point. Gamut tests use the profile's 'gamt' tag if present, else
+//  a relative colorimetric PCS → device → PCS round trip.
+// ================================================================
+
+const RENDERING_INTENTS = [
+  { id: 'perceptual', name: 'Perceptual',            slot: 0 },
+  { id: 'relative',   name: 'Relative colorimetric', slot: 1 },
+  { id: 'saturation', name: 'Saturation',            slot: 2 },
+  { id: 'absolute',   name: 'Absolute colorimetric', slot: 1 },
+];
+
+// Round-trip gamut test tolerance, measured per profile: the ΔEOK of
+// the PCS → device → PCS round trip for device values sampled over the
+// device cube (all in gamut) is interpolation error. The tolerance is
+// this quantile of it: in-gamut colors near the surface of the device
+// cube, where B2A grid cells straddle the gamut boundary, reach several
+// times the typical error, and a tolerance covering all of them lets
+// clearly out-of-gamut colors in.
+const ICC_GAMUT_TOLERANCE_QUANTILE = 0.99;
+const ICC_GAMUT_TOLERANCE_MIN = 0.001;      // For near-exact LUTs
+const ICC_GAMUT_SAMPLES = 729;              // Device cube samples (9³ for RGB)
+
+
+// ── LUT evaluation ──
+
+/** Linearly interpolate a 1D table (values 0–1) at v in [0, 1]. */
+function lookupICCTable(table, v) {
+  const x = clamp01(v) * (table.length - 1);
+  const lo = Math.floor(x), hi = Math.min(lo + 1, table.length - 1);
+  return table[lo] + (table[hi] - table[lo]) * (x - lo);
+}
+
+/**
+ * Multilinear interpolation in a color lookup table (any number of
+ * inputs; the first input varies slowest, as stored in ICC CLUTs).
+ * @param {{grid: number[], outputs: number, data: Float64Array}} clut
+ * @returns {number[]} Output values (0–1)
+ */
+function interpolateCLUT(clut, input) {
+  const { grid, outputs, data } = clut;
+  const n = grid.length;
+  const strides = new Array(n);
+  let stride = outputs;
+  for (let d = n - 1; d >= 0; d--) {
+    strides[d] = stride;
+    stride *= grid[d];
+  }
+
+  const frac = new Array(n);
+  let origin = 0;
+  for (let d = 0; d < n; d++) {
+    const x = clamp01(input[d]) * (grid[d] - 1);
+    const i = Math.max(0, Math.min(Math.floor(x), grid[d] - 2));
+    frac[d] = x - i;
+    origin += i * strides[d];
+  }
+
+  // Weighted sum over the 2^n corners of the enclosing cell
+  const out = new Array(outputs).fill(0);
+  for (let corner = 0; corner < (1 << n); corner++) {
+    let weight = 1, offset = origin;
+    for (let d = 0; d < n; d++) {
+      if (corner & (1 << d)) {
+        weight *= frac[d];
+        offset += strides[d];
+      } else {
+        weight *= 1 - frac[d];
+      }
+    }
+    if (weight === 0) continue;
+    for (let k = 0; k < outputs; k++) out[k] += weight * data[offset + k];
+  }
+  return out;
+}
+
+/**
+ * Parse a lut8 ('mft1') or lut16 ('mft2') tag: matrix (XYZ input
+ * only), input tables, CLUT, output tables.
+ */
+function parseLegacyLutTag(dv, o, is16) {
+  const inputs = dv.getUint8(o + 8);
+  const outputs = dv.getUint8(o + 9);
+  const gridPoints = dv.getUint8(o + 10);
+  const matrix = [0, 1, 2].map(r => [0, 1, 2].map(c => readS15Fixed16(dv, o + 12 + (r * 3 + c) * 4)));
+  const inputEntries = is16 ? dv.getUint16(o + 48) : 256;
+  const outputEntries = is16 ? dv.getUint16(o + 50) : 256;
+
+  let p = o + (is16 ? 52 : 48);
+  const readArray = (count) => {
+    const values = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = is16 ? dv.getUint16(p + i * 2) / 65535 : dv.getUint8(p + i) / 255;
+    }
+    p += count * (is16 ? 2 : 1);
+    return values;
+  };
+  const inputTables = Array.from({ length: inputs }, () => readArray(inputEntries));
+  const clut = { grid: new Array(inputs).fill(gridPoints), outputs, data: readArray(gridPoints ** inputs * outputs) };
+  const outputTables = Array.from({ length: outputs }, () => readArray(outputEntries));
+
+  return {
+    inputs,
+    outputs,
+    legacyLab: is16, // lut16 keeps the ICC v2 16-bit Lab encoding
+    evaluate(values, isXYZInput) {
+      const input = isXYZInput && inputs === 3 ? mat3Apply(matrix, ...values) : values;
+      const curved = input.map((v, i) => lookupICCTable(inputTables[i], v));
+      return interpolateCLUT(clut, curved).map((v, i) => lookupICCTable(outputTables[i], v));
+    },
+  };
+}
+
+/**
+ * Parse a lutAtoB ('mAB ') or lutBtoA ('mBA ') tag. The A side is
+ * the device, the B side the PCS:
+ *   A2B: A curves → CLUT → M curves → matrix → B curves
+ *   B2A: B curves → matrix → M curves → CLUT → A curves
+ */
+function parseLutABTag(dv, o, isAtoB) {
+  const inputs = dv.getUint8(o + 8);
+  const outputs = dv.getUint8(o + 9);
+  const [bOffset, matrixOffset, mOffset, clutOffset, aOffset] =
+    [12, 16, 20, 24, 28].map(k => dv.getUint32(o + k));
+  const deviceChannels = isAtoB ? inputs : outputs;
+  const pcsChannels = isAtoB ? outputs : inputs;
+
+  // Curves are stored one after another, each padded to 4 bytes
+  const readCurves = (offset, count) => {
+    if (!offset) return null;
+    const curves = [];
+    let p = o + offset;
+    for (let i = 0; i < count; i++) {
+      const curve = parseICCCurve(dv, p);
+      curves.push(curve.decode);
+      p += Math.ceil(curve.size / 4) * 4;
+    }
+    return curves;
+  };
+  const bCurves = readCurves(bOffset, pcsChannels);
+  const mCurves = readCurves(mOffset, pcsChannels);
+  const aCurves = readCurves(aOffset, deviceChannels);
+
+  // 3×3 matrix followed by an offset column
+  let matrix = null;
+  if (matrixOffset) {
+    const m = Array.from({ length: 12 }, (_, i) => readS15Fixed16(dv, o + matrixOffset + i * 4));
+    matrix = (v) => [0, 1, 2].map(r => m[r * 3] * v[0] + m[r * 3 + 1] * v[1] + m[r * 3 + 2] * v[2] + m[9 + r]);
+  }
+
+  // CLUT: 16 grid-point bytes, precision (1 or 2 bytes), 3 padding, data
+  let clut = null;
+  if (clutOffset) {
+    const c = o + clutOffset;
+    const grid = Array.from({ length: inputs }, (_, i) => dv.getUint8(c + i));
+    const precision = dv.getUint8(c + 16);
+    const data = new Float64Array(grid.reduce((n, g) => n * g, outputs));
+    for (let i = 0; i < data.length; i++) {
+      data[i] = precision === 1 ? dv.getUint8(c + 20 + i) / 255 : dv.getUint16(c + 20 + i * 2) / 65535;
+    }
+    clut = { grid, outputs, data };
+  }
+
+  const applyCurves = (curves, v) => (curves ? v.map((x, i) => curves[i](clamp01(x))) : v);
+  return {
+    inputs,
+    outputs,
+    legacyLab: false,
+    evaluate(values) {
+      let v = values;
+      if (isAtoB) {
+        v = applyCurves(aCurves, v);
+        if (clut) v = interpolateCLUT(clut, v);
+        v = applyCurves(mCurves, v);
+        if (matrix) v = matrix(v);
+        return applyCurves(bCurves, v);
+      }
+      v = applyCurves(bCurves, v);
+      if (matrix) v = matrix(v);
+      v = applyCurves(mCurves, v);
+      if (clut) v = interpolateCLUT(clut, v);
+      return applyCurves(aCurves, v);
+    },
+  };
+}
+
+/** Parse any of the four LUT tag types at a byte offset. */
+function parseICCLutTag(dv, offset) {
+  const type = readICCSignature(dv, offset);
+  if (type === 'mft1') return parseLegacyLutTag(dv, offset, false);
+  if (type === 'mft2') return parseLegacyLutTag(dv, offset, true);
+  if (type === 'mAB ') return parseLutABTag(dv, offset, true);
+  if (type === 'mBA ') return parseLutABTag(dv, offset, false);
+  throw new Error(`Unsupported LUT type '${type}'`);
+}
+
+
+// ── PCS encoding ──
+
+/** Normalized PCS values (0–1) → XYZ (D50, Y = 1). */
+function pcsValuesToXYZ(values, pcs, legacyLab) {
+  if (pcs === 'XYZ ') return values.map(v => v * 65535 / 32768); // u1Fixed15
+  // Lab: L 0–100, a and b −128–127 (v2 16-bit Lab tops out at 0xFF00)
+  const scale = legacyLab ? 65535 / 65280 : 1;
+  return cielabToXYZ(
+    values[0] * scale * 100,
+    values[1] * scale * 255 - 128,
+    values[2] * scale * 255 - 128,
+    cielabWhiteXYZ('d50')
+  );
+}
+
+/** XYZ (D50, Y = 1) → normalized PCS values (0–1). */
+function xyzToPCSValues(xyz, pcs, legacyLab) {
+  if (pcs === 'XYZ ') return xyz.map(v => clamp01(v * 32768 / 65535));
+  const [L, a, b] = xyzToCIELab(...xyz, cielabWhiteXYZ('d50'));
+  const scale = legacyLab ? 65280 / 65535 : 1;
+  return [L / 100, (a + 128) / 255, (b + 128) / 255].map(v => clamp01(v * scale));
+}
+
+// PCS ↔ linear sRGB matrices for the chromatic adaptation they were built with
+let iccPCSMatrices = null;
+
+/** The PCS (D50) ↔ linear sRGB matrices for the selected iccAdaptation. */
+function currentICCPCSMatrices() {
+  if (!iccPCSMatrices || iccPCSMatrices.adaptationId !== iccAdaptation) {
+    const toD65 = adaptationMatrix(iccAdaptation, cielabWhiteXYZ('d50'), cielabWhiteXYZ('d65'));
+    const toLinearSRGB = mat3Multiply(XYZ_TO_LINEAR_SRGB, toD65);
+    iccPCSMatrices = { adaptationId: iccAdaptation, toLinearSRGB, fromLinearSRGB: mat3Invert(toLinearSRGB) };
+  }
+  return iccPCSMatrices;
+}
+
+/** Linear sRGB → ICC PCS XYZ (adapted to D50 with the selected transform). */
+function linearSRGBToICCXYZ(r, g, b) {
+  return mat3Apply(currentICCPCSMatrices().fromLinearSRGB, r, g, b);
+}
+
+/** ICC PCS XYZ (D50) → linear sRGB. */
+function iccXYZToLinearSRGB(X, Y, Z) {
+  return mat3Apply(currentICCPCSMatrices().toLinearSRGB, X, Y, Z);
+}
+
+
+// ── Profiles ──
+
+/**
+ * Parse the LUTs of an ICC profile.
+ * @returns {object} Profile with name, colorSpace ('RGB ', 'CMYK', ...),
+ *   channels, toXYZ(deviceValues, intentId), fromXYZ(xyz, intentId)
+ *   and gamutTest(xyz) (null without a 'gamt' tag; isInICCGamut then
+ *   caches the measured round-trip tolerance as gamutTolerance)
+ * @throws {Error} if the A2B or B2A LUTs are missing or unsupported
+ */
+function parseICCLutProfile(buffer) {
+  const dv = new DataView(buffer);
+  const tags = readICCTagTable(dv);
+  const colorSpace = readICCSignature(dv, 16);
+  const pcs = readICCSignature(dv, 20);
+
+  const luts = {};
+  for (const sig of ['A2B0', 'A2B1', 'A2B2', 'B2A0', 'B2A1', 'B2A2', 'gamt']) {
+    if (tags[sig]) luts[sig] = parseICCLutTag(dv, tags[sig].offset);
+  }
+  if (!luts.A2B0 && !luts.A2B1) throw new Error('No A2B0 / A2B1 LUT in the profile');
+  if (!luts.B2A0 && !luts.B2A1) throw new Error('No B2A0 / B2A1 LUT in the profile');
+
+  // Media white point (for absolute colorimetric)
+  const d50 = cielabWhiteXYZ('d50');
+  const mediaWhite = tags['wtpt'] ? readICCXYZNumber(dv, tags['wtpt'].offset + 8) : d50;
+
+  // The LUT for an intent, falling back to the other colorimetric/default slot
+  const lutFor = (direction, intentId) => {
+    const intent = RENDERING_INTENTS.find(i => i.id === intentId) || RENDERING_INTENTS[1];
+    return luts[direction + intent.slot] || luts[direction + '0'] || luts[direction + '1'];
+  };
+  const isXYZ = pcs === 'XYZ ';
+
+  return {
+    name: readICCProfileName(dv, tags),
+    colorSpace,
+    channels: (luts.A2B0 || luts.A2B1).inputs,
+    toXYZ(values, intentId) {
+      const lut = lutFor('A2B', intentId);
+      const xyz = pcsValuesToXYZ(lut.evaluate(values.map(clamp01)), pcs, lut.legacyLab);
+      return intentId === 'absolute' ? xyz.map((v, i) => v * mediaWhite[i] / d50[i]) : xyz;
+    },
+    fromXYZ(xyz, intentId) {
+      const lut = lutFor('B2A', intentId);
+      const relative = intentId === 'absolute' ? xyz.map((v, i) => v * d50[i] / mediaWhite[i]) : xyz;
+      return lut.evaluate(xyzToPCSValues(relative, pcs, lut.legacyLab), isXYZ).map(clamp01);
+    },
+    // 'gamt' outputs 0 in gamut, anything else out of gamut
+    gamutTest: luts.gamt
+      ? (xyz) => luts.gamt.evaluate(xyzToPCSValues(xyz, pcs, luts.gamt.legacyLab), isXYZ)[0] < 0.5
+      : null,
+  };
+}
+
+/** ΔEOK of a PCS XYZ color's relative colorimetric round trip through the device. */
+function iccRoundTripError(profile, xyz) {
+  const roundTrip = profile.toXYZ(profile.fromXYZ(xyz, 'relative'), 'relative');
+  return deltaEOK(
+    ...linearSRGBToOKLab(...iccXYZToLinearSRGB(...xyz)),
+    ...linearSRGBToOKLab(...iccXYZToLinearSRGB(...roundTrip))
+  );
+}
+
+/**
+ * Measure the round-trip tolerance of a profile: the error quantile
+ * over a grid of device values (A2B → B2A → A2B).
+ */
+function measureICCGamutTolerance(profile) {
+  const steps = Math.max(3, Math.round(ICC_GAMUT_SAMPLES ** (1 / profile.channels)));
+  const count = steps ** profile.channels;
+  const errors = new Float64Array(count);
+  for (let n = 0; n < count; n++) {
+    const values = [];
+    for (let c = 0, rest = n; c < profile.channels; c++, rest = Math.floor(rest / steps)) {
+      values.push((rest % steps) / (steps - 1));
+    }
+    errors[n] = iccRoundTripError(profile, profile.toXYZ(values, 'relative'));
+  }
+  errors.sort();
+  const quantile = errors[Math.floor(ICC_GAMUT_TOLERANCE_QUANTILE * (count - 1))];
+  return Math.max(ICC_GAMUT_TOLERANCE_MIN, quantile);
+}
+
+/** Whether a PCS XYZ color is within a LUT profile's gamut. */
+function isInICCGamut(profile, xyz) {
+  if (profile.gamutTest) return profile.gamutTest(xyz);
+  if (profile.gamutTolerance === undefined) profile.gamutTolerance = measureICCGamutTolerance(profile);
+  return iccRoundTripError(profile, xyz) <= profile.gamutTolerance;
+}
+
+/**
+ * Create a working CS from a LUT-based RGB profile. Its channel
+ * values are the device values (no separate transfer curve), the
+ * LUTs follow the selected rendering intent and the gamut test is
+ * the profile's (containsLinearSRGB, used by isInGamutOf).
+ */
+function createLutWorkingCS(profile) {
+  if (profile.channels !== 3) throw new Error('Not a 3-channel RGB profile');
+  return {
+    name: profile.name,
+    toLinearSRGB:   (r, g, b) => iccXYZToLinearSRGB(...profile.toXYZ([r, g, b], iccRenderingIntent)),
+    fromLinearSRGB: (r, g, b) => profile.fromXYZ(linearSRGBToICCXYZ(r, g, b), iccRenderingIntent),
+    decode: v => v,
+    encode: v => v,
+    containsLinearSRGB: (r, g, b) => isInICCGamut(profile, linearSRGBToICCXYZ(r, g, b)),
+  };
+}
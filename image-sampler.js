@@ -0,0 +1,303 @@
+// ================================================================
+//  REFERENCE IMAGE
+//  An image file (PNG, JPEG, WebP) opened or dropped into a panel,
+//  with wheel zoom and drag panning. Clicking samples the image:
+//  the pixels within the averaging radius are decoded through the
+//  image's embedded ICC profile (sRGB if it has none), averaged in
+//  linear light and committed like any other edit (so the sample
+//  goes to the active history stack). The image itself is not
+//  persisted, only the panel state and the radius. The image's
+//  dominant palette is extracted by palette-extraction.js.
+// ================================================================
+
+const IMAGE_SAMPLE_RADIUS_MAX = 25;  // Largest averaging radius (image px)
+const IMAGE_ZOOM_STEP = 1.25;        // Zoom factor per wheel notch
+const IMAGE_ZOOM_MAX = 32;           // Canvas px per image px
+const IMAGE_CLICK_SLOP = 3;          // Pointer travel (px) before a click becomes a pan
+
+
+// ── Embedded ICC profiles ──
+
+/** ICC profile from a PNG's iCCP chunk (zlib-compressed), or null. */
+function extractPNGProfile(bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let o = 8; o + 8 <= bytes.length;) {
+    const length = dv.getUint32(o, false);
+    const type = readICCSignature(dv, o + 4);
+    if (type === 'iCCP') {
+      const data = bytes.subarray(o + 8, o + 8 + length);
+      const nameEnd = data.indexOf(0);
+      // Profile name, null separator, compression method (0), zlib stream
+      const profile = require('zlib').inflateSync(data.subarray(nameEnd + 2));
+      return profile.buffer.slice(profile.byteOffset, profile.byteOffset + profile.byteLength);
+    }
+    if (type === 'IDAT' || type === 'IEND') break; // iCCP precedes the image data
+    o += 12 + length;
+  }
+  return null;
+}
+
+/** ICC profile from a JPEG's APP2 ICC_PROFILE segments (in sequence order), or null. */
+function extractJPEGProfile(bytes) {
+  const chunks = [];
+  for (let o = 2; o + 4 <= bytes.length;) {
+    if (bytes[o] !== 0xFF) break;
+    const marker = bytes[o + 1];
+    if (marker === 0xDA || marker === 0xD9) break; // start of scan / end of image
+    const length = (bytes[o + 2] << 8) | bytes[o + 3];
+    if (marker === 0xE2 && String.fromCharCode(...bytes.subarray(o + 4, o + 15)) === 'ICC_PROFILE') {
+      // "ICC_PROFILE\0", sequence number, chunk count, profile data
+      chunks.push({ sequence: bytes[o + 16], data: bytes.subarray(o + 18, o + 2 + length) });
+    }
+    o += 2 + length;
+  }
+  if (chunks.length === 0) return null;
+  chunks.sort((c1, c2) => c1.sequence - c2.sequence);
+  const profile = new Uint8Array(chunks.reduce((sum, c) => sum + c.data.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    profile.set(chunk.data, offset);
+    offset += chunk.data.length;
+  }
+  return profile.buffer;
+}
+
+/** ICC profile from a WebP's ICCP chunk, or null. */
+function extractWebPProfile(bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let o = 12; o + 8 <= bytes.length;) {
+    const type = readICCSignature(dv, o);
+    const length = dv.getUint32(o + 4, true);
+    if (type === 'ICCP') return bytes.slice(o + 8, o + 8 + length).buffer;
+    o += 8 + length + (length & 1); // chunks are padded to an even size
+  }
+  return null;
+}
+
+/** The embedded ICC profile of a PNG, JPEG or WebP file, or null. */
+function extractImageProfile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) return extractPNGProfile(bytes);
+  if (bytes[0] === 0xFF && bytes[1] === 0xD8) return extractJPEGProfile(bytes);
+  if (String.fromCharCode(...bytes.subarray(0, 4)) === 'RIFF' &&
+      String.fromCharCode(...bytes.subarray(8, 12)) === 'WEBP') return extractWebPProfile(bytes);
+  return null;
+}
+
+
+// ── Loading ──
+
+/**
+ * Decode an image file. The sampled pixels are the file's own values
+ * (no color conversion); the displayed bitmap is color managed.
+ */
+async function loadReferenceImage(file) {
+  const buffer = await file.arrayBuffer();
+  let cs = createSRGBWorkingCS();
+  let profileName = 'sRGB (no embedded profile)';
+  try {
+    const profile = extractImageProfile(buffer);
+    if (profile) {
+      cs = parseICCProfile(profile);
+      profileName = cs.name;
+    }
+  } catch (err) {
+    profileName = `sRGB (embedded profile unsupported: ${err.message})`;
+  }
+
+  const blob = new Blob([buffer]);
+  const raw = await createImageBitmap(blob, { colorSpaceConversion: 'none' });
+  const display = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = raw.width;
+  canvas.height = raw.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(raw, 0, 0);
+  raw.close();
+
+  // Per-channel 8-bit decode tables (encoded → linear in the image's space)
+  const decodeTables = [0, 1, 2].map(ch => Float64Array.from({ length: 256 }, (_, i) =>
+    cs.perChannelTRC ? cs.decode(i / 255, ch) : cs.decode(i / 255)));
+
+  if (referenceImage) referenceImage.bitmap.close();
+  referenceImage = {
+    name: file.name,
+    width: canvas.width,
+    height: canvas.height,
+    pixels: context.getImageData(0, 0, canvas.width, canvas.height).data,
+    bitmap: display,
+    cs,
+    decodeTables,
+    profileName,
+  };
+  imageSampleMark = null;
+  fitImageView();
+}
+
+/** Open an image from the file input. */
+async function handleImageImport(input) {
+  if (!input.files || !input.files[0]) return;
+  await openReferenceImage(input.files[0]);
+  input.value = ''; // allow re-opening the same file
+}
+
+/** Open a dropped or chosen image file (alerts on failure). */
+async function openReferenceImage(file) {
+  try {
+    await loadReferenceImage(file);
+    updateExtractedPalette();
+  } catch (err) {
+    alert(`Failed to open image ${file.name}:\n` + (err.message || 'unsupported format'));
+  }
+  updateImagePanel();
+}
+
+function closeReferenceImage() {
+  if (referenceImage) referenceImage.bitmap.close();
+  referenceImage = null;
+  imageSampleMark = null;
+  extractedPalette = null;
+  updateImagePanel();
+}
+
+
+// ── Sampling ──
+
+/**
+ * Average color around an image pixel: the pixels within radius are
+ * decoded to linear light, converted to linear sRGB and averaged
+ * (weighted by alpha; fully transparent pixels are skipped).
+ * @returns {number[]|null} OKLab color, or null if nothing was covered
+ */
+function sampleReferenceImage(x, y, radius) {
+  const { width, height, pixels, cs, decodeTables } = referenceImage;
+  const sum = [0, 0, 0];
+  let weight = 0;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const px = x + dx, py = y + dy;
+      if (dx * dx + dy * dy > radius * radius || px < 0 || py < 0 || px >= width || py >= height) continue;
+      const i = (py * width + px) * 4;
+      const alpha = pixels[i + 3] / 255;
+      if (alpha === 0) continue;
+      const linear = cs.toLinearSRGB(decodeTables[0][pixels[i]], decodeTables[1][pixels[i + 1]], decodeTables[2][pixels[i + 2]]);
+      for (let ch = 0; ch < 3; ch++) sum[ch] += linear[ch] * alpha;
+      weight += alpha;
+    }
+  }
+  if (weight === 0) return null;
+  return linearSRGBToOKLab(sum[0] / weight, sum[1] / weight, sum[2] / weight);
+}
+
+/** Sample the image pixel under the pointer into the picker. */
+function sampleImageAtPointer(event) {
+  if (!referenceImage) return;
+  const [x, y] = imagePointFromPointer(event).map(Math.floor);
+  const color = sampleReferenceImage(x, y, imageSampleRadius);
+  if (!color) return;
+  imageSampleMark = [x, y];
+  updateImagePanel();
+  commitEditedColor(...color);
+}
+
+function setImageSampleRadius(radius) {
+  imageSampleRadius = Math.max(0, Math.min(IMAGE_SAMPLE_RADIUS_MAX, Math.round(radius)));
+  updateImagePanel();
+  scheduleSave();
+}
+
+
+// ── View (pan / zoom) ──
+
+/** Image coordinates (px, fractional) under the pointer. */
+function imagePointFromPointer(event) {
+  const rect = imageCanvas.getBoundingClientRect();
+  const canvasX = (event.clientX - rect.left) * imageCanvas.width / rect.width;
+  const canvasY = (event.clientY - rect.top) * imageCanvas.height / rect.height;
+  return [imageView.x + canvasX / imageView.zoom, imageView.y + canvasY / imageView.zoom];
+}
+
+/** Fit the whole image into the canvas, centered. */
+function fitImageView() {
+  if (!referenceImage) return;
+  const zoom = Math.min(imageCanvas.width / referenceImage.width, imageCanvas.height / referenceImage.height);
+  imageView = {
+    zoom,
+    x: (referenceImage.width - imageCanvas.width / zoom) / 2,
+    y: (referenceImage.height - imageCanvas.height / zoom) / 2,
+  };
+  drawReferenceImage();
+}
+
+/** Zoom by a factor, keeping the image point under the pointer in place. */
+function zoomImageAtPointer(event, factor) {
+  const [x, y] = imagePointFromPointer(event);
+  const minZoom = Math.min(imageCanvas.width / referenceImage.width, imageCanvas.height / referenceImage.height) / 2;
+  const zoom = Math.max(minZoom, Math.min(IMAGE_ZOOM_MAX, imageView.zoom * factor));
+  imageView = {
+    zoom,
+    x: x - (x - imageView.x) * imageView.zoom / zoom,
+    y: y - (y - imageView.y) * imageView.zoom / zoom,
+  };
+  drawReferenceImage();
+}
+
+/** Pan so the image follows the pointer since the drag started. */
+function panImageToPointer(event, dragStart) {
+  imageView.x = dragStart.viewX - (event.clientX - dragStart.clientX) / imageView.zoom;
+  imageView.y = dragStart.viewY - (event.clientY - dragStart.clientY) / imageView.zoom;
+  drawReferenceImage();
+}
+
+
+// ── Panel ──
+
+/** Draw the image at the current view, with the last sample's area. */
+function drawReferenceImage() {
+  imageContext.clearRect(0, 0, imageCanvas.width, imageCanvas.height);
+  if (!referenceImage) return;
+  const { zoom, x, y } = imageView;
+  imageContext.imageSmoothingEnabled = zoom < 1;
+  imageContext.drawImage(referenceImage.bitmap, -x * zoom, -y * zoom,
+    referenceImage.width * zoom, referenceImage.height * zoom);
+
+  if (imageSampleMark) {
+    const cx = (imageSampleMark[0] + 0.5 - x) * zoom;
+    const cy = (imageSampleMark[1] + 0.5 - y) * zoom;
+    const r = Math.max(3, (imageSampleRadius + 0.5) * zoom);
+    imageContext.lineWidth = 1.5;
+    imageContext.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+    imageContext.beginPath();
+    imageContext.arc(cx, cy, r + 1.5, 0, Math.PI * 2);
+    imageContext.stroke();
+    imageContext.strokeStyle = '#ffffff';
+    imageContext.beginPath();
+    imageContext.arc(cx, cy, r, 0, Math.PI * 2);
+    imageContext.stroke();
+  }
+}
+
+/** Update the image name, profile, radius and sample readout. */
+function updateImagePanel() {
+  if (!isImageOpen) return;
+  document.getElementById('image-name').textContent = referenceImage
+    ? `${referenceImage.name} (${referenceImage.width}×${referenceImage.height})`
+    : 'none';
+  document.getElementById('image-profile-name').textContent = referenceImage ? referenceImage.profileName : '';
+  const radiusField = document.getElementById('image-radius-value');
+  if (document.activeElement !== radiusField) radiusField.textContent = String(imageSampleRadius);
+  document.getElementById('image-sample-info').textContent = imageSampleMark
+    ? `at ${imageSampleMark[0]}, ${imageSampleMark[1]}`
+    : '';
+  imageCanvas.classList.toggle('empty', !referenceImage);
+  drawReferenceImage();
+  updatePaletteSection();
+}
+
+function toggleImagePanel() {
+  isImageOpen = !isImageOpen;
+  document.getElementById('image-panel').classList.toggle('open', isImageOpen);
+  document.getElementById('image-toggle-button').classList.toggle('active', isImageOpen);
+  updateImagePanel();
+  scheduleSave();
+}
@@ -11,6 +11,7 @@ function drawAllSliders() {
   drawLightnessSlider();
   drawChromaSlider();
   drawHueSlider();
+  drawOkhsxHueStrip();
 }
 
 /** Helper: recompute all slider gradients */
@@ -18,6 +19,7 @@ function renderAllSliderColors() {
   renderLightnessSliderColors();
   renderChromaSliderColors();
   renderHueSliderColors();
+  renderOkhsxHueStripColors();
 }
 
 function renderAll() {
@@ -28,6 +30,8 @@ function renderAll() {
   drawAllSliders();
   updateInfoPanel();
   updateLightingPanel();
+  updateGradientPanel();
+  updateLibraryPanel();
 }
 
 function onABChanged() {
@@ -147,14 +151,40 @@ let isDraggingAB = false;
 let isDraggingLightness = false;
 let isDraggingChroma = false;
 let isDraggingHue = false;
+let isDraggingOkhsxHue = false;
 let isDraggingIntensity = false;
+let isDraggingCCT = false;
+let isDraggingDuv = false;
+let isDraggingGradientStop = false;
+let isDraggingImage = false;
+let isDraggingGamutView = false;
 let isAnimationFramePending = false;
 
+// Pointer and view at the start of a reference image drag; isPan is
+// set once the pointer has moved far enough (otherwise it is a click)
+let imageDragStart = { clientX: 0, clientY: 0, viewX: 0, viewY: 0, isPan: false };
+
+// Pointer and rotation at the start of a 3D gamut view drag
+let gamutViewDragStart = { clientX: 0, clientY: 0, yaw: 0, pitch: 0 };
+
+// Lightness at the start of an a,b / chroma / hue drag. Gamut mapping
+// methods that change L map from this value so L does not drift
+// frame by frame during the drag.
+let dragStartL = currentL;
+
+// Okhsv/Okhsl [h, s, v or l] at the start of a hue strip drag. The
+// strip keeps these fixed, so s is not lost while the color is gray.
+let dragStartOkhsx = [0, 0, 0];
+
 /**
  * Read pointer position over the a,b picker canvas and update
  * currentA and currentB accordingly.
  */
 function updateABFromPointer(event) {
+  if (pickerMode !== 'oklab') {
+    updateOkhsxSquareFromPointer(event);
+    return;
+  }
   const rect = abPickerCanvas.getBoundingClientRect();
   const normalizedX = clamp01((event.clientX - rect.left) / rect.width);
   const normalizedY = clamp01((event.clientY - rect.top) / rect.height);
@@ -163,8 +193,11 @@ function updateABFromPointer(event) {
   const targetA = normalizedX * 2 * AB_RANGE - AB_RANGE;  // left=-0.4, right=+0.4
   const targetB = AB_RANGE - normalizedY * 2 * AB_RANGE;  // top=+0.4, bottom=-0.4
 
-  // Clamp to working gamut by reducing chroma (preserving hue)
-  [currentA, currentB] = clampToWorkingGamut(currentL, targetA, targetB);
+  // Map into the working gamut with the selected method. Methods that
+  // move lightness leave the current plane, so re-render it.
+  const previousL = currentL;
+  [currentL, currentA, currentB] = mapToWorkingGamut(dragStartL, targetA, targetB);
+  if (currentL !== previousL) renderABPickerColors();
 }
 
 /**
@@ -174,8 +207,8 @@ function updateABFromPointer(event) {
 function updateLightnessFromPointer(event) {
   const rect = lightnessSliderCanvas.getBoundingClientRect();
   currentL = clamp01((event.clientX - rect.left) / rect.width);  // left=0, right=1
-  // Clamp a,b to stay in gamut at the new lightness
-  [currentA, currentB] = clampToWorkingGamut(currentL, currentA, currentB);
+  // Map back into the working gamut at the new lightness
+  [currentL, currentA, currentB] = mapToWorkingGamut(currentL, currentA, currentB);
 }
 
 /**
@@ -187,8 +220,8 @@ function updateChromaFromPointer(event) {
   const newChroma = clamp01((event.clientX - rect.left) / rect.width) * CHROMA_MAX;
   const [, currentHue] = oklabToOklch(currentA, currentB);
   const [targetA, targetB] = oklchToOklab(newChroma, currentHue);
-  // Clamp chroma to gamut boundary
-  [currentA, currentB] = clampToWorkingGamut(currentL, targetA, targetB);
+  // Map to the gamut boundary with the selected method
+  [currentL, currentA, currentB] = mapToWorkingGamut(dragStartL, targetA, targetB);
 }
 
 /**
@@ -200,8 +233,29 @@ function updateHueFromPointer(event) {
   const newHue = clamp01((event.clientX - rect.left) / rect.width) * 360;
   const [currentChroma] = oklabToOklch(currentA, currentB);
   const [targetA, targetB] = oklchToOklab(currentChroma, newHue);
-  // Clamp to gamut at new hue by reducing chroma if needed
-  [currentA, currentB] = clampToWorkingGamut(currentL, targetA, targetB);
+  // Map into the gamut at the new hue with the selected method
+  [currentL, currentA, currentB] = mapToWorkingGamut(dragStartL, targetA, targetB);
+}
+
+/**
+ * Read pointer position over the Okhsv SV / Okhsl SL square and
+ * update currentL/A/B (keeping the square's hue).
+ */
+function updateOkhsxSquareFromPointer(event) {
+  const rect = abPickerCanvas.getBoundingClientRect();
+  const saturation = clamp01((event.clientX - rect.left) / rect.width);  // left=0, right=1
+  const yValue = 1 - clamp01((event.clientY - rect.top) / rect.height);  // top=1, bottom=0
+  [currentL, currentA, currentB] = okhsxToOklab(currentOkHue(), saturation, yValue);
+}
+
+/**
+ * Read pointer position over the Okhsv/Okhsl hue strip and update
+ * currentL/A/B (keeping the saturation and value or lightness).
+ */
+function updateOkhsxHueFromPointer(event) {
+  const rect = okhsxHueStripCanvas.getBoundingClientRect();
+  okHue = clamp01((event.clientX - rect.left) / rect.width) * 360;
+  [currentL, currentA, currentB] = okhsxToOklab(okHue, dragStartOkhsx[1], dragStartOkhsx[2]);
 }
 
 /**
@@ -216,10 +270,33 @@ function updateIntensityFromPointer(event) {
   ));
 }
 
+/** Fraction (0–1) of the pointer position across a track element. */
+function trackFractionFromPointer(event, trackId) {
+  const rect = document.getElementById(trackId).getBoundingClientRect();
+  return clamp01((event.clientX - rect.left) / rect.width);
+}
+
+function updateCCTFromPointer(event) {
+  lightCCT = trackPositionToCCT(trackFractionFromPointer(event, 'cct-track'));
+  applyLightCCT();
+}
+
+function updateDuvFromPointer(event) {
+  lightDuv = (trackFractionFromPointer(event, 'duv-track') * 2 - 1) * DUV_RANGE;
+  applyLightCCT();
+}
+
+/** Move the selected gradient stop to the pointer (no save until release). */
+function updateGradientStopFromPointer(event) {
+  gradientStops[selectedGradientStop].position = trackFractionFromPointer(event, 'gradient-stops');
+  updateGradientPanel();
+}
+
 // ── Pointer Down: begin drag ──
 abPickerCanvas.addEventListener('pointerdown', (event) => {
   isDraggingAB = true;
   abPickerCanvas.setPointerCapture(event.pointerId);
+  dragStartL = currentL;
   updateABFromPointer(event);
   onABChanged();
 });
@@ -234,6 +311,7 @@ lightnessSliderCanvas.addEventListener('pointerdown', (event) => {
 chromaSliderCanvas.addEventListener('pointerdown', (event) => {
   isDraggingChroma = true;
   chromaSliderCanvas.setPointerCapture(event.pointerId);
+  dragStartL = currentL;
   updateChromaFromPointer(event);
   onChromaChanged();
 });
@@ -241,10 +319,19 @@ chromaSliderCanvas.addEventListener('pointerdown', (event) => {
 hueSliderCanvas.addEventListener('pointerdown', (event) => {
   isDraggingHue = true;
   hueSliderCanvas.setPointerCapture(event.pointerId);
+  dragStartL = currentL;
   updateHueFromPointer(event);
   onHueChanged();
 });
 
+okhsxHueStripCanvas.addEventListener('pointerdown', (event) => {
+  isDraggingOkhsxHue = true;
+  okhsxHueStripCanvas.setPointerCapture(event.pointerId);
+  dragStartOkhsx = currentOkhsx();
+  updateOkhsxHueFromPointer(event);
+  onHueChanged();
+});
+
 document.getElementById('intensity-track').addEventListener('pointerdown', (event) => {
   isDraggingIntensity = true;
   event.target.setPointerCapture(event.pointerId);
@@ -253,9 +340,80 @@ document.getElementById('intensity-track').addEventListener('pointerdown', (even
   renderResultABMap();
 });
 
+document.getElementById('cct-track').addEventListener('pointerdown', (event) => {
+  isDraggingCCT = true;
+  event.target.setPointerCapture(event.pointerId);
+  updateCCTFromPointer(event);
+});
+
+document.getElementById('duv-track').addEventListener('pointerdown', (event) => {
+  isDraggingDuv = true;
+  event.target.setPointerCapture(event.pointerId);
+  updateDuvFromPointer(event);
+});
+
+// Gradient stops: grab the marker under the pointer, or add a stop
+// with the picker's color where there is none
+gradientStopsCanvas.addEventListener('pointerdown', (event) => {
+  const rect = gradientStopsCanvas.getBoundingClientRect();
+  const x = (event.clientX - rect.left) * gradientStopsCanvas.width / rect.width;
+  const hit = gradientStopAtX(x);
+  if (hit >= 0) {
+    selectedGradientStop = hit;
+    updateGradientPanel();
+  } else {
+    addGradientStop(trackFractionFromPointer(event, 'gradient-stops'));
+  }
+  isDraggingGradientStop = true;
+  event.target.setPointerCapture(event.pointerId);
+});
+
+// Reference image: drag to pan, click to sample (on release)
+imageCanvas.addEventListener('pointerdown', (event) => {
+  if (!referenceImage) return;
+  isDraggingImage = true;
+  imageCanvas.setPointerCapture(event.pointerId);
+  imageDragStart = {
+    clientX: event.clientX, clientY: event.clientY,
+    viewX: imageView.x, viewY: imageView.y,
+    isPan: false,
+  };
+});
+
+imageCanvas.addEventListener('wheel', (event) => {
+  if (!referenceImage) return;
+  event.preventDefault();
+  zoomImageAtPointer(event, event.deltaY < 0 ? IMAGE_ZOOM_STEP : 1 / IMAGE_ZOOM_STEP);
+}, { passive: false });
+
+// Reference image: open a dropped image file
+imageCanvas.addEventListener('dragover', (event) => {
+  event.preventDefault();
+  imageCanvas.classList.add('drag-over');
+});
+imageCanvas.addEventListener('dragleave', () => imageCanvas.classList.remove('drag-over'));
+imageCanvas.addEventListener('drop', (event) => {
+  event.preventDefault();
+  imageCanvas.classList.remove('drag-over');
+  const file = event.dataTransfer.files[0];
+  if (file) openReferenceImage(file);
+});
+
+// 3D gamut view: drag to rotate
+gamutViewCanvas.addEventListener('pointerdown', (event) => {
+  isDraggingGamutView = true;
+  gamutViewCanvas.setPointerCapture(event.pointerId);
+  gamutViewDragStart = {
+    clientX: event.clientX, clientY: event.clientY,
+    yaw: gamutViewYaw, pitch: gamutViewPitch,
+  };
+});
+
 // ── Pointer Move: update during drag (throttled) ──
 window.addEventListener('pointermove', (event) => {
-  if (!isDraggingAB && !isDraggingLightness && !isDraggingChroma && !isDraggingHue && !isDraggingIntensity) return;
+  if (!isDraggingAB && !isDraggingLightness && !isDraggingChroma && !isDraggingHue &&
+      !isDraggingOkhsxHue && !isDraggingIntensity && !isDraggingCCT && !isDraggingDuv &&
+      !isDraggingGradientStop && !isDraggingImage && !isDraggingGamutView) return;
 
   // Throttle to one update per animation frame to avoid jank
   if (isAnimationFramePending) return;
@@ -280,27 +438,52 @@ window.addEventListener('pointermove', (event) => {
       updateHueFromPointer(event);
       onHueChanged();
     }
+    if (isDraggingOkhsxHue) {
+      updateOkhsxHueFromPointer(event);
+      onHueChanged();
+    }
     if (isDraggingIntensity) {
       updateIntensityFromPointer(event);
       updateLightingPanel();
       renderResultABMap();
     }
+    if (isDraggingCCT) updateCCTFromPointer(event);
+    if (isDraggingDuv) updateDuvFromPointer(event);
+    if (isDraggingGradientStop) updateGradientStopFromPointer(event);
+    if (isDraggingImage) {
+      if (Math.hypot(event.clientX - imageDragStart.clientX, event.clientY - imageDragStart.clientY) > IMAGE_CLICK_SLOP) {
+        imageDragStart.isPan = true;
+      }
+      if (imageDragStart.isPan) panImageToPointer(event, imageDragStart);
+    }
+    if (isDraggingGamutView) rotateGamutViewToPointer(event, gamutViewDragStart);
   });
 });
 
 // ── Pointer Up: end drag → commit to history ──
-window.addEventListener('pointerup', () => {
-  const wasDragging = isDraggingAB || isDraggingLightness || isDraggingChroma || isDraggingHue;
+window.addEventListener('pointerup', (event) => {
+  const wasDragging = isDraggingAB || isDraggingLightness || isDraggingChroma || isDraggingHue || isDraggingOkhsxHue;
   const wasIntensity = isDraggingIntensity;
+  const wasLightTemperature = isDraggingCCT || isDraggingDuv;
+  const wasGradientStop = isDraggingGradientStop;
+  const wasImageClick = isDraggingImage && !imageDragStart.isPan;
+  const wasGamutView = isDraggingGamutView;
   isDraggingAB = false;
   isDraggingLightness = false;
   isDraggingChroma = false;
   isDraggingHue = false;
+  isDraggingOkhsxHue = false;
   isDraggingIntensity = false;
-  if (wasDragging) {
+  isDraggingCCT = false;
+  isDraggingDuv = false;
+  isDraggingGradientStop = false;
+  isDraggingImage = false;
+  isDraggingGamutView = false;
+  if (wasImageClick) sampleImageAtPointer(event); // commits and pushes to history
+  if (wasDragging || (wasLightTemperature && editTarget === 'light')) {
     pushColorToHistory();
   }
-  if (wasIntensity) {
+  if (wasIntensity || wasLightTemperature || wasGradientStop || wasGamutView) {
     scheduleSave();
   }
 });
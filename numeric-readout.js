@@ -0,0 +1,109 @@
+// ================================================================
+//  NUMERIC READOUT
+//  Float and high-bit-depth channel values for shader and pipeline
+//  work, in sRGB, Display P3 and the working space: linear floats,
+//  encoded (transfer-function) floats and 8/10/12/16-bit integers,
+//  all after gamut mapping with the selected method (like the hex
+//  codes). Also shows the ΔEOK error of quantizing the encoded
+//  values to 8 bits and to the selected depth.
+// ================================================================
+
+const NUMERIC_SPACES = [
+  { id: 'srgb',       name: 'sRGB',       cs: () => SRGB_GAMUT_CS },
+  { id: 'display-p3', name: 'Display P3', cs: () => P3_GAMUT_CS },
+  { id: 'working',    name: 'Working CS', cs: () => workingCS },
+];
+
+const NUMERIC_BIT_DEPTHS = [8, 10, 12, 16];
+
+const NUMERIC_FLOAT_DECIMALS = 6;
+
+/** Encode linear channels through a color space's transfer function. */
+function encodeChannels(cs, linear) {
+  return cs.perChannelTRC ? linear.map((v, i) => cs.encode(v, i)) : linear.map(v => cs.encode(v));
+}
+
+/** Decode encoded channels to linear through a color space's transfer function. */
+function decodeChannels(cs, encoded) {
+  return cs.perChannelTRC ? encoded.map((v, i) => cs.decode(v, i)) : encoded.map(v => cs.decode(v));
+}
+
+/**
+ * Channel values of an OKLab color in a color space, gamut-mapped.
+ * @returns {{linear: number[], encoded: number[]}} Linear and encoded channels (0–1)
+ */
+function numericChannels(cs, L, a, b) {
+  const [mappedL, mappedA, mappedB] = gamutMapOKLab(cs, L, a, b);
+  const linear = cs.fromLinearSRGB(...oklabToLinearSRGB(mappedL, mappedA, mappedB)).map(clamp01);
+  return { linear, encoded: encodeChannels(cs, linear).map(clamp01) };
+}
+
+/** Quantize encoded channels (0–1) to integers of the given bit depth. */
+function quantizeChannels(encoded, bits) {
+  const max = 2 ** bits - 1;
+  return encoded.map(v => Math.round(clamp01(v) * max));
+}
+
+/**
+ * ΔEOK between an OKLab color (after gamut mapping into cs) and the
+ * same color round-tripped through bits-per-channel integers.
+ */
+function quantizationErrorEOK(cs, L, a, b, bits) {
+  const mapped = gamutMapOKLab(cs, L, a, b);
+  const max = 2 ** bits - 1;
+  const encoded = numericChannels(cs, ...mapped).encoded;
+  const quantized = quantizeChannels(encoded, bits).map(v => v / max);
+  const roundTrip = linearSRGBToOKLab(...cs.toLinearSRGB(...decodeChannels(cs, quantized)));
+  return deltaEOK(...mapped, ...roundTrip);
+}
+
+/**
+ * OKLab color from channel values typed into a readout.
+ * @param {string} kind - 'linear', 'encoded' or 'integer'
+ */
+function numericChannelsToOKLab(cs, kind, values, bits) {
+  let linear = values;
+  if (kind === 'integer') linear = decodeChannels(cs, values.map(v => v / (2 ** bits - 1)));
+  else if (kind === 'encoded') linear = decodeChannels(cs, values);
+  return linearSRGBToOKLab(...cs.toLinearSRGB(...linear));
+}
+
+/** Sync the bit depth select with the current state. */
+function updateNumericReadoutDisplay() {
+  const depthSelect = document.getElementById('numeric-depth-select');
+  if (depthSelect.options.length === 0) {
+    for (const bits of NUMERIC_BIT_DEPTHS) depthSelect.add(new Option(`${bits}-bit`, String(bits)));
+  }
+  depthSelect.value = String(numericBitDepth);
+}
+
+/** Select the integer bit depth (from the info panel). */
+function setNumericBitDepth(bits) {
+  if (!NUMERIC_BIT_DEPTHS.includes(bits)) return;
+  numericBitDepth = bits;
+  updateNumericReadoutDisplay();
+  updateInfoPanel();
+  scheduleSave();
+}
+
+/** Update the linear, encoded and integer rows of every readout space. */
+function updateNumericReadout() {
+  const active = document.activeElement;
+  for (const space of NUMERIC_SPACES) {
+    const cs = space.cs();
+    const { linear, encoded } = numericChannels(cs, currentL, currentA, currentB);
+    const fields = {
+      [`numeric-linear-${space.id}`]:  linear.map(v => v.toFixed(NUMERIC_FLOAT_DECIMALS)).join(', '),
+      [`numeric-encoded-${space.id}`]: encoded.map(v => v.toFixed(NUMERIC_FLOAT_DECIMALS)).join(', '),
+      [`numeric-integer-${space.id}`]: quantizeChannels(encoded, numericBitDepth).join(', '),
+    };
+    for (const [id, text] of Object.entries(fields)) {
+      if (active !== document.getElementById(id)) document.getElementById(id).textContent = text;
+    }
+    document.getElementById(`numeric-integer-label-${space.id}`).textContent = `${numericBitDepth}-bit:`;
+    const quantizationErrors = [...new Set([8, numericBitDepth])].map(bits =>
+      `${bits}-bit ${quantizationErrorEOK(cs, currentL, currentA, currentB, bits).toFixed(6)}`);
+    document.getElementById(`numeric-quantization-${space.id}`).textContent =
+      `ΔEOK ${quantizationErrors.join(' · ')}`;
+  }
+}
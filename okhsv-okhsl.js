@@ -0,0 +1,308 @@
+// ================================================================
+//  OKHSV / OKHSL
+//  Ottosson's perceptual HSV and HSL built on OKLab
+//  (https://bottosson.github.io/posts/colorpicker/).
+//
+//  Both are defined relative to an RGB gamut: s = 1 (Okhsl) and
+//  s = 1, v = 1 (Okhsv) land on the gamut boundary. The reference
+//  implementation uses sRGB; here the gamut is the working CS (via
+//  the analytic boundary model in gamut-boundary.js), so the SV and
+//  SL squares cover exactly the working gamut. With sRGB as the
+//  working CS the results match the reference implementation to
+//  within its polynomial cusp approximation (ΔEOK < 0.001).
+//
+//  Hue is the OKLCH hue in degrees; s, v and l are 0–1.
+// ================================================================
+
+const PICKER_MODES = [
+  { id: 'oklab', name: 'OKLab a,b' },
+  { id: 'okhsv', name: 'Okhsv' },
+  { id: 'okhsl', name: 'Okhsl' },
+];
+
+// Toe function constants: maps OKLab L to a lightness estimate
+// closer to CIELAB L* near black (Ottosson's "Lr")
+const TOE_K1 = 0.206;
+const TOE_K2 = 0.03;
+const TOE_K3 = (1 + TOE_K1) / (1 + TOE_K2);
+
+/** OKLab L → perceptual lightness (Ottosson's toe). */
+function toe(x) {
+  const y = TOE_K3 * x - TOE_K1;
+  return 0.5 * (y + Math.sqrt(y * y + 4 * TOE_K2 * TOE_K3 * x));
+}
+
+/** Inverse of toe(). */
+function toeInv(x) {
+  return (x * x + TOE_K1 * x) / (TOE_K3 * (x + TOE_K2));
+}
+
+/**
+ * Gamut boundary model used by Okhsv/Okhsl: the working CS, or
+ * sRGB when the working CS is not matrix-based.
+ */
+function okhsxGamutModel() {
+  return getGamutModel(workingCS) || getGamutModel(SRGB_GAMUT_CS);
+}
+
+/**
+ * Precompute everything that depends only on hue, so a whole SV or
+ * SL square (one hue) can be converted cheaply per pixel.
+ */
+function createOkHueSlice(model, hueDegrees) {
+  const hueRadians = hueDegrees * (Math.PI / 180);
+  const a_ = Math.cos(hueRadians);
+  const b_ = Math.sin(hueRadians);
+  const [cuspL, cuspC] = findGamutCusp(model, a_, b_);
+  return {
+    model, a_, b_,
+    cusp: [cuspL, cuspC],
+    maxS: cuspC / cuspL,        // Slope of the lower gamut edge (C / L)
+    maxT: cuspC / (1 - cuspL),  // Slope of the upper gamut edge (C / (1 − L))
+    knotsL: NaN,                // Okhsl chroma knots cache (see getOkChromaKnots)
+    knots: null,
+  };
+}
+
+/** Largest RGB channel (in the model's space) of an OKLab color. */
+function maxModelChannel(model, L, a, b) {
+  const l_ = L + 0.3963377774 * a + 0.2158037573 * b;
+  const m_ = L - 0.1055613458 * a - 0.0638541728 * b;
+  const s_ = L - 0.0894841775 * a - 1.2914855480 * b;
+  const l = l_ * l_ * l_, m = m_ * m_ * m_, s = s_ * s_ * s_;
+  const M = model.lmsToRGB;
+  return Math.max(
+    M[0][0] * l + M[0][1] * m + M[0][2] * s,
+    M[1][0] * l + M[1][1] * m + M[1][2] * s,
+    M[2][0] * l + M[2][1] * m + M[2][2] * s,
+    0
+  );
+}
+
+// ── Okhsv ──
+
+/** Okhsv (s, v) → OKLab [L, a, b] for a precomputed hue slice. */
+function okhsvToOklabAtHue(slice, s, v) {
+  if (v <= 0) return [0, 0, 0];
+  const S0 = 0.5;
+  const k = 1 - S0 / slice.maxS;
+  const T = slice.maxT;
+
+  // L, C as if the gamut were a perfect triangle (at v = 1)
+  const denominator = S0 + T - T * k * s;
+  const Lv = 1 - s * S0 / denominator;
+  const Cv = s * T * S0 / denominator;
+  let L = v * Lv;
+  let C = v * Cv;
+
+  // Compensate for the toe and the curved top of the gamut
+  const Lvt = toeInv(Lv);
+  const Cvt = Cv * Lvt / Lv;
+  const Lnew = toeInv(L);
+  C = C * Lnew / L;
+  L = Lnew;
+
+  const scaleL = Math.cbrt(1 / maxModelChannel(slice.model, Lvt, slice.a_ * Cvt, slice.b_ * Cvt));
+  L *= scaleL;
+  C *= scaleL;
+  return [L, C * slice.a_, C * slice.b_];
+}
+
+/**
+ * OKLab → Okhsv [h, s, v]. Grays take the given fallback hue.
+ */
+function oklabToOkhsv(L, a, b, fallbackHue = 0, model = okhsxGamutModel()) {
+  let [C, h] = oklabToOklch(a, b);
+  if (C < 1e-7) { C = 0; h = fallbackHue; }
+  if (L <= 0) return [h, 0, 0];
+  const slice = createOkHueSlice(model, h);
+  const S0 = 0.5;
+  const k = 1 - S0 / slice.maxS;
+  const T = slice.maxT;
+
+  // Find Lv, Cv and the toe-compensated Lvt, Cvt
+  const t = T / (C + L * T);
+  const Lv = t * L;
+  const Cv = t * C;
+  const Lvt = toeInv(Lv);
+  const Cvt = Cv * Lvt / Lv;
+
+  // Invert the compensation for the toe and curved top
+  const scaleL = Math.cbrt(1 / maxModelChannel(model, Lvt, slice.a_ * Cvt, slice.b_ * Cvt));
+  L /= scaleL;
+  C /= scaleL;
+  C = C * toe(L) / L;
+  L = toe(L);
+
+  const v = L / Lv;
+  const s = (S0 + T) * Cv / (T * S0 + T * k * Cv);
+  return [h, s, v];
+}
+
+/** Okhsv (h, s, v) → OKLab [L, a, b]. */
+function okhsvToOklab(h, s, v, model = okhsxGamutModel()) {
+  return okhsvToOklabAtHue(createOkHueSlice(model, h), s, v);
+}
+
+// ── Okhsl ──
+
+/**
+ * Smooth approximation of the cusp slopes (Ottosson's get_ST_mid,
+ * fitted to sRGB). Limited to the actual cusp slopes so the
+ * mid-chroma knot stays inside smaller gamuts.
+ */
+function getOkSTMid(slice) {
+  const a_ = slice.a_, b_ = slice.b_;
+  const S = 0.11516993 + 1 / (
+    7.44778970 + 4.15901240 * b_ +
+    a_ * (-2.19557347 + 1.75198401 * b_ +
+    a_ * (-2.13704948 - 10.02301043 * b_ +
+    a_ * (-4.24894561 + 5.38770819 * b_ + 4.69891013 * a_)))
+  );
+  const T = 0.11239642 + 1 / (
+    1.61320320 - 0.68124379 * b_ +
+    a_ * (0.40370612 + 0.90148123 * b_ +
+    a_ * (-0.27087943 + 0.61223990 * b_ +
+    a_ * (0.00299215 - 0.45399568 * b_ - 0.14661872 * a_)))
+  );
+  return [Math.min(S, slice.maxS), Math.min(T, slice.maxT)];
+}
+
+/**
+ * Chroma knots for Okhsl at a lightness: C0 (hue-independent),
+ * Cmid (smooth) and Cmax (the gamut boundary). The last result is
+ * kept on the slice, since a square row shares one lightness.
+ * @returns {number[]} [C0, Cmid, Cmax]
+ */
+function getOkChromaKnots(slice, L) {
+  if (slice.knotsL === L) return slice.knots;
+  const Cmax = findGamutIntersection(slice.model, slice.a_, slice.b_, L, 1, L, slice.cusp);
+
+  // Scale factor for the curved part of the gamut shape
+  const k = Cmax / Math.min(L * slice.maxS, (1 - L) * slice.maxT);
+
+  // Soft minimum of the two triangle edges
+  const [midS, midT] = getOkSTMid(slice);
+  const midA = L * midS;
+  const midB = (1 - L) * midT;
+  const Cmid = 0.9 * k * Math.sqrt(Math.sqrt(1 / (1 / midA ** 4 + 1 / midB ** 4)));
+
+  // Hue-independent shape; values roughly the average cusp slopes
+  const zeroA = L * 0.4;
+  const zeroB = (1 - L) * 0.8;
+  const C0 = Math.sqrt(1 / (1 / (zeroA * zeroA) + 1 / (zeroB * zeroB)));
+
+  slice.knotsL = L;
+  slice.knots = [C0, Cmid, Cmax];
+  return slice.knots;
+}
+
+// Okhsl maps s = 0.8 to Cmid
+const OKHSL_MID = 0.8;
+
+/** Okhsl (s, l) → OKLab [L, a, b] for a precomputed hue slice. */
+function okhslToOklabAtHue(slice, s, l) {
+  const L = toeInv(l);
+  if (L >= 1) return [1, 0, 0];
+  if (L <= 0) return [0, 0, 0];
+  const [C0, Cmid, Cmax] = getOkChromaKnots(slice, L);
+
+  let C;
+  if (s < OKHSL_MID) {
+    const t = s / OKHSL_MID;
+    const k1 = OKHSL_MID * C0;
+    const k2 = 1 - k1 / Cmid;
+    C = t * k1 / (1 - k2 * t);
+  } else {
+    const t = (s - OKHSL_MID) / (1 - OKHSL_MID);
+    const k1 = (1 - OKHSL_MID) * Cmid * Cmid / (OKHSL_MID * OKHSL_MID * C0);
+    const k2 = 1 - k1 / (Cmax - Cmid);
+    C = Cmid + t * k1 / (1 - k2 * t);
+  }
+  return [L, C * slice.a_, C * slice.b_];
+}
+
+/**
+ * OKLab → Okhsl [h, s, l]. Grays take the given fallback hue.
+ */
+function oklabToOkhsl(L, a, b, fallbackHue = 0, model = okhsxGamutModel()) {
+  let [C, h] = oklabToOklch(a, b);
+  if (C < 1e-7) { C = 0; h = fallbackHue; }
+  if (L <= 0 || L >= 1) return [h, 0, clamp01(L)];
+  const slice = createOkHueSlice(model, h);
+  const [C0, Cmid, Cmax] = getOkChromaKnots(slice, L);
+
+  let s;
+  if (C < Cmid) {
+    const k1 = OKHSL_MID * C0;
+    const k2 = 1 - k1 / Cmid;
+    s = OKHSL_MID * C / (k1 + k2 * C);
+  } else {
+    const k1 = (1 - OKHSL_MID) * Cmid * Cmid / (OKHSL_MID * OKHSL_MID * C0);
+    const k2 = 1 - k1 / (Cmax - Cmid);
+    const t = (C - Cmid) / (k1 + k2 * (C - Cmid));
+    s = OKHSL_MID + (1 - OKHSL_MID) * t;
+  }
+  return [h, s, toe(L)];
+}
+
+/** Okhsl (h, s, l) → OKLab [L, a, b]. */
+function okhslToOklab(h, s, l, model = okhsxGamutModel()) {
+  return okhslToOklabAtHue(createOkHueSlice(model, h), s, l);
+}
+
+// ── Picker mode ──
+
+/**
+ * Hue used by the Okhsv/Okhsl square and hue strip. Grays have no
+ * hue of their own, so the last chromatic hue is kept for them.
+ */
+function currentOkHue() {
+  const [chroma, hue] = oklabToOklch(currentA, currentB);
+  if (chroma >= 1e-7) okHue = hue;
+  return okHue;
+}
+
+/**
+ * The current color in the active square mode as [h, s, y], where
+ * y is v (Okhsv) or l (Okhsl).
+ */
+function currentOkhsx() {
+  const hue = currentOkHue();
+  return pickerMode === 'okhsl'
+    ? oklabToOkhsl(currentL, currentA, currentB, hue)
+    : oklabToOkhsv(currentL, currentA, currentB, hue);
+}
+
+/** OKLab color for (h, s, y) in the active square mode. */
+function okhsxToOklab(h, s, y) {
+  return pickerMode === 'okhsl' ? okhslToOklab(h, s, y) : okhsvToOklab(h, s, y);
+}
+
+/** Show the active picker mode's tab, canvases and axis labels. */
+function updatePickerModeDisplay() {
+  for (const mode of PICKER_MODES) {
+    document.getElementById('tab-mode-' + mode.id).classList.toggle('tab-active', pickerMode === mode.id);
+  }
+  const isSquare = pickerMode !== 'oklab';
+  document.getElementById('oklch-sliders').style.display = isSquare ? 'none' : '';
+  document.getElementById('okhsx-hue-strip-wrap').style.display = isSquare ? '' : 'none';
+
+  const yName = pickerMode === 'okhsl' ? 'l (lightness)' : 'v (value)';
+  document.getElementById('axis-label-top').textContent    = isSquare ? '+' + yName : '+b (yellow)';
+  document.getElementById('axis-label-bottom').textContent = isSquare ? '−' + yName : '−b (blue)';
+  document.getElementById('axis-label-left').textContent   = isSquare ? '−s (saturation)' : '−a (green)';
+  document.getElementById('axis-label-right').textContent  = isSquare ? '+s (saturation)' : '+a (red)';
+}
+
+/** Switch the picker layout (from the mode tabs). */
+function setPickerMode(mode) {
+  if (!PICKER_MODES.some(m => m.id === mode)) return;
+  pickerMode = mode;
+  updatePickerModeDisplay();
+  renderABPickerColors();
+  renderAllSliderColors();
+  drawABPicker();
+  drawAllSliders();
+  scheduleSave();
+}
@@ -0,0 +1,272 @@
+// ================================================================
+//  PALETTE EXTRACTION
+//  Dominant colors of the reference image (image-sampler.js), found
+//  by clustering its pixels in OKLab: median cut, or k-means seeded
+//  with the median cut boxes. Pixels are decoded through the image's
+//  profile and weighted by how many there are (and their alpha); the
+//  chroma emphasis adds weight to colorful pixels so small accents
+//  are not averaged away into the dominant neutrals. Coverage is
+//  always the share of (unweighted) pixels nearest each swatch.
+//  Click a swatch to load it; the palette can be added to the swatch
+//  library or exported directly in the library's palette format.
+// ================================================================
+
+const PALETTE_METHODS = [
+  { id: 'kmeans',     name: 'k-means' },
+  { id: 'median-cut', name: 'Median cut' },
+];
+
+const PALETTE_SIZE_MIN = 2;
+const PALETTE_SIZE_MAX = 16;
+const PALETTE_MAX_SAMPLES = 50000;      // Pixels read from large images (evenly strided)
+const PALETTE_KMEANS_ITERATIONS = 16;   // Lloyd iterations at most
+const PALETTE_CHROMA_REF = 0.05;        // At 100% emphasis, chroma C weighs ×(1 + C / this)
+
+
+// ── Clustering ──
+
+/**
+ * Distinct colors of the reference image, with their pixel counts.
+ * Large images are read on an even grid of about PALETTE_MAX_SAMPLES
+ * pixels; identical 8-bit values are merged before conversion.
+ * @returns {{lab: Float64Array, counts: Float64Array, n: number}} lab is flat [L, a, b, ...]
+ */
+function collectPaletteSamples(image) {
+  const { width, height, pixels, cs, decodeTables } = image;
+  const stride = Math.max(1, Math.ceil(Math.sqrt(width * height / PALETTE_MAX_SAMPLES)));
+  const countsByValue = new Map();
+  for (let y = 0; y < height; y += stride) {
+    for (let x = 0; x < width; x += stride) {
+      const i = (y * width + x) * 4;
+      const alpha = pixels[i + 3] / 255;
+      if (alpha === 0) continue;
+      const key = (pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2];
+      countsByValue.set(key, (countsByValue.get(key) || 0) + alpha);
+    }
+  }
+
+  const n = countsByValue.size;
+  const lab = new Float64Array(n * 3);
+  const counts = new Float64Array(n);
+  let k = 0;
+  for (const [key, count] of countsByValue) {
+    const linear = cs.toLinearSRGB(decodeTables[0][key >> 16], decodeTables[1][(key >> 8) & 255], decodeTables[2][key & 255]);
+    lab.set(linearSRGBToOKLab(...linear), k * 3);
+    counts[k++] = count;
+  }
+  return { lab, counts, n };
+}
+
+/** Weighted mean and sum of squared distances of a set of samples. */
+function paletteClusterStats(lab, weights, indices) {
+  const mean = [0, 0, 0];
+  let total = 0;
+  for (const i of indices) {
+    for (let ch = 0; ch < 3; ch++) mean[ch] += lab[i * 3 + ch] * weights[i];
+    total += weights[i];
+  }
+  if (total > 0) for (let ch = 0; ch < 3; ch++) mean[ch] /= total;
+  const variance = [0, 0, 0];
+  for (const i of indices) {
+    for (let ch = 0; ch < 3; ch++) variance[ch] += weights[i] * (lab[i * 3 + ch] - mean[ch]) ** 2;
+  }
+  return { mean, variance, error: variance[0] + variance[1] + variance[2] };
+}
+
+/**
+ * Median cut: split the box with the largest weighted error along its
+ * widest (highest variance) axis at the weighted median, until there
+ * are k boxes or no box can be split.
+ * @returns {number[][]} Box means (OKLab)
+ */
+function medianCutPalette(lab, weights, n, k) {
+  const makeBox = (indices) => ({ indices, ...paletteClusterStats(lab, weights, indices) });
+  const boxes = [makeBox(Array.from({ length: n }, (_, i) => i))];
+  while (boxes.length < k) {
+    let worst = -1;
+    boxes.forEach((box, i) => {
+      if (box.indices.length > 1 && box.error > 0 && (worst < 0 || box.error > boxes[worst].error)) worst = i;
+    });
+    if (worst < 0) break;
+
+    const { indices, variance } = boxes[worst];
+    const axis = variance.indexOf(Math.max(...variance));
+    indices.sort((i, j) => lab[i * 3 + axis] - lab[j * 3 + axis]);
+    const half = indices.reduce((sum, i) => sum + weights[i], 0) / 2;
+    let cut = 1;
+    for (let acc = weights[indices[0]]; cut < indices.length - 1 && acc + weights[indices[cut]] <= half; cut++) {
+      acc += weights[indices[cut]];
+    }
+    boxes.splice(worst, 1, makeBox(indices.slice(0, cut)), makeBox(indices.slice(cut)));
+  }
+  return boxes.map(box => box.mean);
+}
+
+/** Index of the nearest center (squared OKLab distance) for every sample. */
+function assignPaletteSamples(lab, n, centers) {
+  const assignment = new Int32Array(n);
+  for (let i = 0; i < n; i++) {
+    let best = 0, bestDistance = Infinity;
+    centers.forEach((c, j) => {
+      const d = (lab[i * 3] - c[0]) ** 2 + (lab[i * 3 + 1] - c[1]) ** 2 + (lab[i * 3 + 2] - c[2]) ** 2;
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = j;
+      }
+    });
+    assignment[i] = best;
+  }
+  return assignment;
+}
+
+/**
+ * Weighted k-means (Lloyd) from the given centers, until no sample
+ * changes cluster. Empty clusters keep their center.
+ * @returns {number[][]} Refined centers (OKLab)
+ */
+function kMeansPalette(lab, weights, n, centers) {
+  let assignment = assignPaletteSamples(lab, n, centers);
+  for (let iteration = 0; iteration < PALETTE_KMEANS_ITERATIONS; iteration++) {
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    for (let i = 0; i < n; i++) {
+      const sum = sums[assignment[i]];
+      for (let ch = 0; ch < 3; ch++) sum[ch] += lab[i * 3 + ch] * weights[i];
+      sum[3] += weights[i];
+    }
+    centers = sums.map((sum, j) => sum[3] > 0 ? [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]] : centers[j]);
+    const next = assignPaletteSamples(lab, n, centers);
+    if (next.every((j, i) => j === assignment[i])) break;
+    assignment = next;
+  }
+  return centers;
+}
+
+/**
+ * Extract the dominant palette of an image.
+ * @param {number} chromaEmphasis Extra weight for colorful pixels (0–1)
+ * @returns {{color: number[], coverage: number}[]} OKLab swatches, largest coverage first
+ */
+function extractPalette(image, size, method, chromaEmphasis) {
+  const { lab, counts, n } = collectPaletteSamples(image);
+  if (n === 0) return [];
+  const weights = counts.map((count, i) =>
+    count * (1 + chromaEmphasis * Math.hypot(lab[i * 3 + 1], lab[i * 3 + 2]) / PALETTE_CHROMA_REF));
+
+  let centers = medianCutPalette(lab, weights, n, size);
+  if (method === 'kmeans') centers = kMeansPalette(lab, weights, n, centers);
+
+  const coverage = new Float64Array(centers.length);
+  const assignment = assignPaletteSamples(lab, n, centers);
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    coverage[assignment[i]] += counts[i];
+    total += counts[i];
+  }
+  return centers
+    .map((color, j) => ({ color, coverage: coverage[j] / total }))
+    .filter(swatch => swatch.coverage > 0)
+    .sort((s1, s2) => s2.coverage - s1.coverage);
+}
+
+/** Re-extract the palette of the current reference image (cleared without one). */
+function updateExtractedPalette() {
+  extractedPalette = referenceImage
+    ? extractPalette(referenceImage, paletteSize, paletteMethod, paletteChromaEmphasis)
+    : null;
+}
+
+
+// ── Actions ──
+
+/** Called after a palette setting changes: extract again, refresh and save. */
+function onPaletteSettingsChanged() {
+  updateExtractedPalette();
+  updateImagePanel();
+  scheduleSave();
+}
+
+/** Set the number of palette colors. */
+function setPaletteSize(size) {
+  paletteSize = Math.max(PALETTE_SIZE_MIN, Math.min(PALETTE_SIZE_MAX, Math.round(size)));
+  onPaletteSettingsChanged();
+}
+
+/** Select the clustering method. */
+function setPaletteMethod(id) {
+  if (!PALETTE_METHODS.some(m => m.id === id)) return;
+  paletteMethod = id;
+  onPaletteSettingsChanged();
+}
+
+/** Set the extra weight of colorful pixels (0–1). */
+function setPaletteChromaEmphasis(emphasis) {
+  paletteChromaEmphasis = clamp01(emphasis);
+  onPaletteSettingsChanged();
+}
+
+/** Load an extracted swatch into the picker (or Lighting Lab target). */
+function loadPaletteSwatch(index) {
+  const swatch = extractedPalette && extractedPalette[index];
+  if (swatch) commitEditedColor(...swatch.color);
+}
+
+/** The extracted palette as a swatch library collection, named after the image. */
+function extractedPaletteCollection() {
+  return {
+    name: referenceImage.name.replace(/\.[^.]+$/, '') + ' palette',
+    swatches: extractedPalette.map((swatch, i) => ({ name: `Color ${i + 1}`, color: swatch.color })),
+  };
+}
+
+/** Add the extracted palette to the swatch library as a new collection. */
+function addPaletteToLibrary() {
+  if (!extractedPalette || extractedPalette.length === 0) return;
+  swatchCollections.push(extractedPaletteCollection());
+  activeSwatchCollection = swatchCollections.length - 1;
+  onLibraryChanged();
+}
+
+/** Save the extracted palette as a file in the library's export format. */
+function exportExtractedPalette() {
+  if (!extractedPalette || extractedPalette.length === 0) return;
+  exportPalette(extractedPaletteCollection());
+}
+
+
+// ── Panel ──
+
+/** Update the palette settings, swatches and hex list (part of the image panel). */
+function updatePaletteSection() {
+  const select = document.getElementById('palette-method-select');
+  if (select.options.length === 0) {
+    for (const method of PALETTE_METHODS) select.add(new Option(method.name, method.id));
+  }
+  select.value = paletteMethod;
+
+  const fields = {
+    'palette-size-value':   String(paletteSize),
+    'palette-chroma-value': String(Math.round(paletteChromaEmphasis * 100)),
+  };
+  for (const [id, text] of Object.entries(fields)) {
+    if (document.activeElement !== document.getElementById(id)) document.getElementById(id).textContent = text;
+  }
+
+  const palette = extractedPalette || [];
+  document.getElementById('palette-swatches').replaceChildren(...palette.map((swatch, i) => {
+    const tile = document.createElement('div');
+    tile.className = 'library-swatch';
+    const chip = document.createElement('div');
+    chip.className = 'library-chip';
+    chip.style.background = displayCSSColor(...swatch.color);
+    chip.title = `${gamutMappedHex(workingCS, ...swatch.color)} — ${formatOklchCSS(...swatch.color)}`;
+    chip.onclick = () => loadPaletteSwatch(i);
+    const coverage = document.createElement('span');
+    coverage.className = 'library-name';
+    coverage.textContent = `${(swatch.coverage * 100).toFixed(1)}%`;
+    tile.append(chip, coverage);
+    return tile;
+  }));
+  document.getElementById('palette-hex-value').textContent =
+    palette.map(swatch => gamutMappedHex(workingCS, ...swatch.color)).join(', ');
+  document.getElementById('palette-actions').style.display = palette.length ? '' : 'none';
+}
@@ -0,0 +1,498 @@
+// ================================================================
+//  PALETTE IMPORT / EXPORT
+//  Reads palette files into a new swatch library collection and
+//  writes the active collection out:
+//    .ase       Adobe Swatch Exchange (RGB, LAB, Gray; CMYK read naively)
+//    .gpl       GIMP / Krita palette (8-bit RGB)
+//    .aco       Photoshop swatches (version 1 + 2 with names)
+//    .swatches  Procreate (zip with Swatches.json, HSB in sRGB or P3)
+//    .json      This picker's JSON (also arrays / maps of CSS colors)
+//    .css       CSS custom properties
+//  RGB-encoded values (ASE RGB/Gray, GPL, ACO RGB/HSB/Gray/CMYK) are
+//  in the active working color space: exports are gamut-mapped into
+//  it with the selected method. CMYK has no profile here and is
+//  converted with the naive (1 − C)(1 − K) formula.
+// ================================================================
+
+const PALETTE_FORMATS = [
+  { id: 'ase',      name: 'Adobe Swatch Exchange (.ase)' },
+  { id: 'gpl',      name: 'GIMP / Krita (.gpl)' },
+  { id: 'aco',      name: 'Photoshop (.aco)' },
+  { id: 'swatches', name: 'Procreate (.swatches)' },
+  { id: 'json',     name: 'JSON (.json)' },
+  { id: 'css',      name: 'CSS variables (.css)' },
+];
+
+const PROCREATE_MAX_SWATCHES = 30; // A Procreate palette holds 30 swatches
+
+
+// ── Color helpers ──
+
+/** OKLab → encoded RGB (0–1) in a color space, gamut-mapped into it. */
+function oklabToEncodedRGB(cs, L, a, b) {
+  const [mappedL, mappedA, mappedB] = gamutMapOKLab(cs, L, a, b);
+  const [r, g, bl] = cs.fromLinearSRGB(...oklabToLinearSRGB(mappedL, mappedA, mappedB));
+  const encoded = cs.perChannelTRC
+    ? [cs.encode(r, 0), cs.encode(g, 1), cs.encode(bl, 2)]
+    : [cs.encode(r), cs.encode(g), cs.encode(bl)];
+  return encoded.map(clamp01);
+}
+
+/** Encoded RGB (0–1) in a color space → OKLab. */
+function encodedRGBToOKLab(cs, r, g, b) {
+  const linear = cs.perChannelTRC
+    ? [cs.decode(r, 0), cs.decode(g, 1), cs.decode(b, 2)]
+    : [cs.decode(r), cs.decode(g), cs.decode(b)];
+  return linearSRGBToOKLab(...cs.toLinearSRGB(...linear));
+}
+
+/** Naive CMYK (0–1) → RGB (0–1). */
+function cmykToRGB(c, m, y, k) {
+  return [(1 - c) * (1 - k), (1 - m) * (1 - k), (1 - y) * (1 - k)];
+}
+
+/** HSB / HSV (h in degrees, s and v 0–1) → RGB (0–1). */
+function hsvToRGB(h, s, v) {
+  const f = (n) => {
+    const k = (n + h / 60) % 6;
+    return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+  };
+  return [f(5), f(3), f(1)];
+}
+
+/** RGB (0–1) → HSB / HSV (h in degrees, s and v 0–1). */
+function rgbToHSV(r, g, b) {
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const d = max - min;
+  let h = 0;
+  if (d > 0) {
+    if (max === r) h = ((g - b) / d + 6) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+  }
+  return [h * 60, max > 0 ? d / max : 0, max];
+}
+
+/** A CSS custom property name from a swatch name. */
+function cssVariableName(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'color';
+}
+
+
+// ── Binary helpers ──
+
+/** Growable big-endian byte writer for the binary formats. */
+function createByteWriter() {
+  const bytes = [];
+  const scratch = new DataView(new ArrayBuffer(4));
+  const push = (n) => { for (let i = 0; i < n; i++) bytes.push(scratch.getUint8(i)); };
+  return {
+    u16(v)   { scratch.setUint16(0, v); push(2); },
+    u32(v)   { scratch.setUint32(0, v); push(4); },
+    f32(v)   { scratch.setFloat32(0, v); push(4); },
+    ascii(s) { for (const ch of s) bytes.push(ch.charCodeAt(0)); },
+    /** UTF-16BE string with a terminating null */
+    utf16(s) { for (let i = 0; i < s.length; i++) this.u16(s.charCodeAt(i)); this.u16(0); },
+    toUint8Array() { return new Uint8Array(bytes); },
+  };
+}
+
+/** Read a UTF-16BE string of length code units at offset. */
+function readUTF16BE(view, offset, length) {
+  let s = '';
+  for (let i = 0; i < length; i++) s += String.fromCharCode(view.getUint16(offset + i * 2));
+  return s;
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** Read the files of a zip archive (stored or deflated). */
+function readZipEntries(buffer) {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--;
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const entries = {};
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) throw new Error('Corrupt zip directory');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataOffset, compressedSize);
+    if (method === 0) entries[name] = data;
+    else if (method === 8) entries[name] = new Uint8Array(require('zlib').inflateRawSync(data));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/** Write a zip archive with one stored (uncompressed) file. */
+function writeZipSingleFile(name, data) {
+  const nameBytes = new TextEncoder().encode(name);
+  const crc = crc32(data);
+  const out = new Uint8Array(30 + nameBytes.length + data.length + 46 + nameBytes.length + 22);
+  const view = new DataView(out.buffer);
+
+  // Local file header + data
+  view.setUint32(0, 0x04034B50, true);
+  view.setUint16(4, 20, true);               // version needed
+  view.setUint32(14, crc, true);
+  view.setUint32(18, data.length, true);     // compressed size
+  view.setUint32(22, data.length, true);     // uncompressed size
+  view.setUint16(26, nameBytes.length, true);
+  out.set(nameBytes, 30);
+  out.set(data, 30 + nameBytes.length);
+
+  // Central directory
+  const central = 30 + nameBytes.length + data.length;
+  view.setUint32(central, 0x02014B50, true);
+  view.setUint16(central + 4, 20, true);     // version made by
+  view.setUint16(central + 6, 20, true);     // version needed
+  view.setUint32(central + 16, crc, true);
+  view.setUint32(central + 20, data.length, true);
+  view.setUint32(central + 24, data.length, true);
+  view.setUint16(central + 28, nameBytes.length, true);
+  out.set(nameBytes, central + 46);
+
+  // End of central directory
+  const end = central + 46 + nameBytes.length;
+  view.setUint32(end, 0x06054B50, true);
+  view.setUint16(end + 8, 1, true);
+  view.setUint16(end + 10, 1, true);
+  view.setUint32(end + 12, 46 + nameBytes.length, true);
+  view.setUint32(end + 16, central, true);
+  return out;
+}
+
+
+// ── Readers (each returns { name, swatches: [{ name, color }] }) ──
+
+function parseASE(buffer) {
+  const view = new DataView(buffer);
+  if (view.getUint32(0) !== 0x41534546) throw new Error('Not an Adobe Swatch Exchange file'); // 'ASEF'
+  const blockCount = view.getUint32(8);
+  const palette = { name: null, swatches: [] };
+  let offset = 12;
+  for (let i = 0; i < blockCount; i++) {
+    const type = view.getUint16(offset);
+    const length = view.getUint32(offset + 2);
+    const start = offset + 6;
+    offset = start + length;
+    if (type !== 0x0001 && type !== 0xC001) continue; // skip group ends
+
+    const nameLength = view.getUint16(start);
+    const name = readUTF16BE(view, start + 2, Math.max(0, nameLength - 1));
+    if (type === 0xC001) {
+      if (!palette.name) palette.name = name;
+      continue;
+    }
+    let p = start + 2 + nameLength * 2;
+    const model = String.fromCharCode(...new Uint8Array(buffer, p, 4));
+    p += 4;
+    const values = [];
+    const channels = { 'RGB ': 3, 'LAB ': 3, 'CMYK': 4, 'Gray': 1 }[model] || 0;
+    for (let c = 0; c < channels; c++) values.push(view.getFloat32(p + c * 4));
+
+    let color = null;
+    if (model === 'RGB ') color = encodedRGBToOKLab(workingCS, ...values);
+    else if (model === 'LAB ') color = cielabToOKLab(values[0] * 100, values[1], values[2], 'd50');
+    else if (model === 'CMYK') color = encodedRGBToOKLab(workingCS, ...cmykToRGB(...values));
+    else if (model === 'Gray') color = encodedRGBToOKLab(workingCS, values[0], values[0], values[0]);
+    if (color) palette.swatches.push({ name: name || `Color ${palette.swatches.length + 1}`, color });
+  }
+  return palette;
+}
+
+function parseGPL(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^GIMP Palette/.test(lines[0])) throw new Error('Not a GIMP palette');
+  const palette = { name: null, swatches: [] };
+  for (const line of lines.slice(1)) {
+    const nameMatch = /^Name:\s*(.*)$/.exec(line);
+    if (nameMatch) {
+      palette.name = nameMatch[1].trim();
+      continue;
+    }
+    const match = /^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+    if (!match) continue; // Columns:, comments and blank lines
+    const [r, g, b] = match.slice(1, 4).map(v => Math.min(255, +v) / 255);
+    palette.swatches.push({
+      name: match[4].trim() || `Color ${palette.swatches.length + 1}`,
+      color: encodedRGBToOKLab(workingCS, r, g, b),
+    });
+  }
+  return palette;
+}
+
+function parseACO(buffer) {
+  const view = new DataView(buffer);
+  const readSection = (offset, withNames) => {
+    const version = view.getUint16(offset);
+    const count = view.getUint16(offset + 2);
+    let p = offset + 4;
+    const swatches = [];
+    for (let i = 0; i < count; i++) {
+      const space = view.getUint16(p);
+      const w = [0, 1, 2, 3].map(k => view.getUint16(p + 2 + k * 2));
+      p += 10;
+      let name = `Color ${i + 1}`;
+      if (withNames) {
+        // u32 length in UTF-16 code units (including the terminating 0), then the name
+        const nameLength = view.getUint32(p);
+        name = readUTF16BE(view, p + 4, Math.max(0, nameLength - 1)) || name;
+        p += 4 + nameLength * 2;
+      }
+
+      let color = null;
+      if (space === 0) color = encodedRGBToOKLab(workingCS, w[0] / 65535, w[1] / 65535, w[2] / 65535);
+      else if (space === 1) color = encodedRGBToOKLab(workingCS, ...hsvToRGB(w[0] / 65535 * 360, w[1] / 65535, w[2] / 65535));
+      // CMYK: 0 is 100% ink
+      else if (space === 2) color = encodedRGBToOKLab(workingCS, ...cmykToRGB(...w.map(v => 1 - v / 65535)));
+      // Lab: L 0–10000, a and b signed × 100
+      else if (space === 7) color = cielabToOKLab(w[0] / 100, (w[1] << 16 >> 16) / 100, (w[2] << 16 >> 16) / 100, 'd50');
+      // Grayscale: 0–10000 is 0–100% black
+      else if (space === 8) {
+        const gray = 1 - w[0] / 10000;
+        color = encodedRGBToOKLab(workingCS, gray, gray, gray);
+      }
+      if (color) swatches.push({ name, color });
+    }
+    return { version, swatches, end: p };
+  };
+
+  const v1 = readSection(0, false);
+  if (v1.version !== 1 && v1.version !== 2) throw new Error('Not a Photoshop swatches file');
+  if (v1.version === 2) return { name: null, swatches: readSection(0, true).swatches };
+  // A version 2 section with names usually follows the version 1 one
+  if (v1.end + 4 <= buffer.byteLength && view.getUint16(v1.end) === 2) {
+    return { name: null, swatches: readSection(v1.end, true).swatches };
+  }
+  return { name: null, swatches: v1.swatches };
+}
+
+function parseProcreate(buffer) {
+  const entries = readZipEntries(buffer);
+  const data = entries['Swatches.json'];
+  if (!data) throw new Error('No Swatches.json in the archive');
+  let json = JSON.parse(new TextDecoder().decode(data));
+  if (Array.isArray(json)) json = json[0];
+  const palette = { name: json.name || null, swatches: [] };
+  for (const swatch of json.swatches || []) {
+    if (!swatch) continue; // empty slots are null
+    const cs = swatch.colorSpace === 1 ? P3_GAMUT_CS : SRGB_GAMUT_CS;
+    const rgb = hsvToRGB(swatch.hue * 360, swatch.saturation, swatch.brightness);
+    palette.swatches.push({ name: `Color ${palette.swatches.length + 1}`, color: encodedRGBToOKLab(cs, ...rgb) });
+  }
+  return palette;
+}
+
+function parsePaletteJSON(text) {
+  const json = JSON.parse(text);
+  const toColor = (value) => {
+    if (typeof value === 'string') return parseCSSColor(value);
+    if (!value || typeof value !== 'object') return null;
+    if (Array.isArray(value.oklab)) {
+      const oklab = value.oklab;
+      return oklab.length === 3 && oklab.every(Number.isFinite) ? oklab.slice() : null;
+    }
+    for (const key of ['color', 'value', 'hex', 'css']) {
+      if (typeof value[key] === 'string') return parseCSSColor(value[key]);
+    }
+    return null;
+  };
+  const palette = { name: null, swatches: [] };
+  const add = (name, value) => {
+    const color = toColor(value);
+    if (color) palette.swatches.push({ name: String(name || `Color ${palette.swatches.length + 1}`), color });
+  };
+
+  if (Array.isArray(json)) {
+    json.forEach(item => add(item && item.name, item));
+  } else if (Array.isArray(json.swatches)) {
+    palette.name = typeof json.name === 'string' ? json.name : null;
+    json.swatches.forEach(item => add(item && item.name, item));
+  } else {
+    for (const [name, value] of Object.entries(json)) add(name, value);
+  }
+  return palette;
+}
+
+function parsePaletteCSS(text) {
+  const title = /^\s*\/\*\s*(.*?)\s*\*\//.exec(text); // leading comment, as written on export
+  const palette = { name: title ? title[1] : null, swatches: [] };
+  const declaration = /--([\w-]+)\s*:\s*([^;}]+)/g;
+  let match;
+  while ((match = declaration.exec(text)) !== null) {
+    const color = parseCSSColor(match[2].trim());
+    if (color) palette.swatches.push({ name: match[1], color });
+  }
+  return palette;
+}
+
+
+// ── Writers (each takes a collection { name, swatches }) ──
+
+function writeASE(collection) {
+  const w = createByteWriter();
+  w.ascii('ASEF');
+  w.u16(1);
+  w.u16(0);
+  w.u32(collection.swatches.length + 2);
+
+  // Group start with the collection name, one RGB block per swatch, group end
+  w.u16(0xC001);
+  w.u32(2 + (collection.name.length + 1) * 2);
+  w.u16(collection.name.length + 1);
+  w.utf16(collection.name);
+  for (const swatch of collection.swatches) {
+    w.u16(0x0001);
+    w.u32(2 + (swatch.name.length + 1) * 2 + 4 + 12 + 2);
+    w.u16(swatch.name.length + 1);
+    w.utf16(swatch.name);
+    w.ascii('RGB ');
+    for (const v of oklabToEncodedRGB(workingCS, ...swatch.color)) w.f32(v);
+    w.u16(2); // normal (not global or spot)
+  }
+  w.u16(0xC002);
+  w.u32(0);
+  return w.toUint8Array();
+}
+
+function writeGPL(collection) {
+  const lines = ['GIMP Palette', `Name: ${collection.name}`, 'Columns: 8', '#'];
+  for (const swatch of collection.swatches) {
+    const [r, g, b] = oklabToEncodedRGB(workingCS, ...swatch.color).map(v => Math.round(v * 255));
+    lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${swatch.name}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function writeACO(collection) {
+  const w = createByteWriter();
+  for (const version of [1, 2]) {
+    w.u16(version);
+    w.u16(collection.swatches.length);
+    for (const swatch of collection.swatches) {
+      w.u16(0); // RGB
+      for (const v of oklabToEncodedRGB(workingCS, ...swatch.color)) w.u16(Math.round(v * 65535));
+      w.u16(0);
+      if (version === 2) {
+        w.u32(swatch.name.length + 1);
+        w.utf16(swatch.name);
+      }
+    }
+  }
+  return w.toUint8Array();
+}
+
+function writeProcreate(collection) {
+  // Procreate knows sRGB (0) and Display P3 (1)
+  const isP3 = workingCSId === 'display-p3' || workingCSId === 'display-p3-linear';
+  const cs = isP3 ? P3_GAMUT_CS : SRGB_GAMUT_CS;
+  const swatches = collection.swatches.slice(0, PROCREATE_MAX_SWATCHES).map(swatch => {
+    const [hue, saturation, brightness] = rgbToHSV(...oklabToEncodedRGB(cs, ...swatch.color));
+    return { hue: hue / 360, saturation, brightness, alpha: 1, colorSpace: isP3 ? 1 : 0 };
+  });
+  const json = JSON.stringify([{ name: collection.name, swatches }]);
+  return writeZipSingleFile('Swatches.json', new TextEncoder().encode(json));
+}
+
+function writePaletteJSON(collection) {
+  return JSON.stringify({
+    name: collection.name,
+    swatches: collection.swatches.map(s => ({
+      name: s.name,
+      oklab: s.color.map(v => +v.toFixed(5)),
+      oklch: formatOklchCSS(...s.color),
+      hex: gamutMappedHex(SRGB_GAMUT_CS, ...s.color),
+    })),
+  }, null, 2);
+}
+
+function writePaletteCSS(collection) {
+  const lines = collection.swatches.map(s => `  --${cssVariableName(s.name)}: ${formatOklchCSS(...s.color)};`);
+  return `/* ${collection.name} */\n:root {\n${lines.join('\n')}\n}\n`;
+}
+
+
+// ── File handling ──
+
+/**
+ * Handle palette file import from the file input: the palette
+ * becomes a new collection in the swatch library.
+ */
+async function handlePaletteImport(input) {
+  if (!input.files || !input.files[0]) return;
+  const file = input.files[0];
+  try {
+    const extension = file.name.split('.').pop().toLowerCase();
+    const buffer = await file.arrayBuffer();
+    const text = () => new TextDecoder().decode(buffer);
+    const readers = {
+      ase: () => parseASE(buffer),
+      gpl: () => parseGPL(text()),
+      aco: () => parseACO(buffer),
+      swatches: () => parseProcreate(buffer),
+      json: () => parsePaletteJSON(text()),
+      css: () => parsePaletteCSS(text()),
+    };
+    if (!readers[extension]) throw new Error(`Unsupported file type: .${extension}`);
+    const palette = readers[extension]();
+    if (palette.swatches.length === 0) throw new Error('No colors found');
+
+    swatchCollections.push({
+      name: palette.name || file.name.replace(/\.[^.]+$/, ''),
+      swatches: palette.swatches,
+    });
+    activeSwatchCollection = swatchCollections.length - 1;
+    onLibraryChanged();
+  } catch (err) {
+    alert('Failed to import palette:\n' + err.message);
+  }
+  input.value = ''; // allow re-importing the same file
+}
+
+/** Select the export format. */
+function setPaletteExportFormat(id) {
+  if (!PALETTE_FORMATS.some(f => f.id === id)) return;
+  paletteExportFormat = id;
+  scheduleSave();
+}
+
+/** Save a collection (the active one by default) as a file in the selected format. */
+function exportPalette(collection = activeCollection()) {
+  const writers = {
+    ase: writeASE, gpl: writeGPL, aco: writeACO,
+    swatches: writeProcreate, json: writePaletteJSON, css: writePaletteCSS,
+  };
+  const data = writers[paletteExportFormat](collection);
+  const url = URL.createObjectURL(new Blob([data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${collection.name}.${paletteExportFormat}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -3,12 +3,82 @@
 //  Persists application state to localStorage with a debounced
 //  save (500 ms), so rapid interactions don't cause lag.
 //  Restores state on next launch before the first render.
+//
+//  ICC profile bytes are stored under their own keys (named by a
+//  hash of the bytes), outside the main state, so a large profile
+//  that exceeds the quota only loses itself. Save failures are
+//  reported once per session.
 // ================================================================
 
 const STORAGE_KEY = 'oklab-color-picker-state';
+const ICC_STORAGE_PREFIX = STORAGE_KEY + '-icc-';
 const SAVE_HISTORY_CAP = 50; // Keep last N entries per stack when saving
 let saveTimer = null;
 
+/** Profile byte keys known to be in localStorage (avoids rewriting them). */
+const storedICCKeys = new Set();
+
+/** Save failures already reported this session. */
+const reportedSaveFailures = new Set();
+
+/** Tell the user about a save failure (once per message and session). */
+function reportSaveFailure(message) {
+  if (reportedSaveFailures.has(message)) return;
+  reportedSaveFailures.add(message);
+  alert(message);
+}
+
+/** localStorage key for a profile's bytes: FNV-1a hash of the base64 text. */
+function iccStorageKey(base64) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < base64.length; i++) {
+    hash = Math.imul(hash ^ base64.charCodeAt(i), 0x01000193);
+  }
+  return `${ICC_STORAGE_PREFIX}${(hash >>> 0).toString(16)}-${base64.length}`;
+}
+
+/**
+ * Store profile bytes under their own keys and delete the keys of
+ * profiles no longer in use.
+ * @param {{name: string, base64: string}[]} profiles - Profiles to keep
+ */
+function saveICCProfileBytes(profiles) {
+  const keys = new Set(profiles.map(p => iccStorageKey(p.base64)));
+  const staleKeys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(ICC_STORAGE_PREFIX) && !keys.has(key)) staleKeys.push(key);
+  }
+  for (const key of staleKeys) {
+    localStorage.removeItem(key);
+    storedICCKeys.delete(key);
+  }
+
+  for (const { name, base64 } of profiles) {
+    const key = iccStorageKey(base64);
+    if (storedICCKeys.has(key)) continue;
+    try {
+      localStorage.setItem(key, base64);
+      storedICCKeys.add(key);
+    } catch (err) {
+      reportSaveFailure(`Could not save ICC profile "${name}" (${err.name}).\n` +
+        'It stays loaded now but will not be restored on the next launch.');
+    }
+  }
+}
+
+/** Profile bytes saved under a key (or inline by older saves), or null. */
+function loadICCProfileBytes(key, inlineBase64) {
+  if (typeof key === 'string' && key.startsWith(ICC_STORAGE_PREFIX)) {
+    const base64 = localStorage.getItem(key);
+    if (base64 !== null) {
+      storedICCKeys.add(key);
+      return base64;
+    }
+  }
+  return typeof inlineBase64 === 'string' ? inlineBase64 : null;
+}
+
 /** Schedule a debounced save (coalesces rapid changes). */
 function scheduleSave() {
   if (saveTimer) clearTimeout(saveTimer);
@@ -28,21 +98,93 @@ function saveState() {
     const state = {
       // Current picker color
       currentL, currentA, currentB,
+      gamutMappingMode,
+      pickerMode,
+      cielabWhitePoint,
+      numericBitDepth,
+      cvdType,
+      cvdSeverity,
+      referenceColor,
       // Lighting Lab
       albedoL, albedoA, albedoB,
       lightL, lightA, lightB,
       lightIntensity,
+      lightCCT,
+      lightDuv,
+      cctLocus,
+      lightingModel,
+      viewTransform,
+      viewExposure,
       editTarget,
       isLightingOpen,
+      // Contrast checker
+      isContrastOpen,
+      contrastPartner,
+      contrastCurrentRole,
+      contrastTarget,
+      // Copy formats
+      isCopyFormatsOpen,
+      copyFormats,
+      selectedCopyFormat,
+      // Harmony
+      isHarmonyOpen,
+      harmonyScheme,
+      // Tonal scale
+      isScaleOpen,
+      scaleSteps,
+      scaleLightnessMax,
+      scaleLightnessMin,
+      scaleCurve,
+      scaleChromaFalloff,
+      scaleName,
+      scaleExportFormat,
+      // Swatch library
+      isLibraryOpen,
+      swatchCollections,
+      activeSwatchCollection,
+      paletteExportFormat,
+      // Gradient builder
+      isGradientOpen,
+      gradientStops,
+      selectedGradientStop,
+      gradientInterpolation,
+      // Reference image
+      isImageOpen,
+      imageSampleRadius,
+      // Image palette extraction
+      paletteSize,
+      paletteMethod,
+      paletteChromaEmphasis,
+      // 3D gamut viewer
+      isGamutViewOpen,
+      gamutViewMode,
+      gamutViewOverlays,
+      gamutViewYaw,
+      gamutViewPitch,
       // History (capped)
       historyMain:   capHistory(historyMain),
       historyAlbedo: capHistory(historyAlbedo),
       historyLight:  capHistory(historyLight),
       // Working color space
-      iccProfileBase64,
+      workingCSId,
+      iccProfiles: iccProfiles.map(({ name, base64, isReadout }) => ({ name, key: iccStorageKey(base64), isReadout })),
+      activeICCProfile,
+      proofProfileKey: proofProfileBase64 ? iccStorageKey(proofProfileBase64) : null,
+      iccRenderingIntent,
+      isProofGamutWarning,
+      iccAdaptation,
+      isICCInfoOpen,
     };
     localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-  } catch (_) { /* quota exceeded or other — silently skip */ }
+  } catch (err) {
+    // Keep the profile bytes the previous save still refers to
+    reportSaveFailure(`Could not save the settings (${err.name}).\nChanges will not be restored on the next launch.`);
+    return;
+  }
+
+  const profiles = iccProfiles.map(({ name, base64 }) => ({ name, base64 }));
+  if (proofProfileBase64) profiles.push({ name: proofProfile.name, base64: proofProfileBase64 });
+  saveICCProfileBytes(profiles);
 }
 
 /**
@@ -59,13 +201,96 @@ function restoreState() {
     if (typeof s.currentL === 'number') currentL = s.currentL;
     if (typeof s.currentA === 'number') currentA = s.currentA;
     if (typeof s.currentB === 'number') currentB = s.currentB;
+    if (GAMUT_MAPPING_METHODS.some(m => m.id === s.gamutMappingMode)) gamutMappingMode = s.gamutMappingMode;
+    if (PICKER_MODES.some(m => m.id === s.pickerMode)) pickerMode = s.pickerMode;
+    if (CIELAB_WHITE_POINTS.some(w => w.id === s.cielabWhitePoint)) cielabWhitePoint = s.cielabWhitePoint;
+    if (NUMERIC_BIT_DEPTHS.includes(s.numericBitDepth)) numericBitDepth = s.numericBitDepth;
+    if (Array.isArray(s.referenceColor) && s.referenceColor.length === 3) referenceColor = s.referenceColor;
+    if (CVD_TYPES.some(t => t.id === s.cvdType)) cvdType = s.cvdType;
+    if (typeof s.cvdSeverity === 'number') cvdSeverity = clamp01(s.cvdSeverity);
 
     // Lighting Lab colors
     if (typeof s.albedoL === 'number') { albedoL = s.albedoL; albedoA = s.albedoA; albedoB = s.albedoB; }
     if (typeof s.lightL  === 'number') { lightL  = s.lightL;  lightA  = s.lightA;  lightB  = s.lightB;  }
     if (typeof s.lightIntensity === 'number') lightIntensity = s.lightIntensity;
+    if (Number.isFinite(s.lightCCT)) lightCCT = Math.max(CCT_MIN, Math.min(CCT_MAX, s.lightCCT));
+    if (Number.isFinite(s.lightDuv)) lightDuv = Math.max(-DUV_RANGE, Math.min(DUV_RANGE, s.lightDuv));
+    if (CCT_LOCI.some(l => l.id === s.cctLocus)) cctLocus = s.cctLocus;
+    if (LIGHTING_MODELS.some(m => m.id === s.lightingModel)) lightingModel = s.lightingModel;
+    if (VIEW_TRANSFORMS.some(t => t.id === s.viewTransform)) viewTransform = s.viewTransform;
+    if (typeof s.viewExposure === 'number') viewExposure = s.viewExposure;
     if (typeof s.editTarget === 'string') editTarget = s.editTarget;
 
+    // Contrast checker
+    if (Array.isArray(s.contrastPartner) && s.contrastPartner.length === 3) contrastPartner = s.contrastPartner;
+    if (s.contrastCurrentRole === 'text' || s.contrastCurrentRole === 'background') contrastCurrentRole = s.contrastCurrentRole;
+    if (CONTRAST_TARGETS.some(t => t.id === s.contrastTarget)) contrastTarget = s.contrastTarget;
+
+    // Copy formats
+    const isValidCopyFormat = (f) => f && typeof f.name === 'string' && typeof f.template === 'string' &&
+      COPY_FORMAT_SPACES.some(sp => sp.id === f.space) && Number.isInteger(f.precision) &&
+      f.precision >= 0 && f.precision <= COPY_FORMAT_PRECISION_MAX;
+    if (Array.isArray(s.copyFormats) && s.copyFormats.every(isValidCopyFormat)) {
+      copyFormats = s.copyFormats;
+      if (Number.isInteger(s.selectedCopyFormat)) {
+        selectedCopyFormat = Math.max(0, Math.min(s.selectedCopyFormat, copyFormats.length - 1));
+      }
+    }
+
+    // Harmony
+    if (HARMONY_SCHEMES.some(h => h.id === s.harmonyScheme)) harmonyScheme = s.harmonyScheme;
+
+    // Tonal scale
+    if (Number.isInteger(s.scaleSteps)) scaleSteps = Math.max(SCALE_STEPS_MIN, Math.min(SCALE_STEPS_MAX, s.scaleSteps));
+    if (typeof s.scaleLightnessMax === 'number') scaleLightnessMax = clamp01(s.scaleLightnessMax);
+    if (typeof s.scaleLightnessMin === 'number') scaleLightnessMin = clamp01(s.scaleLightnessMin);
+    if (SCALE_CURVES.some(c => c.id === s.scaleCurve)) scaleCurve = s.scaleCurve;
+    if (typeof s.scaleChromaFalloff === 'number') scaleChromaFalloff = clamp01(s.scaleChromaFalloff);
+    if (typeof s.scaleName === 'string' && s.scaleName) scaleName = s.scaleName;
+    if (SCALE_EXPORT_FORMATS.some(f => f.id === s.scaleExportFormat)) scaleExportFormat = s.scaleExportFormat;
+
+    // Swatch library
+    const isValidColor = (c) => Array.isArray(c) && c.length === 3 && c.every(Number.isFinite);
+    const isValidCollection = (c) => c && typeof c.name === 'string' && Array.isArray(c.swatches) &&
+      c.swatches.every(w => w && typeof w.name === 'string' && isValidColor(w.color));
+    if (Array.isArray(s.swatchCollections) && s.swatchCollections.length > 0 &&
+        s.swatchCollections.every(isValidCollection)) {
+      swatchCollections = s.swatchCollections;
+      if (Number.isInteger(s.activeSwatchCollection)) {
+        activeSwatchCollection = Math.max(0, Math.min(s.activeSwatchCollection, swatchCollections.length - 1));
+      }
+    }
+    if (PALETTE_FORMATS.some(f => f.id === s.paletteExportFormat)) paletteExportFormat = s.paletteExportFormat;
+
+    // Gradient builder
+    const isValidStop = (stop) => stop && Number.isFinite(stop.position) &&
+      Array.isArray(stop.color) && stop.color.length === 3 && stop.color.every(Number.isFinite);
+    if (Array.isArray(s.gradientStops) && s.gradientStops.length >= 2 && s.gradientStops.every(isValidStop)) {
+      gradientStops = s.gradientStops.map(stop => ({ ...stop, position: clamp01(stop.position) }));
+      if (Number.isInteger(s.selectedGradientStop)) {
+        selectedGradientStop = Math.max(0, Math.min(s.selectedGradientStop, gradientStops.length - 1));
+      }
+    }
+    if (GRADIENT_INTERPOLATIONS.some(m => m.id === s.gradientInterpolation)) gradientInterpolation = s.gradientInterpolation;
+
+    // Reference image sampling radius
+    if (Number.isInteger(s.imageSampleRadius)) {
+      imageSampleRadius = Math.max(0, Math.min(s.imageSampleRadius, IMAGE_SAMPLE_RADIUS_MAX));
+    }
+
+    // Image palette extraction
+    if (Number.isInteger(s.paletteSize)) paletteSize = Math.max(PALETTE_SIZE_MIN, Math.min(PALETTE_SIZE_MAX, s.paletteSize));
+    if (PALETTE_METHODS.some(m => m.id === s.paletteMethod)) paletteMethod = s.paletteMethod;
+    if (typeof s.paletteChromaEmphasis === 'number') paletteChromaEmphasis = clamp01(s.paletteChromaEmphasis);
+
+    // 3D gamut viewer
+    if (GAMUT_VIEW_MODES.some(m => m.id === s.gamutViewMode)) gamutViewMode = s.gamutViewMode;
+    if (Array.isArray(s.gamutViewOverlays)) {
+      gamutViewOverlays = GAMUT_VIEW_OVERLAYS.map(o => o.id).filter(id => s.gamutViewOverlays.includes(id));
+    }
+    if (Number.isFinite(s.gamutViewYaw)) gamutViewYaw = s.gamutViewYaw;
+    if (Number.isFinite(s.gamutViewPitch)) gamutViewPitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, s.gamutViewPitch));
+
     // History stacks
     const loadHistory = (target, src) => {
       if (src && Array.isArray(src.entries) && src.entries.length > 0) {
@@ -77,15 +302,46 @@ function restoreState() {
     loadHistory(historyAlbedo, s.historyAlbedo);
     loadHistory(historyLight,  s.historyLight);
 
-    // ICC profile
-    if (s.iccProfileBase64) {
+    // ICC profile library: bytes live under their own keys (older saves
+    // hold them inline, or a single iccProfileBase64)
+    // Chromatic adaptation first: matrix profiles are parsed with it
+    if (CHROMATIC_ADAPTATIONS.some(c => c.id === s.iccAdaptation)) iccAdaptation = s.iccAdaptation;
+    const savedProfiles = Array.isArray(s.iccProfiles) ? s.iccProfiles
+      : (s.iccProfileBase64 ? [{ base64: s.iccProfileBase64 }] : []);
+    savedProfiles.forEach((saved, i) => {
+      const base64 = saved && loadICCProfileBytes(saved.key, saved.base64);
+      if (!base64) return;
+      const profile = {
+        name: typeof saved.name === 'string' ? saved.name.trim() : '',
+        base64,
+        isReadout: saved.isReadout === true,
+      };
+      try {
+        parseICCLibraryProfile(profile);
+      } catch (_) { return; /* profile failed to parse — drop it */ }
+      if (i === (Number.isInteger(s.activeICCProfile) ? s.activeICCProfile : 0)) activeICCProfile = iccProfiles.length;
+      iccProfiles.push(profile);
+    });
+    if (s.workingCSId === 'icc') useICCProfile(activeICCProfile);
+
+    // Soft proofing profile and rendering intent
+    const savedProofBase64 = loadICCProfileBytes(s.proofProfileKey, s.proofProfileBase64);
+    if (savedProofBase64) {
       try {
-        const binary = atob(s.iccProfileBase64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-        workingCS = parseICCProfile(bytes.buffer);
-        iccProfileBase64 = s.iccProfileBase64;
-      } catch (_) { /* profile failed to parse — keep default CS */ }
+        proofProfile = parseICCLutProfile(base64ToBuffer(savedProofBase64));
+        proofProfileBase64 = savedProofBase64;
+      } catch (_) { /* profile failed to parse — no proofing */ }
+    }
+    if (RENDERING_INTENTS.some(i => i.id === s.iccRenderingIntent)) iccRenderingIntent = s.iccRenderingIntent;
+    if (typeof s.isProofGamutWarning === 'boolean') isProofGamutWarning = s.isProofGamutWarning;
+
+    // Built-in working space (the library profiles stay available in the cs-bar)
+    if (typeof s.workingCSId === 'string' && s.workingCSId !== 'icc') {
+      const builtin = createBuiltinWorkingCS(s.workingCSId);
+      if (builtin) {
+        workingCS = builtin;
+        workingCSId = s.workingCSId;
+      }
     }
 
     // Lighting Lab open state
@@ -101,6 +357,69 @@ function restoreState() {
       syncPickerToEditTarget();
     }
 
+    // Contrast panel open state
+    if (s.isContrastOpen) {
+      isContrastOpen = true;
+      document.getElementById('contrast-panel').classList.add('open');
+      document.getElementById('contrast-toggle-button').classList.add('active');
+    }
+
+    // ICC profile info panel open state
+    if (s.isICCInfoOpen) {
+      isICCInfoOpen = true;
+      document.getElementById('icc-info-panel').classList.add('open');
+      document.getElementById('icc-info-toggle-button').classList.add('active');
+    }
+
+    // Copy formats panel open state
+    if (s.isCopyFormatsOpen) {
+      isCopyFormatsOpen = true;
+      document.getElementById('copy-formats-panel').classList.add('open');
+      document.getElementById('copy-formats-toggle-button').classList.add('active');
+    }
+
+    // Harmony panel open state
+    if (s.isHarmonyOpen) {
+      isHarmonyOpen = true;
+      document.getElementById('harmony-panel').classList.add('open');
+      document.getElementById('harmony-toggle-button').classList.add('active');
+    }
+
+    // Tonal scale panel open state
+    if (s.isScaleOpen) {
+      isScaleOpen = true;
+      document.getElementById('scale-panel').classList.add('open');
+      document.getElementById('scale-toggle-button').classList.add('active');
+    }
+
+    // Swatch library open state
+    if (s.isLibraryOpen) {
+      isLibraryOpen = true;
+      document.getElementById('library-panel').classList.add('open');
+      document.getElementById('library-toggle-button').classList.add('active');
+    }
+
+    // Gradient panel open state
+    if (s.isGradientOpen) {
+      isGradientOpen = true;
+      document.getElementById('gradient-panel').classList.add('open');
+      document.getElementById('gradient-toggle-button').classList.add('active');
+    }
+
+    // Reference image panel open state
+    if (s.isImageOpen) {
+      isImageOpen = true;
+      document.getElementById('image-panel').classList.add('open');
+      document.getElementById('image-toggle-button').classList.add('active');
+    }
+
+    // 3D gamut viewer open state
+    if (s.isGamutViewOpen) {
+      isGamutViewOpen = true;
+      document.getElementById('gamut-view-panel').classList.add('open');
+      document.getElementById('gamut-view-toggle-button').classList.add('active');
+    }
+
     return true;
   } catch (_) { return false; }
 }
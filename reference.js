@@ -0,0 +1,144 @@
+// ================================================================
+//  REFERENCE COLOR
+//  A pinned OKLab color to compare against. Shown as a split swatch
+//  (current | reference) with ΔEOK, CIEDE2000 (in the CIELAB white
+//  point selected in the info panel) and the ΔL / ΔC / Δh breakdown,
+//  and marked on the picker and sliders. Set from the current color,
+//  the previous history entry, or any pasted CSS color.
+// ================================================================
+
+// Below this OKLCH chroma the hue is undefined and Δh is not shown
+const REFERENCE_HUE_MIN_CHROMA = 1e-4;
+
+/**
+ * Differences from the reference to the current color, or null
+ * without a reference. Δh is in degrees, wrapped to ±180, and null
+ * when either color is gray.
+ */
+function referenceDifferences() {
+  if (!referenceColor) return null;
+  const [refL, refA, refB] = referenceColor;
+  const [refChroma, refHue] = oklabToOklch(refA, refB);
+  const [currentChroma, currentHue] = oklabToOklch(currentA, currentB);
+
+  let deltaHue = null;
+  if (refChroma >= REFERENCE_HUE_MIN_CHROMA && currentChroma >= REFERENCE_HUE_MIN_CHROMA) {
+    deltaHue = ((currentHue - refHue + 540) % 360) - 180;
+  }
+  return {
+    deltaEOK: deltaEOK(currentL, currentA, currentB, refL, refA, refB),
+    deltaE2000: deltaE2000(
+      ...oklabToSelectedCIELab(refL, refA, refB),
+      ...oklabToSelectedCIELab(currentL, currentA, currentB),
+    ),
+    deltaL: currentL - refL,
+    deltaC: currentChroma - refChroma,
+    deltaHue,
+  };
+}
+
+/** Set (or clear, with null) the reference color and redraw its markers. */
+function setReferenceColor(lab) {
+  referenceColor = lab ? [clamp01(lab[0]), lab[1], lab[2]] : null;
+  drawABPicker();
+  drawAllSliders();
+  updateReferencePanel();
+  scheduleSave();
+}
+
+/** Pin the current color as the reference. */
+function setReferenceFromCurrent() {
+  setReferenceColor([currentL, currentA, currentB]);
+}
+
+/** Pin the history entry before the current one (the previous color). */
+function setReferenceFromHistory() {
+  const h = getActiveHistory();
+  if (h.pos > 0) setReferenceColor(h.entries[h.pos - 1]);
+}
+
+/** Remove the reference color. */
+function clearReferenceColor() {
+  setReferenceColor(null);
+}
+
+/** Update the split swatch, ΔE readout and reference field. */
+function updateReferencePanel() {
+  const emptySwatch = 'repeating-linear-gradient(45deg, #313244 0 4px, #1e1e2e 4px 8px)';
+  document.getElementById('reference-swatch-current').style.background =
+    displayCSSColor(currentL, currentA, currentB);
+  document.getElementById('reference-swatch-reference').style.background = referenceColor
+    ? displayCSSColor(...referenceColor)
+    : emptySwatch;
+
+  const diff = referenceDifferences();
+  const signed = (v, digits) => (v >= 0 ? '+' : '') + v.toFixed(digits);
+  const fields = {
+    'ref-delta-eok':   diff ? diff.deltaEOK.toFixed(4) : '—',
+    'ref-delta-e2000': diff ? diff.deltaE2000.toFixed(2) : '—',
+    'ref-delta-L':     diff ? signed(diff.deltaL, 3) : '—',
+    'ref-delta-C':     diff ? signed(diff.deltaC, 3) : '—',
+    'ref-delta-h':     diff && diff.deltaHue !== null ? signed(diff.deltaHue, 1) : '—',
+  };
+  for (const [id, text] of Object.entries(fields)) {
+    document.getElementById(id).textContent = text;
+  }
+
+  const field = document.getElementById('reference-value');
+  if (document.activeElement !== field) {
+    field.textContent = referenceColor
+      ? `oklab(${referenceColor.map(v => v.toFixed(3)).join(' ')})`
+      : '';
+  }
+}
+
+/**
+ * Draw the reference marker (a small diamond) on the picker canvas,
+ * at its (a, b) — or its (s, v) / (s, l) in the Okhsv/Okhsl modes.
+ */
+function drawReferencePickerMarker() {
+  if (!referenceColor) return;
+  const [refL, refA, refB] = referenceColor;
+  let x, y;
+  if (pickerMode !== 'oklab') {
+    const [, s, v] = pickerMode === 'okhsl'
+      ? oklabToOkhsl(refL, refA, refB, okHue)
+      : oklabToOkhsv(refL, refA, refB, okHue);
+    x = clamp01(s) * (PICKER_SIZE - 1);
+    y = (1 - clamp01(v)) * (PICKER_SIZE - 1);
+  } else {
+    x = ((refA + AB_RANGE) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
+    y = ((AB_RANGE - refB) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
+  }
+
+  abPickerContext.beginPath();
+  abPickerContext.moveTo(x, y - 6);
+  abPickerContext.lineTo(x + 6, y);
+  abPickerContext.lineTo(x, y + 6);
+  abPickerContext.lineTo(x - 6, y);
+  abPickerContext.closePath();
+  abPickerContext.fillStyle = displayCSSColor(refL, refA, refB);
+  abPickerContext.fill();
+  abPickerContext.strokeStyle = refL > 0.5 ? 'rgba(0, 0, 0, 0.85)' : 'rgba(255, 255, 255, 0.85)';
+  abPickerContext.lineWidth = 1.5;
+  abPickerContext.stroke();
+}
+
+/**
+ * Draw the reference tick (small triangles on the top and bottom
+ * edges) on a slider canvas at pixel column x.
+ */
+function drawReferenceSliderTick(context, x) {
+  context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  context.strokeStyle = 'rgba(0, 0, 0, 0.7)';
+  context.lineWidth = 1;
+  for (const [edge, dir] of [[0, 1], [SLIDER_HEIGHT, -1]]) {
+    context.beginPath();
+    context.moveTo(x - 4, edge);
+    context.lineTo(x + 4, edge);
+    context.lineTo(x, edge + 6 * dir);
+    context.closePath();
+    context.fill();
+    context.stroke();
+  }
+}
@@ -11,11 +11,17 @@ let abPickerImageData = null;
 /**
  * Compute the pixel colors for every (a, b) combination at the
  * current lightness value and store them in abPickerImageData.
+ * In the Okhsv/Okhsl modes the same canvas shows the SV/SL square.
  */
 function renderABPickerColors() {
+  if (pickerMode !== 'oklab') {
+    renderOkhsxSquareColors();
+    return;
+  }
   abPickerImageData = abPickerContext.createImageData(PICKER_SIZE, PICKER_SIZE);
   const pixels = abPickerImageData.data;
   const step = (2 * AB_RANGE) / (PICKER_SIZE - 1);
+  const isInPlaneGamut = gamutTestForPlane(workingCS, currentL);
 
   for (let y = 0; y < PICKER_SIZE; y++) {
     // Top of canvas = +AB_RANGE (positive b), bottom = -AB_RANGE
@@ -26,13 +32,13 @@ function renderABPickerColors() {
       const aValue = -AB_RANGE + x * step;
 
       // Convert this OKLab color to linear sRGB
-      const [linearR, linearG, linearB] = oklabToLinearSRGB(currentL, aValue, bValue);
+      const [linearR, linearG, linearB] = oklabToDisplayLinearSRGB(currentL, aValue, bValue);
 
       // Calculate the pixel offset in the ImageData buffer (4 bytes per pixel: RGBA)
       const pixelIndex = (y * PICKER_SIZE + x) * 4;
 
       let byteR, byteG, byteB, inGamut;
-      inGamut = isInWorkingGamut(currentL, aValue, bValue);
+      inGamut = isInPlaneGamut(aValue, bValue);
       if (isDisplayP3Supported) {
         const [p3R, p3G, p3B] = linearSRGBToLinearP3(linearR, linearG, linearB);
         byteR = linearToColorByte(p3R);
@@ -71,12 +77,25 @@ function renderABPickerColors() {
 function drawABPicker() {
   if (!abPickerImageData) return;
 
-  // Draw the pre-computed color field
+  // Draw the pre-computed color field, the proofing gamut warning,
+  // the contrast contour, the harmony markers and the reference marker
   abPickerContext.putImageData(abPickerImageData, 0, 0);
-
-  // Convert current (a, b) values to canvas pixel coordinates
-  const cursorX = ((currentA + AB_RANGE) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
-  const cursorY = ((AB_RANGE - currentB) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
+  drawProofGamutWarning();
+  drawContrastContour();
+  drawHarmonyMarkers();
+  drawReferencePickerMarker();
+
+  // Convert current (a, b) values — or (s, v) / (s, l) in the
+  // Okhsv/Okhsl modes — to canvas pixel coordinates
+  let cursorX, cursorY;
+  if (pickerMode !== 'oklab') {
+    const [, s, y] = currentOkhsx();
+    cursorX = clamp01(s) * (PICKER_SIZE - 1);
+    cursorY = (1 - clamp01(y)) * (PICKER_SIZE - 1);
+  } else {
+    cursorX = ((currentA + AB_RANGE) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
+    cursorY = ((AB_RANGE - currentB) / (2 * AB_RANGE)) * (PICKER_SIZE - 1);
+  }
 
   // Use contrasting colors for the crosshair depending on lightness
   const isDark = currentL > 0.5;
@@ -113,17 +132,18 @@ let lightnessImageData = null;
 function renderLightnessSliderColors() {
   lightnessImageData = lightnessContext.createImageData(PICKER_SIZE, SLIDER_HEIGHT);
   const pixels = lightnessImageData.data;
+  const [currentChroma, currentHue] = oklabToOklch(currentA, currentB);
 
   for (let x = 0; x < PICKER_SIZE; x++) {
     // Map x position to lightness value [0, 1]
     const lightnessValue = x / (PICKER_SIZE - 1);
 
     // Convert this OKLab color to linear sRGB
-    const [linearR, linearG, linearB] = oklabToLinearSRGB(lightnessValue, currentA, currentB);
+    const [linearR, linearG, linearB] = oklabToDisplayLinearSRGB(lightnessValue, currentA, currentB);
 
     // Determine the display byte values and check gamut
     let byteR, byteG, byteB, inGamut;
-    inGamut = isInWorkingGamut(lightnessValue, currentA, currentB);
+    inGamut = findMaxInGamutChroma(lightnessValue, currentHue, currentChroma) >= currentChroma;
     if (isDisplayP3Supported) {
       const [p3R, p3G, p3B] = linearSRGBToLinearP3(linearR, linearG, linearB);
       byteR = linearToColorByte(p3R);
@@ -166,8 +186,9 @@ function renderLightnessSliderColors() {
 function drawLightnessSlider() {
   if (!lightnessImageData) return;
 
-  // Draw the pre-computed gradient
+  // Draw the pre-computed gradient and the reference tick
   lightnessContext.putImageData(lightnessImageData, 0, 0);
+  if (referenceColor) drawReferenceSliderTick(lightnessContext, referenceColor[0] * (PICKER_SIZE - 1));
 
   // Convert current L to a pixel x-coordinate
   const indicatorX = currentL * (PICKER_SIZE - 1);
@@ -211,6 +232,7 @@ function renderChromaSliderColors() {
   chromaImageData = chromaContext.createImageData(PICKER_SIZE, SLIDER_HEIGHT);
   const pixels = chromaImageData.data;
   const [, currentHue] = oklabToOklch(currentA, currentB);
+  const maxChroma = findMaxInGamutChroma(currentL, currentHue);
 
   for (let x = 0; x < PICKER_SIZE; x++) {
     // Map x position to chroma value [0, CHROMA_MAX]
@@ -218,11 +240,11 @@ function renderChromaSliderColors() {
 
     // Convert OKLCH → OKLab → linear sRGB
     const [a, b] = oklchToOklab(chromaValue, currentHue);
-    const [linearR, linearG, linearB] = oklabToLinearSRGB(currentL, a, b);
+    const [linearR, linearG, linearB] = oklabToDisplayLinearSRGB(currentL, a, b);
 
     // Determine the display byte values and check gamut
     let byteR, byteG, byteB, inGamut;
-    inGamut = isInWorkingGamut(currentL, a, b);
+    inGamut = chromaValue <= maxChroma;
     if (isDisplayP3Supported) {
       const [p3R, p3G, p3B] = linearSRGBToLinearP3(linearR, linearG, linearB);
       byteR = linearToColorByte(p3R);
@@ -266,6 +288,10 @@ function drawChromaSlider() {
   if (!chromaImageData) return;
 
   chromaContext.putImageData(chromaImageData, 0, 0);
+  if (referenceColor) {
+    const [refChroma] = oklabToOklch(referenceColor[1], referenceColor[2]);
+    drawReferenceSliderTick(chromaContext, Math.min(refChroma / CHROMA_MAX, 1) * (PICKER_SIZE - 1));
+  }
 
   // Compute current chroma and map to pixel position
   const [currentChroma] = oklabToOklch(currentA, currentB);
@@ -317,11 +343,11 @@ function renderHueSliderColors() {
 
     // Convert OKLCH → OKLab → linear sRGB
     const [a, b] = oklchToOklab(currentChroma, hueValue);
-    const [linearR, linearG, linearB] = oklabToLinearSRGB(currentL, a, b);
+    const [linearR, linearG, linearB] = oklabToDisplayLinearSRGB(currentL, a, b);
 
     // Determine the display byte values and check gamut
     let byteR, byteG, byteB, inGamut;
-    inGamut = isInWorkingGamut(currentL, a, b);
+    inGamut = findMaxInGamutChroma(currentL, hueValue, currentChroma) >= currentChroma;
     if (isDisplayP3Supported) {
       const [p3R, p3G, p3B] = linearSRGBToLinearP3(linearR, linearG, linearB);
       byteR = linearToColorByte(p3R);
@@ -365,6 +391,10 @@ function drawHueSlider() {
   if (!hueImageData) return;
 
   hueContext.putImageData(hueImageData, 0, 0);
+  if (referenceColor) {
+    const [, refHue] = oklabToOklch(referenceColor[1], referenceColor[2]);
+    drawReferenceSliderTick(hueContext, (refHue / 360) * (PICKER_SIZE - 1));
+  }
 
   // Compute current hue and map to pixel position
   const [, currentHue] = oklabToOklch(currentA, currentB);
@@ -391,6 +421,125 @@ function drawHueSlider() {
 }
 
 
+// ================================================================
+//  RENDERING: OKHSV / OKHSL SQUARE AND HUE STRIP
+//  In the Okhsv and Okhsl modes the picker canvas shows a square at
+//  the current hue: x = saturation (0 → 1), y = value or lightness
+//  (top = 1). Both coordinates reach the working gamut boundary, so
+//  every pixel is in gamut. The hue strip below it varies hue at
+//  the current s and v (or l).
+// ================================================================
+
+/**
+ * Compute the pixel colors of the Okhsv SV / Okhsl SL square at the
+ * current hue into abPickerImageData.
+ */
+function renderOkhsxSquareColors() {
+  abPickerImageData = abPickerContext.createImageData(PICKER_SIZE, PICKER_SIZE);
+  const pixels = abPickerImageData.data;
+  const slice = createOkHueSlice(okhsxGamutModel(), currentOkHue());
+  const toOklab = pickerMode === 'okhsl' ? okhslToOklabAtHue : okhsvToOklabAtHue;
+
+  for (let y = 0; y < PICKER_SIZE; y++) {
+    // Top of canvas = 1 (full value / lightness), bottom = 0
+    const yValue = 1 - y / (PICKER_SIZE - 1);
+
+    for (let x = 0; x < PICKER_SIZE; x++) {
+      const saturation = x / (PICKER_SIZE - 1);
+      const [L, a, b] = toOklab(slice, saturation, yValue);
+      const [linearR, linearG, linearB] = oklabToDisplayLinearSRGB(L, a, b);
+      const pixelIndex = (y * PICKER_SIZE + x) * 4;
+
+      if (isDisplayP3Supported) {
+        const [p3R, p3G, p3B] = linearSRGBToLinearP3(linearR, linearG, linearB);
+        pixels[pixelIndex]     = linearToColorByte(p3R);
+        pixels[pixelIndex + 1] = linearToColorByte(p3G);
+        pixels[pixelIndex + 2] = linearToColorByte(p3B);
+      } else {
+        pixels[pixelIndex]     = linearToColorByte(linearR);
+        pixels[pixelIndex + 1] = linearToColorByte(linearG);
+        pixels[pixelIndex + 2] = linearToColorByte(linearB);
+      }
+      pixels[pixelIndex + 3] = 255;
+    }
+  }
+}
+
+/** Cached ImageData for the Okhsv/Okhsl hue strip background */
+let okhsxHueStripImageData = null;
+
+/**
+ * Compute the pixel colors for the Okhsv/Okhsl hue strip at the
+ * current saturation and value (or lightness).
+ */
+function renderOkhsxHueStripColors() {
+  okhsxHueStripImageData = okhsxHueStripContext.createImageData(PICKER_SIZE, SLIDER_HEIGHT);
+  const pixels = okhsxHueStripImageData.data;
+  const [, saturation, yValue] = currentOkhsx();
+
+  for (let x = 0; x < PICKER_SIZE; x++) {
+    const hueValue = (x / (PICKER_SIZE - 1)) * 360;
+    const [L, a, b] = okhsxToOklab(hueValue, clamp01(saturation), clamp01(yValue));
+    const [linearR, linearG, linearB] = oklabToDisplayLinearSRGB(L, a, b);
+
+    let byteR, byteG, byteB;
+    if (isDisplayP3Supported) {
+      const [p3R, p3G, p3B] = linearSRGBToLinearP3(linearR, linearG, linearB);
+      byteR = linearToColorByte(p3R);
+      byteG = linearToColorByte(p3G);
+      byteB = linearToColorByte(p3B);
+    } else {
+      byteR = linearToColorByte(linearR);
+      byteG = linearToColorByte(linearG);
+      byteB = linearToColorByte(linearB);
+    }
+
+    for (let y = 0; y < SLIDER_HEIGHT; y++) {
+      const pixelIndex = (y * PICKER_SIZE + x) * 4;
+      pixels[pixelIndex]     = byteR;
+      pixels[pixelIndex + 1] = byteG;
+      pixels[pixelIndex + 2] = byteB;
+      pixels[pixelIndex + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Draw the Okhsv/Okhsl hue strip: blit the cached gradient, then
+ * draw a vertical line indicator at the current hue.
+ */
+function drawOkhsxHueStrip() {
+  if (!okhsxHueStripImageData) return;
+
+  okhsxHueStripContext.putImageData(okhsxHueStripImageData, 0, 0);
+  if (referenceColor) {
+    const [, refHue] = oklabToOklch(referenceColor[1], referenceColor[2]);
+    drawReferenceSliderTick(okhsxHueStripContext, (refHue / 360) * (PICKER_SIZE - 1));
+  }
+
+  const indicatorX = (currentOkHue() / 360) * (PICKER_SIZE - 1);
+  const isDark = currentL > 0.5;
+
+  // Main indicator line
+  okhsxHueStripContext.strokeStyle = isDark ? 'rgba(0, 0, 0, 0.85)' : 'rgba(255, 255, 255, 0.85)';
+  okhsxHueStripContext.lineWidth = 3;
+  okhsxHueStripContext.beginPath();
+  okhsxHueStripContext.moveTo(indicatorX, 0);
+  okhsxHueStripContext.lineTo(indicatorX, SLIDER_HEIGHT);
+  okhsxHueStripContext.stroke();
+
+  // Flanking lines for contrast
+  okhsxHueStripContext.strokeStyle = isDark ? 'rgba(255, 255, 255, 0.5)' : 'rgba(0, 0, 0, 0.5)';
+  okhsxHueStripContext.lineWidth = 1;
+  okhsxHueStripContext.beginPath();
+  okhsxHueStripContext.moveTo(indicatorX - 2, 0);
+  okhsxHueStripContext.lineTo(indicatorX - 2, SLIDER_HEIGHT);
+  okhsxHueStripContext.moveTo(indicatorX + 2, 0);
+  okhsxHueStripContext.lineTo(indicatorX + 2, SLIDER_HEIGHT);
+  okhsxHueStripContext.stroke();
+}
+
+
 // ================================================================
 //  INFO PANEL
 //  Updates the color preview swatch, OKLab/OKLCH readout, hex codes,
@@ -401,40 +550,17 @@ function updateInfoPanel() {
   // Convert current OKLab → linear sRGB
   const [linearR, linearG, linearB] = oklabToLinearSRGB(currentL, currentA, currentB);
 
-  // Check sRGB gamut and compute hex
+  // Check gamut in each space; hex codes are gamut-mapped with the
+  // selected method (see gamut-mapping.js)
   const srgbInGamut = isInGamut(linearR, linearG, linearB);
-  const srgbHex = rgbToHex(
-    linearToGamma(linearR),
-    linearToGamma(linearG),
-    linearToGamma(linearB)
-  );
+  const srgbHex = gamutMappedHex(SRGB_GAMUT_CS, currentL, currentA, currentB);
 
-  // Convert to Display P3, check gamut, compute hex
   const [p3R, p3G, p3B] = linearSRGBToLinearP3(linearR, linearG, linearB);
   const p3InGamut = isInGamut(p3R, p3G, p3B);
-  const p3Hex = rgbToHex(
-    linearToGamma(p3R),
-    linearToGamma(p3G),
-    linearToGamma(p3B)
-  );
-
-  // Convert to working CS, check gamut, compute hex
-  const [wcR, wcG, wcB] = workingCS.fromLinearSRGB(linearR, linearG, linearB);
-  const workingInGamut = isInGamut(wcR, wcG, wcB);
-  let workingHex;
-  if (workingCS.perChannelTRC) {
-    workingHex = rgbToHex(
-      workingCS.encode(wcR, 0),
-      workingCS.encode(wcG, 1),
-      workingCS.encode(wcB, 2)
-    );
-  } else {
-    workingHex = rgbToHex(
-      workingCS.encode(wcR),
-      workingCS.encode(wcG),
-      workingCS.encode(wcB)
-    );
-  }
+  const p3Hex = gamutMappedHex(P3_GAMUT_CS, currentL, currentA, currentB);
+
+  const workingInGamut = isInGamutOf(workingCS, currentL, currentA, currentB);
+  const workingHex = gamutMappedHex(workingCS, currentL, currentA, currentB);
 
   // Compute OKLCH values for display
   const [currentChroma, currentHue] = oklabToOklch(currentA, currentB);
@@ -452,9 +578,49 @@ function updateInfoPanel() {
   if (active !== document.getElementById('val-h'))
     document.getElementById('val-h').textContent = currentHue.toFixed(1);
 
+  // Update the Okhsv / Okhsl readout (s, v and l as percentages)
+  const okhsxHue = currentOkHue();
+  const okhsxFields = {
+    'okhsv': oklabToOkhsv(currentL, currentA, currentB, okhsxHue),
+    'okhsl': oklabToOkhsl(currentL, currentA, currentB, okhsxHue),
+  };
+  for (const [space, [h, s, y]] of Object.entries(okhsxFields)) {
+    const yName = space === 'okhsl' ? 'l' : 'v';
+    if (active !== document.getElementById(`val-${space}-h`))
+      document.getElementById(`val-${space}-h`).textContent = h.toFixed(1);
+    if (active !== document.getElementById(`val-${space}-s`))
+      document.getElementById(`val-${space}-s`).textContent = (s * 100).toFixed(1);
+    if (active !== document.getElementById(`val-${space}-${yName}`))
+      document.getElementById(`val-${space}-${yName}`).textContent = (y * 100).toFixed(1);
+  }
+
+  // Update the CIELAB / LCh readout and ΔE2000 to the reference
+  const [labL, labA, labB] = oklabToSelectedCIELab(currentL, currentA, currentB);
+  let labHue = Math.atan2(labB, labA) * 180 / Math.PI;
+  if (labHue < 0) labHue += 360;
+  const cielabFields = {
+    'val-lab-L': labL.toFixed(2),
+    'val-lab-a': labA.toFixed(2),
+    'val-lab-b': labB.toFixed(2),
+    'val-lch-C': Math.hypot(labA, labB).toFixed(2),
+    'val-lch-h': labHue.toFixed(1),
+  };
+  for (const [id, text] of Object.entries(cielabFields)) {
+    if (active !== document.getElementById(id)) document.getElementById(id).textContent = text;
+  }
+
+  // Update the reference comparison (split swatch and ΔE readout)
+  // and the contrast checker
+  updateReferencePanel();
+  updateContrastPanel();
+  updateCopyFormatsPanel();
+  updateHarmonyPanel();
+  updateScalePanel();
+  updateGamutViewPanel();
+
   // Update the preview swatch using native CSS oklab() for correct rendering
   document.getElementById('color-preview').style.background =
-    `oklab(${currentL} ${currentA} ${currentB})`;
+    displayCSSColor(currentL, currentA, currentB);
 
   // Update sRGB hex and gamut indicator (skip focused fields)
   if (active !== document.getElementById('srgb-hex'))
@@ -484,33 +650,55 @@ function updateInfoPanel() {
       : workingCS.name + ':';
   }
 
+  // Update the readout rows of the ICC library profiles
+  updateICCReadoutRows();
+
   // Update the raw CSS oklab() value
   if (active !== document.getElementById('css-oklab-value'))
     document.getElementById('css-oklab-value').textContent =
       `oklab(${currentL.toFixed(3)} ${currentA.toFixed(3)} ${currentB.toFixed(3)})`;
+
+  // Update the soft proofing readout (device values in the proofing profile)
+  updateProofReadout();
+
+  // Update the numeric readout (floats and integers in each space)
+  updateNumericReadout();
 }
 
 
 // ================================================================
 //  LIGHTING LAB
 //  Computes result = albedo × light in linear sRGB space.
-//  Shows the result on a read-only mini a,b map and info readout.
+//  Shows the result, through the selected view transform (see
+//  tone-mapping.js), on a read-only mini a,b map and info readout.
 // ================================================================
 
 /**
- * Compute the lit color: result = albedo × light (component-wise
- * multiply in linear sRGB). Returns OKLab [L, a, b].
+ * Compute the scene-linear lit color: result = albedo × light
+ * (component-wise multiply in linear sRGB, or per wavelength with
+ * the spectral model in spectral.js), scaled by intensity.
+ * Returns linear sRGB [r, g, b], unbounded above.
  */
-function computeLitColor() {
+function computeSceneLinearLitColor(model = lightingModel) {
+  if (model === 'spectral') return computeSpectralLitColor();
+
   const [albR, albG, albB] = oklabToLinearSRGB(albedoL, albedoA, albedoB);
   const [litR, litG, litB] = oklabToLinearSRGB(lightL, lightA, lightB);
 
   // Component-wise multiplication in linear light, scaled by intensity
-  const resultR = albR * litR * lightIntensity;
-  const resultG = albG * litG * lightIntensity;
-  const resultB = albB * litB * lightIntensity;
+  return [
+    albR * litR * lightIntensity,
+    albG * litG * lightIntensity,
+    albB * litB * lightIntensity,
+  ];
+}
 
-  return linearSRGBToOKLab(resultR, resultG, resultB);
+/**
+ * Compute the displayed lit color: the scene-linear result after
+ * the exposure offset and view transform. Returns OKLab [L, a, b].
+ */
+function computeLitColor(model = lightingModel) {
+  return linearSRGBToOKLab(...applyViewTransform(...computeSceneLinearLitColor(model)));
 }
 
 /** Cached ImageData for the result mini a,b map */
@@ -526,16 +714,17 @@ function renderResultABMap() {
   resultABImageData = resultABContext.createImageData(RESULT_MAP_SIZE, RESULT_MAP_SIZE);
   const pixels = resultABImageData.data;
   const step = (2 * AB_RANGE) / (RESULT_MAP_SIZE - 1);
+  const isInPlaneGamut = gamutTestForPlane(workingCS, resL);
 
   for (let y = 0; y < RESULT_MAP_SIZE; y++) {
     const bVal = AB_RANGE - y * step;
     for (let x = 0; x < RESULT_MAP_SIZE; x++) {
       const aVal = -AB_RANGE + x * step;
-      const [linR, linG, linB] = oklabToLinearSRGB(resL, aVal, bVal);
+      const [linR, linG, linB] = oklabToDisplayLinearSRGB(resL, aVal, bVal);
       const idx = (y * RESULT_MAP_SIZE + x) * 4;
 
       let bR, bG, bB, inGamut;
-      inGamut = isInWorkingGamut(resL, aVal, bVal);
+      inGamut = isInPlaneGamut(aVal, bVal);
       if (isDisplayP3Supported) {
         const [p3R, p3G, p3B] = linearSRGBToLinearP3(linR, linG, linB);
         bR = linearToColorByte(p3R);
@@ -593,11 +782,11 @@ function updateLightingPanel() {
 
   // Update swatches using CSS oklab()
   document.getElementById('swatch-albedo').style.background =
-    `oklab(${albedoL} ${albedoA} ${albedoB})`;
+    displayCSSColor(albedoL, albedoA, albedoB);
   document.getElementById('swatch-light').style.background = (() => {
     const [lr, lg, lb] = oklabToLinearSRGB(lightL, lightA, lightB);
     const [iL, iA, iB] = linearSRGBToOKLab(lr * lightIntensity, lg * lightIntensity, lb * lightIntensity);
-    return `oklab(${iL} ${iA} ${iB})`;
+    return displayCSSColor(iL, iA, iB);
   })();
 
   // Update intensity slider UI
@@ -607,9 +796,15 @@ function updateLightingPanel() {
   if (document.activeElement !== document.getElementById('intensity-value'))
     document.getElementById('intensity-value').textContent = lightIntensity.toFixed(2);
 
+  // Update the CCT / Duv controls and the light's CCT estimate
+  updateCCTDisplay();
+
   const [resL, resA, resB] = computeLitColor();
   document.getElementById('swatch-result').style.background =
-    `oklab(${resL} ${resA} ${resB})`;
+    displayCSSColor(resL, resA, resB);
+
+  // Lighting model select and RGB vs spectral comparison
+  updateLightingModelDisplay();
 
   // Result numeric readout
   const [resChroma, resHue] = oklabToOklch(resA, resB);
@@ -620,12 +815,18 @@ function updateLightingPanel() {
     `<span class="label">C:</span> <b>${resChroma.toFixed(3)}</b>&ensp;` +
     `<span class="label">h:</span> <b>${resHue.toFixed(1)}°</b>`;
 
-  // Result hex codes: sRGB, Display P3, Working CS
+  // Raw scene-linear result (before the view transform)
+  const [sceneR, sceneG, sceneB] = computeSceneLinearLitColor();
+  document.getElementById('lighting-scene-values').innerHTML =
+    `<span class="label">Scene linear:</span> ` +
+    `<b>${sceneR.toFixed(3)}</b>&ensp;<b>${sceneG.toFixed(3)}</b>&ensp;<b>${sceneB.toFixed(3)}</b>`;
+
+  // Result hex codes (gamut-mapped): sRGB, Display P3, Working CS
   const [linR, linG, linB] = oklabToLinearSRGB(resL, resA, resB);
 
   // sRGB
   const srgbOk = isInGamut(linR, linG, linB);
-  const srgbHex = rgbToHex(linearToGamma(linR), linearToGamma(linG), linearToGamma(linB));
+  const srgbHex = gamutMappedHex(SRGB_GAMUT_CS, resL, resA, resB);
   document.getElementById('result-srgb-hex').textContent = srgbHex;
   document.getElementById('result-srgb-gamut').innerHTML = srgbOk
     ? '<span class="in-gamut" title="In sRGB gamut">✓</span>'
@@ -634,7 +835,7 @@ function updateLightingPanel() {
   // Display P3
   const [p3R, p3G, p3B] = linearSRGBToLinearP3(linR, linG, linB);
   const p3Ok = isInGamut(p3R, p3G, p3B);
-  const p3Hex = rgbToHex(linearToGamma(p3R), linearToGamma(p3G), linearToGamma(p3B));
+  const p3Hex = gamutMappedHex(P3_GAMUT_CS, resL, resA, resB);
   document.getElementById('result-p3-hex').textContent = p3Hex;
   document.getElementById('result-p3-gamut').innerHTML = p3Ok
     ? '<span class="in-gamut" title="In Display P3 gamut">✓</span>'
@@ -644,14 +845,8 @@ function updateLightingPanel() {
   const isCustomCS = workingCS.name !== 'Display P3' && workingCS.name !== 'sRGB';
   document.getElementById('result-wcs-row').style.display = isCustomCS ? '' : 'none';
   if (isCustomCS) {
-    const [wcR, wcG, wcB] = workingCS.fromLinearSRGB(linR, linG, linB);
-    const wcOk = isInGamut(wcR, wcG, wcB);
-    let wcHex;
-    if (workingCS.perChannelTRC) {
-      wcHex = rgbToHex(workingCS.encode(wcR, 0), workingCS.encode(wcG, 1), workingCS.encode(wcB, 2));
-    } else {
-      wcHex = rgbToHex(workingCS.encode(wcR), workingCS.encode(wcG), workingCS.encode(wcB));
-    }
+    const wcOk = isInGamutOf(workingCS, resL, resA, resB);
+    const wcHex = gamutMappedHex(workingCS, resL, resA, resB);
     document.getElementById('result-wcs-hex').textContent = wcHex;
     document.getElementById('result-wcs-gamut').innerHTML = wcOk
       ? '<span class="in-gamut" title="In ' + workingCS.name + ' gamut">✓</span>'
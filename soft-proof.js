@@ -0,0 +1,169 @@
+// ================================================================
+//  SOFT PROOFING
+//  A LUT-based output profile (typically CMYK print, see icc-lut.js)
+//  loaded as a proofing space beside the working CS. The info panel
+//  shows the current color's device values (CMYK percentages)
+//  through the selected rendering intent, a gamut indicator and the
+//  proofed color (the device values back through the relative
+//  colorimetric A2B, so paper white shows as white). The optional
+//  gamut warning grays out the parts of the a,b picker that are in
+//  the working gamut but outside the proofing gamut.
+// ================================================================
+
+const PROOF_CHANNEL_NAMES = {
+  'CMYK': ['C', 'M', 'Y', 'K'],
+  'CMY ': ['C', 'M', 'Y'],
+  'RGB ': ['R', 'G', 'B'],
+  'GRAY': ['Gray'],
+};
+
+const PROOF_WARNING_CELL = 4; // Gamut warning resolution on the picker (px)
+
+/** Channel names of the proofing profile (C, M, Y, K for CMYK). */
+function proofChannelNames() {
+  return PROOF_CHANNEL_NAMES[proofProfile.colorSpace] ||
+    Array.from({ length: proofProfile.channels }, (_, i) => `Ch${i + 1}`);
+}
+
+/** Device values (0–1) of an OKLab color in the proofing profile. */
+function proofDeviceValues(L, a, b) {
+  return proofProfile.fromXYZ(linearSRGBToICCXYZ(...oklabToLinearSRGB(L, a, b)), iccRenderingIntent);
+}
+
+/** OKLab color of device values in the proofing profile. */
+function proofDeviceToOKLab(values, intentId = iccRenderingIntent) {
+  return linearSRGBToOKLab(...iccXYZToLinearSRGB(...proofProfile.toXYZ(values, intentId)));
+}
+
+/** The proofed (printed) appearance of an OKLab color. */
+function proofedColor(L, a, b) {
+  return proofDeviceToOKLab(proofDeviceValues(L, a, b), 'relative');
+}
+
+/** Whether an OKLab color is within the proofing gamut. */
+function isInProofGamut(L, a, b) {
+  return isInICCGamut(proofProfile, linearSRGBToICCXYZ(...oklabToLinearSRGB(L, a, b)));
+}
+
+
+// ── Picker gamut warning ──
+
+let proofWarningCells = [];   // Flat [x, y, ...] of cells to gray out
+let proofWarningKey = null;   // { L, profile, cs, adaptation } the cells were computed for
+
+/** Gray out picker cells in the working gamut but outside the proofing gamut. */
+function drawProofGamutWarning() {
+  if (!proofProfile || !isProofGamutWarning || pickerMode !== 'oklab') return;
+  const key = proofWarningKey;
+  if (!key || key.L !== currentL || key.profile !== proofProfile || key.cs !== workingCS ||
+      key.adaptation !== iccAdaptation) {
+    proofWarningCells = [];
+    const isInPlaneGamut = gamutTestForPlane(workingCS, currentL);
+    const step = (2 * AB_RANGE) / (PICKER_SIZE - 1);
+    for (let y = 0; y < PICKER_SIZE; y += PROOF_WARNING_CELL) {
+      const b = AB_RANGE - (y + PROOF_WARNING_CELL / 2) * step;
+      for (let x = 0; x < PICKER_SIZE; x += PROOF_WARNING_CELL) {
+        const a = -AB_RANGE + (x + PROOF_WARNING_CELL / 2) * step;
+        if (isInPlaneGamut(a, b) && !isInProofGamut(currentL, a, b)) proofWarningCells.push(x, y);
+      }
+    }
+    proofWarningKey = { L: currentL, profile: proofProfile, cs: workingCS, adaptation: iccAdaptation };
+  }
+  abPickerContext.fillStyle = 'rgba(128, 128, 128, 0.85)';
+  for (let k = 0; k < proofWarningCells.length; k += 2) {
+    abPickerContext.fillRect(proofWarningCells[k], proofWarningCells[k + 1], PROOF_WARNING_CELL, PROOF_WARNING_CELL);
+  }
+}
+
+
+// ── Info panel readout ──
+
+/** Update the device values, gamut indicator and proofed swatch. */
+function updateProofReadout() {
+  document.getElementById('proof-row').style.display = proofProfile ? '' : 'none';
+  if (!proofProfile) return;
+
+  const names = proofChannelNames();
+  document.getElementById('proof-label').textContent = names.length > 1 ? names.join('') + ':' : names[0] + ':';
+  const field = document.getElementById('proof-value');
+  if (document.activeElement !== field) {
+    field.textContent = proofDeviceValues(currentL, currentA, currentB)
+      .map(v => `${(v * 100).toFixed(1)}%`).join(', ');
+  }
+  document.getElementById('proof-gamut-indicator').innerHTML = isInProofGamut(currentL, currentA, currentB)
+    ? `<span class="in-gamut" title="In ${proofProfile.name} gamut">✓</span>`
+    : `<span class="out-of-gamut" title="Out of ${proofProfile.name} gamut">✗</span>`;
+  document.getElementById('proof-swatch').style.background =
+    displayCSSColor(...proofedColor(currentL, currentA, currentB));
+}
+
+/** Commit device values typed as percentages (one per channel). */
+function commitProofValues(text) {
+  if (!proofProfile) return false;
+  const values = (text.match(/-?\d+(\.\d+)?/g) || []).map(Number);
+  if (values.length !== proofProfile.channels) return false;
+  commitEditedColor(...proofDeviceToOKLab(values.map(v => clamp01(v / 100))));
+  return true;
+}
+
+
+// ── Proof bar ──
+
+/** Sync the proof bar (profile name, intent, warning toggle). */
+function updateProofDisplay() {
+  const select = document.getElementById('intent-select');
+  if (select.options.length === 0) {
+    for (const intent of RENDERING_INTENTS) select.add(new Option(intent.name, intent.id));
+  }
+  select.value = iccRenderingIntent;
+  const name = document.getElementById('proof-profile-name');
+  name.textContent = proofProfile ? proofProfile.name : 'none';
+  name.title = proofProfile ? proofProfile.name : '';
+  document.getElementById('proof-bar').classList.toggle('active', !!proofProfile);
+  document.getElementById('proof-warning-button').classList.toggle('active', isProofGamutWarning);
+  updateICCInfoPanel();
+}
+
+/**
+ * Handle proofing profile import from the file input.
+ */
+async function handleProofImport(input) {
+  if (!input.files || !input.files[0]) return;
+  try {
+    const buffer = await input.files[0].arrayBuffer();
+    proofProfile = parseICCLutProfile(buffer);
+    proofProfileBase64 = bufferToBase64(buffer);
+    updateProofDisplay();
+    renderAll();
+    scheduleSave();
+  } catch (err) {
+    alert('Failed to load proofing profile:\n' + err.message);
+  }
+  input.value = ''; // allow re-importing the same file
+}
+
+/** Stop proofing. */
+function clearProofProfile() {
+  proofProfile = null;
+  proofProfileBase64 = null;
+  updateProofDisplay();
+  renderAll();
+  scheduleSave();
+}
+
+/** Select the rendering intent (proofing and LUT-based working profiles). */
+function setRenderingIntent(id) {
+  if (!RENDERING_INTENTS.some(i => i.id === id)) return;
+  iccRenderingIntent = id;
+  updateProofDisplay();
+  renderAll();
+  drawGamutView(); // a LUT working CS follows the intent
+  scheduleSave();
+}
+
+function toggleProofGamutWarning() {
+  isProofGamutWarning = !isProofGamutWarning;
+  updateProofDisplay();
+  drawABPicker();
+  scheduleSave();
+}
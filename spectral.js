@@ -0,0 +1,197 @@
+// ================================================================
+//  SPECTRAL LIGHTING MODEL
+//  The RGB lighting model multiplies albedo and light per channel in
+//  linear sRGB. The spectral model instead upsamples both colors to
+//  smooth spectra, multiplies them per wavelength and integrates the
+//  product back to XYZ with the CIE 1931 2° observer.
+//
+//  Spectra use the sigmoid-polynomial form of Jakob & Hanika (2019),
+//  s(λ) = S(c0·t² + c1·t + c2) with S(x) = ½ + x / (2√(1 + x²)),
+//  which stays within 0–1. The coefficients are fitted so that the
+//  spectrum, seen as a reflectance under D65, reproduces the color
+//  (least squares in OKLab, for out-of-gamut colors). The light's
+//  emission is D65 times the fitted spectrum of its chromaticity,
+//  scaled by its peak channel and the intensity.
+//
+//  Color matching functions use the multi-lobe fit of Wyman, Sloan
+//  & Shirley (2013). Results are white-balanced so that a white
+//  albedo under a white light gives exactly (1, 1, 1), like the RGB
+//  model.
+// ================================================================
+
+const LIGHTING_MODELS = [
+  { id: 'rgb',      name: 'RGB (per channel)' },
+  { id: 'spectral', name: 'Spectral' },
+];
+
+const SPECTRAL_LAMBDA_MIN = 380;
+const SPECTRAL_LAMBDA_STEP = 10;
+
+// CIE standard illuminant D65, 380–730 nm in 10 nm steps
+const SPECTRAL_D65 = [
+  49.9755, 54.6482, 82.7549, 91.4860, 93.4318, 86.6823, 104.865, 117.008, 117.812,
+  114.861, 115.923, 108.811, 109.354, 107.802, 104.790, 107.689, 104.405, 104.046,
+  100.000, 96.3342, 95.7880, 88.6856, 90.0062, 89.5991, 87.6987, 83.2886, 83.6992,
+  80.0268, 80.2146, 82.2778, 78.2842, 69.7213, 71.6091, 74.3490, 61.6040, 69.8856,
+];
+
+const SPECTRAL_FIT_ITERATIONS = 60;
+const SPECTRAL_FIT_TOLERANCE = 1e-7; // Squared OKLab error to stop at
+
+/** Piecewise Gaussian lobe with different widths left and right of mu. */
+function cmfLobe(lambda, mu, sigmaLeft, sigmaRight) {
+  const t = (lambda - mu) / (lambda < mu ? sigmaLeft : sigmaRight);
+  return Math.exp(-0.5 * t * t);
+}
+
+/** CIE 1931 2° color matching functions at lambda (nm), Wyman et al. fit. */
+function cieCMF(lambda) {
+  return [
+    1.056 * cmfLobe(lambda, 599.8, 37.9, 31.0) + 0.362 * cmfLobe(lambda, 442.0, 16.0, 26.7) -
+      0.065 * cmfLobe(lambda, 501.1, 20.4, 26.2),
+    0.821 * cmfLobe(lambda, 568.8, 46.9, 40.5) + 0.286 * cmfLobe(lambda, 530.9, 16.3, 31.1),
+    1.217 * cmfLobe(lambda, 437.0, 11.8, 36.0) + 0.681 * cmfLobe(lambda, 459.0, 26.0, 13.8),
+  ];
+}
+
+/**
+ * Per-wavelength weights: linear sRGB contribution of each sample
+ * under D65, white-balanced so a flat spectrum of 1 integrates to
+ * (1, 1, 1).
+ */
+const SPECTRAL_WEIGHTS = (() => {
+  const weights = SPECTRAL_D65.map((power, i) =>
+    mat3Apply(XYZ_TO_LINEAR_SRGB, ...cieCMF(SPECTRAL_LAMBDA_MIN + i * SPECTRAL_LAMBDA_STEP).map(c => c * power)));
+  const white = [0, 1, 2].map(ch => weights.reduce((sum, w) => sum + w[ch], 0));
+  return weights.map(w => w.map((v, ch) => v / white[ch]));
+})();
+
+/** Sigmoid-polynomial spectrum of coefficients c, sampled on the grid. */
+function sigmoidSpectrum(c) {
+  const n = SPECTRAL_D65.length;
+  const spectrum = new Array(n);
+  for (let i = 0; i < n; i++) {
+    const t = i / (n - 1); // wavelength normalized to 0–1
+    const x = (c[0] * t + c[1]) * t + c[2];
+    spectrum[i] = 0.5 + x / (2 * Math.sqrt(1 + x * x));
+  }
+  return spectrum;
+}
+
+/** Linear sRGB of a reflectance (or relative emission) spectrum under D65. */
+function spectrumToLinearSRGB(spectrum) {
+  let r = 0, g = 0, b = 0;
+  for (let i = 0; i < spectrum.length; i++) {
+    const w = SPECTRAL_WEIGHTS[i];
+    r += spectrum[i] * w[0];
+    g += spectrum[i] * w[1];
+    b += spectrum[i] * w[2];
+  }
+  return [r, g, b];
+}
+
+/**
+ * Fit a sigmoid-polynomial spectrum to a linear sRGB color
+ * (Levenberg–Marquardt on the OKLab error). Neutral colors get a
+ * flat spectrum exactly.
+ * @returns {number[]} Spectrum samples (0–1)
+ */
+function fitSpectrum(r, g, b) {
+  if (Math.max(r, g, b) - Math.min(r, g, b) < 1e-6) {
+    return new Array(SPECTRAL_D65.length).fill(clamp01((r + g + b) / 3));
+  }
+  const target = linearSRGBToOKLab(r, g, b);
+  const residual = (c) => {
+    const lab = linearSRGBToOKLab(...spectrumToLinearSRGB(sigmoidSpectrum(c)));
+    return lab.map((v, i) => v - target[i]);
+  };
+  const errorSq = (res) => res[0] * res[0] + res[1] * res[1] + res[2] * res[2];
+
+  let c = [0, 0, 0];
+  let res = residual(c);
+  let damping = 1e-3;
+  for (let iter = 0; iter < SPECTRAL_FIT_ITERATIONS && errorSq(res) > SPECTRAL_FIT_TOLERANCE; iter++) {
+    // Numeric Jacobian: J[i][j] = ∂res_i / ∂c_j
+    const J = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let j = 0; j < 3; j++) {
+      const h = 1e-4 * Math.max(1, Math.abs(c[j]));
+      const shifted = c.slice();
+      shifted[j] += h;
+      const resShifted = residual(shifted);
+      for (let i = 0; i < 3; i++) J[i][j] = (resShifted[i] - res[i]) / h;
+    }
+    // Damped normal equations (JᵀJ + λ·(diag(JᵀJ) + εI)) δ = Jᵀr
+    const JtJ = [0, 1, 2].map(i => [0, 1, 2].map(j => J[0][i] * J[0][j] + J[1][i] * J[1][j] + J[2][i] * J[2][j]));
+    const Jtr = [0, 1, 2].map(i => J[0][i] * res[0] + J[1][i] * res[1] + J[2][i] * res[2]);
+    const A = JtJ.map((row, i) => row.map((v, j) => (i === j ? v + damping * (v + 1e-6) : v)));
+    const inverse = mat3Invert(A);
+    if (!inverse) break;
+    const delta = mat3Apply(inverse, ...Jtr);
+    const next = c.map((v, i) => v - delta[i]);
+    const resNext = residual(next);
+    if (errorSq(resNext) < errorSq(res)) {
+      c = next;
+      res = resNext;
+      damping = Math.max(damping / 3, 1e-9);
+    } else {
+      damping *= 4;
+    }
+  }
+  return sigmoidSpectrum(c);
+}
+
+/** Last fits, keyed by their input color (albedo and light change separately). */
+const spectrumFitCache = new Map();
+
+/** fitSpectrum() with a small cache. */
+function cachedSpectrum(r, g, b) {
+  const key = `${r},${g},${b}`;
+  let spectrum = spectrumFitCache.get(key);
+  if (!spectrum) {
+    if (spectrumFitCache.size >= 8) spectrumFitCache.delete(spectrumFitCache.keys().next().value);
+    spectrum = fitSpectrum(r, g, b);
+    spectrumFitCache.set(key, spectrum);
+  }
+  return spectrum;
+}
+
+/**
+ * Spectral lit color: albedo reflectance × light emission per
+ * wavelength, scaled by intensity.
+ * @returns {number[]} Scene-linear sRGB, unbounded above
+ */
+function computeSpectralLitColor() {
+  const reflectance = cachedSpectrum(...oklabToLinearSRGB(albedoL, albedoA, albedoB));
+  const light = oklabToLinearSRGB(lightL, lightA, lightB);
+  const peak = Math.max(...light);
+  if (peak <= 0) return [0, 0, 0];
+  const emission = cachedSpectrum(...light.map(v => v / peak));
+  const scale = peak * lightIntensity;
+  return spectrumToLinearSRGB(reflectance.map((v, i) => v * emission[i] * scale));
+}
+
+/** Sync the lighting model select and the RGB / spectral comparison row. */
+function updateLightingModelDisplay() {
+  const select = document.getElementById('lighting-model-select');
+  if (select.options.length === 0) {
+    for (const model of LIGHTING_MODELS) select.add(new Option(model.name, model.id));
+  }
+  select.value = lightingModel;
+
+  const isSpectral = lightingModel === 'spectral';
+  document.getElementById('lighting-model-compare').style.display = isSpectral ? '' : 'none';
+  if (!isSpectral) return;
+  const rgbResult = computeLitColor('rgb');
+  const spectralResult = computeLitColor('spectral');
+  document.getElementById('compare-swatch-rgb').style.background = displayCSSColor(...rgbResult);
+  document.getElementById('compare-swatch-spectral').style.background = displayCSSColor(...spectralResult);
+  document.getElementById('compare-delta-eok').textContent = deltaEOK(...rgbResult, ...spectralResult).toFixed(4);
+}
+
+/** Select the lighting model ('rgb' or 'spectral'). */
+function setLightingModel(model) {
+  if (!LIGHTING_MODELS.some(m => m.id === model)) return;
+  lightingModel = model;
+  updateLightingPanel();
+  scheduleSave();
+}
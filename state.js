@@ -9,6 +9,27 @@ let currentL = 0.7;   // Lightness: 0 (black) to 1 (white)
 let currentA = 0.0;   // Green–Red axis: roughly −0.4 to +0.4
 let currentB = 0.0;   // Blue–Yellow axis: roughly −0.4 to +0.4
 
+/** Gamut mapping method for pointer input and hex readouts (see gamut-mapping.js) */
+let gamutMappingMode = 'preserve-lightness';
+
+/** Picker layout: 'oklab' (a,b plane + L/C/h sliders), 'okhsv' or 'okhsl' (see okhsv-okhsl.js) */
+let pickerMode = 'oklab';
+// Hue of the Okhsv/Okhsl square, kept while the color is gray
+let okHue = 0;
+
+/** CIELAB white point for the Lab/LCh readout: 'd50' (Bradford-adapted) or 'd65' */
+let cielabWhitePoint = 'd50';
+
+/** Numeric readout: integer bit depth (rows for sRGB, Display P3 and the working space) */
+let numericBitDepth = 10;
+
+/** Reference color (OKLab [L, a, b]) for ΔE readouts, or null if none is set */
+let referenceColor = null;
+
+/** Color vision deficiency simulation (see cvd-simulation.js) */
+let cvdType = 'none';   // 'none', 'protan', 'deutan', 'tritan' or 'achromatopsia'
+let cvdSeverity = 1.0;  // 0 (normal vision) to 1 (dichromacy)
+
 /** Whether the window is set to always-on-top */
 let isAlwaysOnTop = true;
 
@@ -16,6 +37,66 @@ let isAlwaysOnTop = true;
 let isLightingOpen = false;
 let editTarget = 'albedo';  // 'albedo' or 'light'
 
+/** Contrast checker (see contrast.js) */
+let isContrastOpen = false;
+let contrastPartner = [1.0, 0.0, 0.0];  // OKLab color paired with the current one (white)
+let contrastCurrentRole = 'text';       // Current color is the 'text' or the 'background'
+let contrastTarget = 'wcag-aa';         // Target for the picker contour and "Fix L"
+
+/** Copy formats panel state (see copy-formats.js) */
+let isCopyFormatsOpen = false;
+let copyFormats = defaultCopyFormats();   // { name, template, space, precision }
+let selectedCopyFormat = 0;               // Index into copyFormats (shown in the editor)
+
+/** Harmony panel state (see harmony.js) */
+let isHarmonyOpen = false;
+let harmonyScheme = 'complementary';
+
+/** Tonal scale generator state (see tonal-scale.js) */
+let isScaleOpen = false;
+let scaleSteps = 11;
+let scaleLightnessMax = 0.97;   // Lightest step
+let scaleLightnessMin = 0.28;   // Darkest step
+let scaleCurve = 'linear';
+let scaleChromaFalloff = 0.5;   // Chroma taper toward both ends (0–1)
+let scaleName = 'brand';
+let scaleExportFormat = 'tailwind';
+
+/** Swatch library (see swatch-library.js) */
+let isLibraryOpen = false;
+let swatchCollections = [{ name: 'Swatches', swatches: [] }];  // swatches: { name, color: OKLab }
+let activeSwatchCollection = 0;
+let paletteExportFormat = 'ase';        // See palette-io.js
+
+/** Gradient builder state (see gradient.js) */
+let isGradientOpen = false;
+let gradientStops = [                     // Unsorted; { position: 0–1, color: OKLab }
+  { position: 0, color: [0.45, 0.0, -0.2] },
+  { position: 1, color: [0.85, 0.05, 0.17] },
+];
+let selectedGradientStop = 0;             // Index into gradientStops
+let gradientInterpolation = 'oklch-shorter';
+
+/** Reference image panel state (see image-sampler.js) */
+let isImageOpen = false;
+let imageSampleRadius = 2;                // Averaging radius in image px (0 = one pixel)
+let referenceImage = null;                // Decoded image and its profile (not persisted)
+let imageView = { zoom: 1, x: 0, y: 0 };  // Canvas px per image px; image point at the top-left
+let imageSampleMark = null;               // [x, y] image pixel of the last sample
+
+/** Image palette extraction state (see palette-extraction.js) */
+let paletteSize = 6;
+let paletteMethod = 'kmeans';
+let paletteChromaEmphasis = 0;            // Extra weight of colorful pixels (0–1)
+let extractedPalette = null;              // { color: OKLab, coverage: 0–1 }[] of the image (not persisted)
+
+/** 3D gamut viewer state (see gamut-viewer.js) */
+let isGamutViewOpen = false;
+let gamutViewMode = 'oklab';
+let gamutViewOverlays = [];                       // Ids of GAMUT_VIEW_OVERLAYS shown as wireframes
+let gamutViewYaw = GAMUT_VIEW_DEFAULT_YAW;        // Rotation about the L axis (radians)
+let gamutViewPitch = GAMUT_VIEW_DEFAULT_PITCH;    // Tilt toward the viewer (radians, ±π/2)
+
 // Albedo color (OKLab) — initialized to current picker color
 let albedoL = 0.7, albedoA = 0.0, albedoB = 0.0;
 // Light color (OKLab) — initialized to white (neutral)
@@ -23,6 +104,15 @@ let lightL = 1.0, lightA = 0.0, lightB = 0.0;
 // Physical linear intensity multiplier for the light (default 1.0)
 let lightIntensity = 1.0;
 const INTENSITY_MAX = 10.0;
+// Light color temperature controls (see cct.js)
+let lightCCT = 6500;          // Kelvin
+let lightDuv = 0;             // Tint: distance from the Planckian locus in CIE 1960 uv
+let cctLocus = 'planckian';   // 'planckian' or 'daylight'
+// Lighting model: 'rgb' (per channel) or 'spectral' (see spectral.js)
+let lightingModel = 'rgb';
+// View transform and exposure offset (stops) for the result (see tone-mapping.js)
+let viewTransform = 'clip';
+let viewExposure = 0;
 
 // ── Color Selection History ──
 // Three independent history stacks: main picker, albedo, and light.
@@ -33,8 +123,12 @@ const historyLight  = { entries: [[1.0, 0.0, 0.0]], pos: 0 };
 const MAX_HISTORY = 200;
 
 // ── Persistence ──
-// Stores the raw ICC profile bytes so the custom working CS survives restarts.
-let iccProfileBase64 = null;
+// ICC profile library (see icc-library.js): the raw profile bytes, so the
+// profiles survive restarts. Entries: { name, base64, isReadout, cs },
+// where cs is the parsed working CS (not persisted).
+let iccProfiles = [];
+// Raw bytes of the soft proofing profile (see soft-proof.js)
+let proofProfileBase64 = null;
 
 /** Canvas dimensions & OKLab axis range */
 const PICKER_SIZE = 300;         // Width & height of the a,b picker (px)
@@ -54,6 +148,7 @@ const abPickerCanvas = document.getElementById('ab-picker');
 const lightnessSliderCanvas = document.getElementById('lightness-slider');
 const chromaSliderCanvas = document.getElementById('chroma-slider');
 const hueSliderCanvas = document.getElementById('hue-slider');
+const okhsxHueStripCanvas = document.getElementById('okhsx-hue-strip');
 
 // Detect whether the display supports the P3 wide color gamut.
 // If it does, we use a 'display-p3' canvas so colors outside sRGB render accurately.
@@ -64,11 +159,43 @@ const abPickerContext = abPickerCanvas.getContext('2d', canvasOptions);
 const lightnessContext = lightnessSliderCanvas.getContext('2d', canvasOptions);
 const chromaContext = chromaSliderCanvas.getContext('2d', canvasOptions);
 const hueContext = hueSliderCanvas.getContext('2d', canvasOptions);
+const okhsxHueStripContext = okhsxHueStripCanvas.getContext('2d', canvasOptions);
 
 // Result mini a,b map canvas (150×150)
 const RESULT_MAP_SIZE = 150;
 const resultABCanvas = document.getElementById('result-ab-map');
 const resultABContext = resultABCanvas.getContext('2d', canvasOptions);
 
+// Gradient builder preview and stop marker canvases
+const gradientCanvas = document.getElementById('gradient-preview');
+const gradientContext = gradientCanvas.getContext('2d', canvasOptions);
+const gradientStopsCanvas = document.getElementById('gradient-stops');
+const gradientStopsContext = gradientStopsCanvas.getContext('2d', canvasOptions);
+
+// Reference image canvas
+const imageCanvas = document.getElementById('image-canvas');
+const imageContext = imageCanvas.getContext('2d', canvasOptions);
+
+// 3D gamut viewer canvas
+const gamutViewCanvas = document.getElementById('gamut-view-canvas');
+const gamutViewContext = gamutViewCanvas.getContext('2d', canvasOptions);
+
 /** Active working color space (default: P3 if supported, else sRGB) */
 let workingCS = isDisplayP3Supported ? createP3WorkingCS() : createSRGBWorkingCS();
+
+/** Id of the active built-in working space, or 'icc' for a library profile */
+let workingCSId = isDisplayP3Supported ? 'display-p3' : 'srgb';
+
+/** Index into iccProfiles of the library profile used when workingCSId is 'icc' */
+let activeICCProfile = 0;
+
+/** Soft proofing profile parsed by icc-lut.js, or null when not proofing */
+let proofProfile = null;
+/** Rendering intent for LUT-based profiles (see RENDERING_INTENTS) */
+let iccRenderingIntent = 'relative';
+/** Gray out picker colors outside the proofing gamut */
+let isProofGamutWarning = false;
+/** Chromatic adaptation for ICC profiles (see CHROMATIC_ADAPTATIONS) */
+let iccAdaptation = 'bradford';
+/** ICC profile info panel state (see icc-info.js) */
+let isICCInfoOpen = false;
@@ -0,0 +1,190 @@
+// ================================================================
+//  SWATCH LIBRARY
+//  Named OKLab swatches grouped into collections, persisted with the
+//  rest of the state. Click a swatch to load it into the picker (or,
+//  with the Lighting Lab open, into the albedo / light being edited),
+//  drag swatches to reorder them, and edit a name in place.
+// ================================================================
+
+/** Drag data type carrying a swatch index, so foreign drops are ignored. */
+const LIBRARY_DRAG_TYPE = 'application/x-swatch-index';
+
+/** The active collection. */
+function activeCollection() {
+  return swatchCollections[activeSwatchCollection];
+}
+
+/** Called after any library edit: rebuild the panel and save. */
+function onLibraryChanged() {
+  updateLibraryPanel();
+  scheduleSave();
+}
+
+/** Add the current color to the active collection, named from the name field. */
+function addCurrentToLibrary() {
+  const field = document.getElementById('library-new-name');
+  const swatches = activeCollection().swatches;
+  const name = field.textContent.trim() || `Color ${swatches.length + 1}`;
+  swatches.push({ name, color: [currentL, currentA, currentB] });
+  field.textContent = '';
+  onLibraryChanged();
+}
+
+/** Load a swatch of the active collection into the picker (or Lighting Lab target). */
+function loadLibrarySwatch(index) {
+  const swatch = activeCollection().swatches[index];
+  if (swatch) commitEditedColor(...swatch.color);
+}
+
+/** Remove a swatch from the active collection. */
+function removeLibrarySwatch(index) {
+  activeCollection().swatches.splice(index, 1);
+  onLibraryChanged();
+}
+
+/** Rename a swatch (empty names are ignored). */
+function renameLibrarySwatch(index, name) {
+  const swatch = activeCollection().swatches[index];
+  if (swatch && name.trim()) swatch.name = name.trim();
+  onLibraryChanged();
+}
+
+/** Move a swatch within the active collection (drag reorder). */
+function moveLibrarySwatch(from, to) {
+  const swatches = activeCollection().swatches;
+  if (!Number.isInteger(from) || !Number.isInteger(to)) return;
+  if (from === to || from < 0 || from >= swatches.length) return;
+  const [swatch] = swatches.splice(from, 1);
+  swatches.splice(Math.max(0, Math.min(to, swatches.length)), 0, swatch);
+  onLibraryChanged();
+}
+
+/** Switch the active collection. */
+function setActiveSwatchCollection(index) {
+  if (index < 0 || index >= swatchCollections.length) return;
+  activeSwatchCollection = index;
+  onLibraryChanged();
+}
+
+/** Create a new, empty collection and make it active. */
+function addSwatchCollection() {
+  swatchCollections.push({ name: `Collection ${swatchCollections.length + 1}`, swatches: [] });
+  activeSwatchCollection = swatchCollections.length - 1;
+  onLibraryChanged();
+}
+
+/** Rename the active collection (empty names are ignored). */
+function renameSwatchCollection(name) {
+  if (name.trim()) activeCollection().name = name.trim();
+  onLibraryChanged();
+}
+
+/** Delete the active collection after confirmation (one always remains). */
+function removeSwatchCollection() {
+  const collection = activeCollection();
+  if (collection.swatches.length > 0 &&
+      !confirm(`Delete "${collection.name}" and its ${collection.swatches.length} swatches?`)) return;
+  swatchCollections.splice(activeSwatchCollection, 1);
+  if (swatchCollections.length === 0) swatchCollections.push({ name: 'Swatches', swatches: [] });
+  activeSwatchCollection = Math.min(activeSwatchCollection, swatchCollections.length - 1);
+  onLibraryChanged();
+}
+
+/** Remove the drop highlight from every tile (drag ended or cancelled). */
+function clearLibraryDragOver() {
+  for (const tile of document.querySelectorAll('.library-swatch.drag-over')) {
+    tile.classList.remove('drag-over');
+  }
+}
+
+/**
+ * Build one swatch tile: a chip (click to load, drag to reorder), an
+ * editable name and a remove button.
+ */
+function createLibraryTile(swatch, index) {
+  const tile = document.createElement('div');
+  tile.className = 'library-swatch';
+  tile.draggable = true;
+  tile.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData(LIBRARY_DRAG_TYPE, String(index));
+    e.dataTransfer.effectAllowed = 'move';
+  });
+  tile.addEventListener('dragend', clearLibraryDragOver);
+  // Only accept swatch drags: files and foreign text fall through
+  tile.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes(LIBRARY_DRAG_TYPE)) return;
+    e.preventDefault();
+    tile.classList.add('drag-over');
+  });
+  tile.addEventListener('dragleave', () => tile.classList.remove('drag-over'));
+  tile.addEventListener('drop', (e) => {
+    tile.classList.remove('drag-over');
+    const data = e.dataTransfer.getData(LIBRARY_DRAG_TYPE);
+    if (!data) return;
+    e.preventDefault();
+    moveLibrarySwatch(Number(data), index);
+  });
+
+  const chip = document.createElement('div');
+  chip.className = 'library-chip';
+  chip.style.background = displayCSSColor(...swatch.color);
+  chip.title = `${swatch.name} — ${gamutMappedHex(workingCS, ...swatch.color)}`;
+  chip.onclick = () => loadLibrarySwatch(index);
+
+  const name = document.createElement('span');
+  name.className = 'library-name editable-val';
+  name.setAttribute('contenteditable', 'true');
+  name.spellcheck = false;
+  name.textContent = swatch.name;
+  name.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      name.blur();
+    }
+    if (e.key === 'Escape') {
+      name.textContent = '';
+      name.blur();
+    }
+  });
+  name.addEventListener('blur', () => renameLibrarySwatch(index, name.textContent));
+
+  const remove = document.createElement('button');
+  remove.className = 'copy-button library-remove';
+  remove.title = 'Remove';
+  remove.textContent = '✕';
+  remove.onclick = () => removeLibrarySwatch(index);
+
+  tile.append(chip, name, remove);
+  return tile;
+}
+
+/** Rebuild the collection select and the swatch grid. */
+function updateLibraryPanel() {
+  if (!isLibraryOpen) return;
+  const select = document.getElementById('library-collection-select');
+  select.replaceChildren(...swatchCollections.map((c, i) =>
+    new Option(`${c.name} (${c.swatches.length})`, String(i))));
+  select.value = String(activeSwatchCollection);
+
+  const formatSelect = document.getElementById('palette-format-select');
+  if (formatSelect.options.length === 0) {
+    for (const format of PALETTE_FORMATS) formatSelect.add(new Option(format.name, format.id));
+  }
+  formatSelect.value = paletteExportFormat;
+
+  const nameField = document.getElementById('library-collection-name');
+  if (document.activeElement !== nameField) nameField.textContent = activeCollection().name;
+
+  const grid = document.getElementById('library-swatches');
+  const swatches = activeCollection().swatches;
+  grid.replaceChildren(...swatches.map(createLibraryTile));
+  document.getElementById('library-empty').style.display = swatches.length ? 'none' : '';
+}
+
+function toggleLibraryPanel() {
+  isLibraryOpen = !isLibraryOpen;
+  document.getElementById('library-panel').classList.toggle('open', isLibraryOpen);
+  document.getElementById('library-toggle-button').classList.toggle('active', isLibraryOpen);
+  updateLibraryPanel();
+  scheduleSave();
+}
@@ -0,0 +1,200 @@
+// ================================================================
+//  TONAL SCALE
+//  Generates an N-step shade ramp (50–950 style) at the current
+//  color's OKLCH hue. Lightness runs from a light to a dark end
+//  along a selectable curve. Chroma keeps the current color's
+//  saturation relative to the working gamut boundary (found with
+//  findMaxInGamutChroma) at every step, tapering toward both ends by
+//  the falloff amount, so every step is in gamut.
+//
+//  Exports the ramp as a Tailwind config, CSS custom properties or
+//  W3C design-token (DTCG) JSON.
+// ================================================================
+
+const SCALE_CURVES = [
+  { id: 'linear',   name: 'Linear',             fn: t => t },
+  { id: 'smooth',   name: 'Smooth (S-curve)',   fn: t => t * t * (3 - 2 * t) },
+  { id: 'ease-in',  name: 'More light steps',   fn: t => t * t },
+  { id: 'ease-out', name: 'More dark steps',    fn: t => 1 - (1 - t) * (1 - t) },
+];
+
+const SCALE_EXPORT_FORMATS = [
+  { id: 'tailwind', name: 'Tailwind config' },
+  { id: 'css',      name: 'CSS custom properties' },
+  { id: 'dtcg',     name: 'Design tokens (JSON)' },
+];
+
+const SCALE_STEPS_MIN = 3;
+const SCALE_STEPS_MAX = 20;
+const TAILWIND_SHADE_NAMES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+/** Shade names: Tailwind's for 11 steps, otherwise evenly spaced in 10s. */
+function scaleShadeNames(steps) {
+  if (steps === TAILWIND_SHADE_NAMES.length) return TAILWIND_SHADE_NAMES;
+  return Array.from({ length: steps }, (_, i) => Math.round((i + 1) * 100 / (steps + 1)) * 10);
+}
+
+/**
+ * The ramp for the current color, lightest first.
+ * @returns {{name: number, color: number[]}[]} Shade name and OKLab color
+ */
+function tonalScale() {
+  const [chroma, hue] = oklabToOklch(currentA, currentB);
+  const boundary = findMaxInGamutChroma(currentL, hue);
+  const relativeChroma = boundary > 0 ? clamp01(chroma / boundary) : 0;
+  const curve = SCALE_CURVES.find(c => c.id === scaleCurve).fn;
+  const names = scaleShadeNames(scaleSteps);
+
+  return names.map((name, i) => {
+    const t = i / (scaleSteps - 1);
+    const L = scaleLightnessMax - (scaleLightnessMax - scaleLightnessMin) * curve(t);
+    const taper = 1 - scaleChromaFalloff * (2 * t - 1) ** 2;
+    const stepChroma = relativeChroma * findMaxInGamutChroma(L, hue) * taper;
+    return { name, color: [L, ...oklchToOklab(stepChroma, hue)] };
+  });
+}
+
+
+// ── Export ──
+
+/** Export text for the ramp in the selected format. */
+function tonalScaleExport(scale = tonalScale()) {
+  if (scaleExportFormat === 'css') {
+    const lines = scale.map(s => `  --${scaleName}-${s.name}: ${formatOklchCSS(...s.color)};`);
+    return `:root {\n${lines.join('\n')}\n}`;
+  }
+  if (scaleExportFormat === 'dtcg') {
+    const group = {};
+    for (const s of scale) {
+      const [chroma, hue] = oklabToOklch(s.color[1], s.color[2]);
+      group[s.name] = {
+        $type: 'color',
+        $value: {
+          colorSpace: 'oklch',
+          components: [+s.color[0].toFixed(4), +chroma.toFixed(4), +hue.toFixed(2)],
+          hex: gamutMappedHex(SRGB_GAMUT_CS, ...s.color),
+        },
+      };
+    }
+    return JSON.stringify({ [scaleName]: group }, null, 2);
+  }
+  const lines = scale.map(s => `          ${s.name}: '${formatOklchCSS(...s.color)}',`);
+  return 'module.exports = {\n  theme: {\n    extend: {\n      colors: {\n' +
+    `        '${scaleName}': {\n${lines.join('\n')}\n        },\n` +
+    '      },\n    },\n  },\n};';
+}
+
+
+// ── Panel ──
+
+/** Update the ramp preview, the settings fields and the export text. */
+function updateScalePanel() {
+  if (!isScaleOpen) return;
+  const fill = (id, options) => {
+    const select = document.getElementById(id);
+    if (select.options.length === 0) {
+      for (const option of options) select.add(new Option(option.name, option.id));
+    }
+  };
+  fill('scale-curve-select', SCALE_CURVES);
+  fill('scale-format-select', SCALE_EXPORT_FORMATS);
+  document.getElementById('scale-curve-select').value = scaleCurve;
+  document.getElementById('scale-format-select').value = scaleExportFormat;
+
+  const fields = {
+    'scale-steps-value':   String(scaleSteps),
+    'scale-lmax-value':    scaleLightnessMax.toFixed(3),
+    'scale-lmin-value':    scaleLightnessMin.toFixed(3),
+    'scale-falloff-value': String(Math.round(scaleChromaFalloff * 100)),
+    'scale-name-value':    scaleName,
+  };
+  for (const [id, text] of Object.entries(fields)) {
+    if (document.activeElement !== document.getElementById(id)) document.getElementById(id).textContent = text;
+  }
+
+  // Ramp swatches; the step closest in lightness to the current color is outlined
+  const scale = tonalScale();
+  let nearest = 0;
+  scale.forEach((s, i) => {
+    if (Math.abs(s.color[0] - currentL) < Math.abs(scale[nearest].color[0] - currentL)) nearest = i;
+  });
+  const row = document.getElementById('scale-swatches');
+  while (row.children.length > scale.length) row.lastChild.remove();
+  while (row.children.length < scale.length) {
+    const swatch = document.createElement('div');
+    swatch.className = 'scale-swatch';
+    const index = row.children.length;
+    swatch.onclick = () => loadScaleStep(index);
+    row.appendChild(swatch);
+  }
+  scale.forEach((s, i) => {
+    const swatch = row.children[i];
+    swatch.style.background = displayCSSColor(...s.color);
+    swatch.style.color = s.color[0] > 0.6 ? '#1e1e2e' : '#cdd6f4';
+    swatch.textContent = s.name;
+    swatch.title = formatOklchCSS(...s.color);
+    swatch.classList.toggle('selected', i === nearest);
+  });
+
+  document.getElementById('scale-export-value').textContent = tonalScaleExport(scale);
+}
+
+function toggleScalePanel() {
+  isScaleOpen = !isScaleOpen;
+  document.getElementById('scale-panel').classList.toggle('open', isScaleOpen);
+  document.getElementById('scale-toggle-button').classList.toggle('active', isScaleOpen);
+  updateScalePanel();
+  scheduleSave();
+}
+
+/** Load a ramp step (by index) into the picker. */
+function loadScaleStep(index) {
+  const step = tonalScale()[index];
+  if (step) commitEditedColor(...step.color);
+}
+
+/** Called after any scale setting changes: redraw and save. */
+function onScaleChanged() {
+  updateScalePanel();
+  scheduleSave();
+}
+
+/** Set the number of steps. */
+function setScaleSteps(steps) {
+  scaleSteps = Math.max(SCALE_STEPS_MIN, Math.min(SCALE_STEPS_MAX, Math.round(steps)));
+  onScaleChanged();
+}
+
+/** Set the lightness of the light (max) or dark (min) end. */
+function setScaleLightness(end, L) {
+  if (end === 'max') scaleLightnessMax = clamp01(L);
+  else scaleLightnessMin = clamp01(L);
+  onScaleChanged();
+}
+
+/** Select the lightness curve. */
+function setScaleCurve(id) {
+  if (!SCALE_CURVES.some(c => c.id === id)) return;
+  scaleCurve = id;
+  onScaleChanged();
+}
+
+/** Set how much chroma tapers toward both ends (0–1). */
+function setScaleChromaFalloff(falloff) {
+  scaleChromaFalloff = clamp01(falloff);
+  onScaleChanged();
+}
+
+/** Set the color name used in the exports (letters, digits, - and _). */
+function setScaleName(name) {
+  const cleaned = name.trim().replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  if (cleaned) scaleName = cleaned;
+  onScaleChanged();
+}
+
+/** Select the export format. */
+function setScaleExportFormat(id) {
+  if (!SCALE_EXPORT_FORMATS.some(f => f.id === id)) return;
+  scaleExportFormat = id;
+  onScaleChanged();
+}
@@ -0,0 +1,166 @@
+// ================================================================
+//  VIEW TRANSFORMS (TONE MAPPING)
+//  Lighting Lab results are scene-referred: albedo × light ×
+//  intensity easily exceeds 1.0 in linear sRGB. A view transform
+//  maps them to display-referred linear sRGB for the result swatch,
+//  the result a,b map and the result hex codes. The raw scene-linear
+//  values are shown separately.
+//
+//    clip         No tone mapping (values above 1 are clipped)
+//    reinhard     x / (1 + x) on max(r, g, b), hue preserved
+//    aces         ACES filmic (Hill's RRT + ODT fit, as in three.js)
+//    agx          AgX (Blender's default look, as in three.js)
+//    pbr-neutral  Khronos PBR Neutral
+//
+//  Exposure is an offset in stops applied before the transform.
+// ================================================================
+
+const VIEW_TRANSFORMS = [
+  { id: 'clip',        name: 'Clip (none)' },
+  { id: 'reinhard',    name: 'Reinhard' },
+  { id: 'aces',        name: 'ACES filmic' },
+  { id: 'agx',         name: 'AgX' },
+  { id: 'pbr-neutral', name: 'Khronos PBR Neutral' },
+];
+
+const VIEW_EXPOSURE_RANGE = 10; // Exposure offset limit (± stops)
+
+// ACES filmic (Stephen Hill's fit): sRGB → RRT_SAT and ODT_SAT → sRGB
+const ACES_INPUT_MATRIX = [
+  [0.59719, 0.35458, 0.04823],
+  [0.07600, 0.90834, 0.01566],
+  [0.02840, 0.13383, 0.83777],
+];
+const ACES_OUTPUT_MATRIX = [
+  [ 1.60475, -0.53108, -0.07367],
+  [-0.10208,  1.10813, -0.00605],
+  [-0.00327, -0.07276,  1.07602],
+];
+
+// AgX works in linear Rec.2020 with an inset/outset primaries matrix
+// around a log2 encoding spanning [AGX_MIN_EV, AGX_MAX_EV]
+const AGX_REC2020_TO_SRGB = mat3Multiply(XYZ_TO_LINEAR_SRGB, rgbToXYZMatrix(REC2020_PRIMARIES, WHITE_D65));
+const AGX_SRGB_TO_REC2020 = mat3Invert(AGX_REC2020_TO_SRGB);
+const AGX_INSET_MATRIX = [
+  [0.856627153315983,  0.0951212405381588, 0.0482516061458583],
+  [0.137318972929847,  0.761241990602591,  0.101439036467562],
+  [0.11189821299995,   0.0767994186031903, 0.811302368396859],
+];
+const AGX_OUTSET_MATRIX = [
+  [ 1.1271005818144368,  -0.11060664309660323, -0.016493938717834573],
+  [-0.1413297634984383,   1.157823702216272,   -0.016493938717834257],
+  [-0.14132976349843826, -0.11060664309660294,  1.2519364065950405],
+];
+const AGX_MIN_EV = -12.47393;
+const AGX_MAX_EV = 4.026069;
+
+// Khronos PBR Neutral parameters
+const PBR_NEUTRAL_START_COMPRESSION = 0.8 - 0.04;
+const PBR_NEUTRAL_DESATURATION = 0.15;
+
+
+/** ACES filmic tone curve (Hill's RRT + ODT fit). */
+function acesFilmicCurve(v) {
+  return (v * (v + 0.0245786) - 0.000090537) / (v * (0.983729 * v + 0.4329510) + 0.238081);
+}
+
+/** ACES filmic: linear sRGB (scene) → linear sRGB (display). */
+function toneMapACES(r, g, b) {
+  // three.js scales the input by 1 / 0.6 to match the reference exposure
+  const [ir, ig, ib] = mat3Apply(ACES_INPUT_MATRIX, r / 0.6, g / 0.6, b / 0.6);
+  const [or, og, ob] = mat3Apply(ACES_OUTPUT_MATRIX, acesFilmicCurve(ir), acesFilmicCurve(ig), acesFilmicCurve(ib));
+  return [clamp01(or), clamp01(og), clamp01(ob)];
+}
+
+/** AgX default contrast sigmoid (polynomial approximation). */
+function agxContrastCurve(x) {
+  const x2 = x * x;
+  const x4 = x2 * x2;
+  return 15.5 * x4 * x2 - 40.14 * x4 * x + 31.96 * x4 - 6.868 * x2 * x + 0.4298 * x2 + 0.1191 * x - 0.00232;
+}
+
+/** AgX: linear sRGB (scene) → linear sRGB (display). */
+function toneMapAgX(r, g, b) {
+  const inset = mat3Apply(AGX_INSET_MATRIX, ...mat3Apply(AGX_SRGB_TO_REC2020, r, g, b));
+  const curved = inset.map(v => {
+    const encoded = (Math.log2(Math.max(v, 1e-10)) - AGX_MIN_EV) / (AGX_MAX_EV - AGX_MIN_EV);
+    return agxContrastCurve(clamp01(encoded));
+  });
+  const outset = mat3Apply(AGX_OUTSET_MATRIX, ...curved).map(v => Math.max(v, 0) ** 2.2);
+  return mat3Apply(AGX_REC2020_TO_SRGB, ...outset).map(clamp01);
+}
+
+/** Khronos PBR Neutral: linear sRGB (scene) → linear sRGB (display). */
+function toneMapPBRNeutral(r, g, b) {
+  const x = Math.min(r, g, b);
+  const offset = x < 0.08 ? x - 6.25 * x * x : 0.04;
+  let color = [r - offset, g - offset, b - offset];
+
+  const peak = Math.max(...color);
+  if (peak < PBR_NEUTRAL_START_COMPRESSION) return color;
+
+  const d = 1 - PBR_NEUTRAL_START_COMPRESSION;
+  const newPeak = 1 - (d * d) / (peak + d - PBR_NEUTRAL_START_COMPRESSION);
+  color = color.map(v => v * newPeak / peak);
+
+  const mix = 1 - 1 / (PBR_NEUTRAL_DESATURATION * (peak - newPeak) + 1);
+  return color.map(v => v + (newPeak - v) * mix);
+}
+
+/**
+ * Apply the exposure offset and the selected view transform to a
+ * scene-linear sRGB color.
+ * @returns {number[]} Display-referred linear sRGB
+ */
+function applyViewTransform(r, g, b) {
+  const exposure = 2 ** viewExposure;
+  r *= exposure;
+  g *= exposure;
+  b *= exposure;
+  switch (viewTransform) {
+    case 'reinhard': {
+      // On max(r, g, b), scaling all channels alike: keeps the hue and the
+      // negative channels of wide-gamut colors (x / (1 + x) per channel flips them)
+      const scale = 1 / (1 + Math.max(r, g, b, 0));
+      return [r * scale, g * scale, b * scale];
+    }
+    case 'aces':
+      return toneMapACES(r, g, b);
+    case 'agx':
+      return toneMapAgX(r, g, b);
+    case 'pbr-neutral':
+      return toneMapPBRNeutral(r, g, b);
+    default:
+      // Clip only above 1: negative channels carry the wide-gamut color
+      return [Math.min(r, 1), Math.min(g, 1), Math.min(b, 1)];
+  }
+}
+
+/** Sync the view transform select and exposure field with the current state. */
+function updateViewTransformDisplay() {
+  const select = document.getElementById('view-transform-select');
+  if (select.options.length === 0) {
+    for (const transform of VIEW_TRANSFORMS) select.add(new Option(transform.name, transform.id));
+  }
+  select.value = viewTransform;
+  if (document.activeElement !== document.getElementById('view-exposure-value'))
+    document.getElementById('view-exposure-value').textContent =
+      (viewExposure >= 0 ? '+' : '') + viewExposure.toFixed(1);
+}
+
+/** Select the Lighting Lab view transform. */
+function setViewTransform(id) {
+  if (!VIEW_TRANSFORMS.some(t => t.id === id)) return;
+  viewTransform = id;
+  updateViewTransformDisplay();
+  updateLightingPanel();
+  scheduleSave();
+}
+
+/** Set the exposure offset (stops) applied before the view transform. */
+function setViewExposure(stops) {
+  viewExposure = Math.max(-VIEW_EXPOSURE_RANGE, Math.min(VIEW_EXPOSURE_RANGE, stops));
+  updateViewTransformDisplay();
+  updateLightingPanel();
+  scheduleSave();
+}